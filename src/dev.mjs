@@ -0,0 +1,226 @@
+/**
+ * Towel Freshness Tracker — режим разработки (DEV_MODE=1)
+ *
+ * Вместо Google Sheets, OAuth и Telegram Bot API воркер ходит сюда (см. apiFetch в worker.mjs):
+ *  - Sheets — эмулятор REST v4 в памяти изолята: values get/batchGet/append/batchUpdate,
+ *    spreadsheets batchUpdate (deleteDimension, addSheet) и метаданные листов. Удаление строк сдвигает
+ *    нижние строки вверх — как в настоящей таблице.
+ *  - OAuth — не нужен: getAccessToken в режиме разработки не подписывает JWT вовсе.
+ *  - Telegram — запись вызовов (sendMessage, answerCallbackQuery, sendDocument, …) вместо отправки;
+ *    getChatMember отвечает статусом из setChatMemberStatus (по умолчанию member), getMe — ботом DEV_BOT_USERNAME.
+ *
+ * Листы создаются по заголовкам, которые передаёт воркер (колонки SCHEMA), либо засеваются
+ * из CSV — например, из sheets_templates/*.csv в тестах. Состояние живёт, пока жив изолят:
+ * `wrangler dev` начинает с пустых листов, тесты сбрасывают его через resetDev().
+ */
+
+export const DEV_BOT_USERNAME = 'towel_dev_bot';
+
+const state = {
+  sheets: new Map(),      // title → [[ячейки строки 1], [строка 2], …]
+  sheetIds: new Map(),    // title → sheetId; не сбрасываем — воркер кэширует id листов на весь изолят
+  telegram: [],           // записанные вызовы Bot API: { method, ...параметры }
+  chatMembers: new Map(), // `${chat_id}:${user_id}` → статус участника
+  sheetsHooks: [],        // вызываются перед каждым запросом к Sheets — тесты вклиниваются между чтением и записью
+};
+
+export function resetDev({ sheets = {} } = {}) {
+  state.sheets.clear();
+  state.telegram.length = 0;
+  state.chatMembers.clear();
+  state.sheetsHooks.length = 0;
+  for (const [title, content] of Object.entries(sheets)) seedSheet(title, content);
+}
+
+// Лист из CSV-текста или массива строк; существующий лист заменяется целиком
+export function seedSheet(title, content) {
+  const rows = typeof content === 'string' ? parseCsvRows(content) : content.map(r => r.map(v => String(v ?? '')));
+  sheetIdOf(title);
+  state.sheets.set(title, rows);
+}
+
+// Создаёт недостающие листы с заголовком; вызывается воркером при первом обращении к хранилищу
+export function ensureDevSheets(headers) {
+  for (const [title, columns] of Object.entries(headers)) {
+    if (!state.sheets.has(title)) seedSheet(title, [columns]);
+  }
+}
+
+export function devSheet(title) {
+  return state.sheets.get(title) || null;
+}
+
+export function devTelegram() {
+  return state.telegram;
+}
+
+export function setChatMemberStatus(chatId, userId, status) {
+  state.chatMembers.set(`${chatId}:${userId}`, status);
+}
+
+// fn({ method, range }) — до обработки запроса; range — A1-диапазон values-запроса (или '')
+export function onSheetsRequest(fn) {
+  state.sheetsHooks.push(fn);
+  return () => { const i = state.sheetsHooks.indexOf(fn); if (i !== -1) state.sheetsHooks.splice(i, 1); };
+}
+
+export async function devFetch(input, init = {}) {
+  const url = new URL(String(input));
+  if (url.hostname === 'sheets.googleapis.com') return sheetsResponse(url, init);
+  if (url.hostname === 'api.telegram.org') return telegramResponse(url, init);
+  if (url.hostname === 'oauth2.googleapis.com') return jsonResponse({ access_token: 'dev', expires_in: 3600 });
+  throw new Error(`dev mode: unexpected request to ${url.hostname}`);
+}
+
+/* ---------- Telegram ---------- */
+async function telegramResponse(url, init) {
+  const method = url.pathname.split('/').pop();
+  // справочный вызов, не действие бота — в журнал не пишем
+  if (method === 'getMe') return jsonResponse({ ok: true, result: { id: 1, is_bot: true, username: DEV_BOT_USERNAME } });
+  const call = { method };
+  if (init.body instanceof FormData) {
+    for (const [k, v] of init.body.entries()) call[k] = typeof v === 'string' ? v : { name: v.name, type: v.type, text: await v.text() };
+  } else {
+    Object.assign(call, JSON.parse(init.body || '{}'));
+  }
+  state.telegram.push(call);
+  if (method === 'getChatMember') {
+    return jsonResponse({ ok: true, result: { status: state.chatMembers.get(`${call.chat_id}:${call.user_id}`) || 'member' } });
+  }
+  return jsonResponse({ ok: true, result: { message_id: state.telegram.length } });
+}
+
+/* ---------- Google Sheets ---------- */
+async function sheetsResponse(url, init) {
+  const path = decodeURIComponent(url.pathname);
+  const method = (init.method || 'GET').toUpperCase();
+  const body = init.body ? JSON.parse(init.body) : {};
+  const range = path.includes('/values/') ? path.split('/values/')[1].replace(/:append$/, '') : '';
+  for (const fn of [...state.sheetsHooks]) fn({ method, range });
+  try {
+    if (path.endsWith('/values:batchGet')) {
+      const ranges = url.searchParams.getAll('ranges');
+      return jsonResponse({ valueRanges: ranges.map(range => ({ range, values: readRange(range) })) });
+    }
+    if (path.endsWith('/values:batchUpdate') && method === 'POST') {
+      for (const d of body.data || []) writeRange(d.range, d.values || []);
+      return jsonResponse({ totalUpdatedCells: (body.data || []).length });
+    }
+    if (path.includes('/values/') && path.endsWith(':append') && method === 'POST') {
+      appendRows(path.split('/values/')[1].replace(/:append$/, ''), body.values || []);
+      return jsonResponse({});
+    }
+    if (path.includes('/values/')) return jsonResponse({ values: readRange(path.split('/values/')[1]) });
+    if (path.endsWith(':batchUpdate') && method === 'POST') {
+      return jsonResponse({ replies: (body.requests || []).map(applyRequest) });
+    }
+    if (method === 'GET') {
+      return jsonResponse({ sheets: Array.from(state.sheets.keys()).map(title => ({ properties: { title, sheetId: sheetIdOf(title) } })) });
+    }
+  } catch (e) {
+    return jsonResponse({ error: { code: 400, message: e.message } }, 400);
+  }
+  return jsonResponse({ error: { code: 404, message: 'not emulated' } }, 404);
+}
+
+function applyRequest(request) {
+  if (request.addSheet) {
+    const { title } = request.addSheet.properties;
+    if (state.sheets.has(title)) throw new Error(`A sheet with the name "${title}" already exists`);
+    seedSheet(title, []);
+    return { addSheet: { properties: { title, sheetId: sheetIdOf(title) } } };
+  }
+  if (!request.deleteDimension) throw new Error('unsupported request');
+  const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+  const title = Array.from(state.sheetIds.keys()).find(t => state.sheetIds.get(t) === sheetId);
+  const rows = title && state.sheets.get(title);
+  if (!rows || dimension !== 'ROWS') throw new Error('unsupported range');
+  rows.splice(startIndex, endIndex - startIndex);
+  return {};
+}
+
+function sheetIdOf(title) {
+  if (!state.sheetIds.has(title)) state.sheetIds.set(title, state.sheetIds.size + 1);
+  return state.sheetIds.get(title);
+}
+
+// 'slots!A2:I', 'slots!C5:C5', 'slots!A:I' → номера строк с 1, колонок с 0
+function parseRange(a1) {
+  const [title, cells = ''] = a1.split('!');
+  const rows = state.sheets.get(title);
+  if (!rows) throw new Error(`Unable to parse range: ${a1}`);
+  const [from, to = from] = cells.split(':');
+  const start = /^([A-Z]+)(\d*)$/.exec(from);
+  const end = /^([A-Z]+)(\d*)$/.exec(to);
+  if (!start || !end) throw new Error(`Unable to parse range: ${a1}`);
+  return {
+    rows,
+    c1: colIndex(start[1]), r1: start[2] ? Number(start[2]) : 1,
+    c2: colIndex(end[1]), r2: end[2] ? Number(end[2]) : Infinity,
+  };
+}
+
+function colIndex(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Как настоящий API: пустые хвосты строк и пустые строки в конце диапазона не возвращаются
+function readRange(a1) {
+  const { rows, c1, r1, c2, r2 } = parseRange(a1);
+  const out = [];
+  for (let r = r1; r <= Math.min(r2, rows.length); r++) {
+    const row = (rows[r - 1] || []).slice(c1, c2 + 1);
+    while (row.length && row[row.length - 1] === '') row.pop();
+    out.push(row);
+  }
+  while (out.length && !out[out.length - 1].length) out.pop();
+  return out;
+}
+
+function writeRange(a1, values) {
+  const { rows, c1, r1 } = parseRange(a1);
+  values.forEach((vals, i) => {
+    const r = r1 - 1 + i;
+    while (rows.length <= r) rows.push([]);
+    vals.forEach((v, j) => {
+      while (rows[r].length <= c1 + j) rows[r].push('');
+      rows[r][c1 + j] = String(v ?? '');
+    });
+  });
+}
+
+// append дописывает после последней непустой строки таблицы
+function appendRows(a1, values) {
+  const { rows, c1 } = parseRange(a1);
+  while (rows.length && !rows[rows.length - 1].some(v => v !== '')) rows.pop();
+  for (const vals of values) rows.push([...new Array(c1).fill(''), ...vals.map(v => String(v ?? ''))]);
+}
+
+/* ---------- Общее ---------- */
+function jsonResponse(obj, status = 200) {
+  return new Response(JSON.stringify(obj), { status, headers: { 'content-type': 'application/json; charset=UTF-8' } });
+}
+
+// CSV по RFC 4180: кавычки, "" внутри кавычек, переводы строк в ячейках
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
@@ -5,15 +5,67 @@
  *  - GET  /health                — проверка живости
  *  - POST /tg/webhook            — Telegram апдейты (c секретом)
  *  - GET  /__cron                — ручной запуск напоминаний (для тестов)
- *  - GET  /login?token=...       — вход по маг-ссылке (ставит cookie "sid")
- *  - GET  /dashboard             — защищённая панель (cookie обязателен)
+ *  - GET  /login?token=...       — вход по одноразовой маг-ссылке (ставит cookie "sid"; неудачи лимитируются по IP)
+ *  - POST /logout                — выход (all=1 — завершить все сессии пользователя)
+ *  - GET  /dashboard             — защищённая панель (cookie обязателен; ?room=&status=&sort=)
  *  - GET  /api/slots             — список слотов владельца (по cookie)
- *  - POST /api/slots             — создать слот { name, room?, threshold_days? } (владелец = из cookie)
- *  - POST /api/slots/:id/refresh — обновить один слот
+ *  - POST /api/slots             — создать слот { name, room?, threshold_days?, spare_clean? } (владелец = из cookie)
+ *  - POST /api/slots/:id         — изменить слот { name?, room?, threshold_days?, group_id?, spare_clean?, spare_dirty? }
+ *  - DELETE /api/slots/:id       — удалить слот в корзину (для HTML-форм: POST /api/slots/:id/delete)
+ *  - POST /api/slots/:id/restore — вернуть слот из корзины
+ *  - GET  /api/trash             — корзина: удалённые слоты и когда крон вычистит их насовсем
+ *  - POST /api/slots/:id/refresh — обновить один слот (берёт чистую запасную, снятое — в стирку)
+ *  - POST /api/slots/:id/laundry — «Постирал»: вернуть полотенца из стирки на полку { count? }
  *  - POST /api/rooms/refresh     — пакетно «Обновил» все слоты в комнате { room }
+ *  - GET  /api/slots/:id/history — история слота (?action=&actor=&offset=&limit=)
+ *  - GET  /api/stats             — статистика замен по слотам и комнатам (интервалы, «в срок», серии, кто меняет)
+ *  - GET  /api/suggestions       — подсказки порога по реальному ритму замен
+ *  - GET  /api/export?format=json|csv — выгрузка моих слотов, их истории и моих настроек (файлом)
+ *  - POST /api/import            — загрузка такого файла { file | data, dry_run?, conflict?: skip|new, group_id?, settings? }
+ *  - GET  /api/schedule          — моё расписание уведомлений
+ *  - POST /api/schedule          — изменить его { schedule?, quiet_hours?, pause_until?, digest? } (форматы — у NOTIFY_FIELDS)
+ *  - POST /api/slots/:id/threshold-suggestion — принять/отклонить подсказку { decision: accept|reject, days }
+ *  - GET  /dashboard/slots/:id   — лента изменений слота в панели
+ *  - GET  /dashboard/trash       — корзина в панели (вернуть слот)
+ *  - GET  /api/groups            — мои группы и их участники
+ *  - POST /api/groups/invite     — выпустить код-приглашение в мою группу
+ *  - POST /api/groups/join       — вступить в группу по коду { code }
+ *  - POST /api/groups/leave      — выйти из группы { group_id }
+ *  - POST /api/groups/kick       — исключить участника из своей группы { tg_user_id }
+ *  - GET  /join?code=...         — подтверждение вступления по ссылке-приглашению (нужна сессия; вступает POST /api/groups/join)
+ *  - POST /api/slots/:id/quick-link — ссылка для QR/NFC-метки { actor?, rotate? } (DELETE или POST …/revoke — отозвать)
+ *  - GET  /dashboard/qr?room=    — лист QR-меток комнаты для печати
+ *  - GET  /q/<token>             — скан метки: «Обновил» без бота и входа
+ *  - GET  /api/webhooks          — мои исходящие вебхуки (с последней доставкой)
+ *  - POST /api/webhooks          — добавить { url (https), events?: slot.status,slot.refresh,slot.create,slot.delete }
+ *  - POST /api/webhooks/:id      — изменить { url?, events?, active? } (DELETE или POST …/delete — удалить)
+ *  - POST /api/webhooks/:id/test — отправить тестовое событие сейчас
+ *  - GET  /api/webhooks/:id/deliveries — журнал доставок
+ *  - /api/v1/…                   — версия API с таблицей маршрутов: проверка входа по схемам, PATCH для правок,
+ *                                  ошибки JSON { error: { code, message, details? } } с кодами 400/401/403/404/405/409
+ *  - GET  /api/v1/openapi.json   — OpenAPI 3.1 этой версии (публично)
+ *  - GET  /cal/<token>.ics       — iCal-лента сроков замены (токен выдаёт /calendar в боте)
  *  - GET  /diag                  — диагностика (публично)
+ *  POST-маршруты /api/* принимают JSON или HTML-форму; форма без Accept: application/json
+ *  получает 303 обратно в панель (поле redirect, ошибки — в ?error=).
+ *  Мутирующие запросы с cookie-сессией проверяются на CSRF: Origin/Referer должен быть своим,
+ *  а без обоих заголовков нужен токен (поле csrf или заголовок X-CSRF-Token).
+ *  Правка, удаление, «Обновил» и «Постирал» принимают версию слота (заголовок If-Match или поле version):
+ *  если слот с тех пор изменили, ответ — 409 version conflict, а не тихая перезапись чужой правки.
+ *  - POST /admin/migrate         — разовый перенос данных Google Sheets → D1 (Bearer ADMIN_TOKEN; ?force=1 — перезаписать):
+ *                                  все листы SCHEMA — слоты, пользователи, доступ, история, журнал напоминаний,
+ *                                  kv (QR-ключи, токены входа, снимки статусов), вебхуки и журнал доставок
+ *  - POST /admin/setup           — создать недостающие листы и заголовки, дописать новые колонки, запомнить версию схемы
+ *                                  (Bearer ADMIN_TOKEN; при чужих заголовках — 409 с перечнем, что поправить; итог виден в /diag)
  *
- * Крон: scheduled() раз в час → проверяет локальный час пользователя и шлёт напоминания.
+ * Групповые чаты: бот в группе ведёт общую группу слотов tg:<chat_id>; действия записываются на участника,
+ *       напоминания идут в сам чат, общие настройки чата и удаление — только админам.
+ *
+ * Крон: scheduled() раз в час → сверяет локальное время с расписанием пользователя (часы по дням недели,
+ *       тихие часы, пауза) и шлёт напоминания, повторы, эскалации, сводки запасов и недельный дайджест
+ *       (журнал отправок — лист reminders); там же — переходы статусов для исходящих вебхуков и повторы
+ *       неудачных доставок (листы webhooks и deliveries), а также чистка корзины: удалённые слоты
+ *       старше TRASH_RETENTION_DAYS стираются из листа slots насовсем.
  *
  * Секреты/переменные (wrangler secret put):
  *  TELEGRAM_TOKEN
@@ -24,11 +76,22 @@
  *  WEB_JWT_SECRET                — секрет для HS256 (любой длинный случайный)
  *  WORKER_URL                    — базовый URL воркера, напр. https://towel-tracker.<acc>.workers.dev
  *  (опц.) DEFAULT_TZ, DEFAULT_NOTIFY_HOUR
+ *  (опц.) DEFAULT_LANG           — язык интерфейса, если клиент его не сообщил: ru (по умолчанию) или en
+ *  (опц.) STORAGE                — где хранить данные: sheets (по умолчанию) или d1 (нужен биндинг DB)
+ *  (опц.) ADMIN_TOKEN            — токен для /admin/* маршрутов
+ *  (опц.) REMINDER_FOLLOWUP_HOURS — повтор напоминания о просроченном слоте (ч, по умолчанию 4; 0 — выкл.)
+ *  (опц.) REMINDER_ESCALATE_HOURS — эскалация остальным участникам группы (ч от первого напоминания, по умолчанию 8; 0 — выкл.)
+ *  (опц.) THRESHOLD_SUGGEST_COOLDOWN_DAYS — сколько дней не повторять отклонённую подсказку порога (по умолчанию 30; 0 — без паузы)
+ *  (опц.) TRASH_RETENTION_DAYS   — сколько дней удалённый слот лежит в корзине (по умолчанию 30; 0 — не чистить)
+ *  (опц.) DEV_MODE               — 1: локальная разработка без Google и Telegram (эмулятор из dev.mjs; GOOGLE_* и SPREADSHEET_ID не нужны)
  */
 
+import { devFetch, ensureDevSheets } from './dev.mjs';
+
 export default {
   async fetch(req, env, ctx) {
     const url = new URL(req.url);
+    env = withRequestScope(env);
 
     // health
     if (url.pathname === "/health") return new Response("healthy", { status: 200 });
@@ -48,12 +111,15 @@ export default {
       async function safeHandle(update, env) {
         try {
           await handleTelegramUpdate(update, env);
+          await runDeferred(env);
+          logStorageCalls(env, `tg ${describeUpdate(update)}`);
         } catch (e) {
           console.error('[tg webhook] handler error:', e);
           // Пытаемся культурно уведомить пользователя, но без паники
           try {
             const chatId = extractChatId(update);
-            if (chatId) await tgSend(env, chatId, 'Техническая заминка. Уже чищу перья и вернусь 🙏');
+            const from = update?.message?.from ?? update?.callback_query?.from;
+            if (chatId) await tgSend(env, chatId, translate(langFromCode(from?.language_code, env), 'tech_error'));
           } catch (e2) {
             console.error('notify failed', e2);
           }
@@ -64,9 +130,15 @@ export default {
         return update?.message?.chat?.id ?? update?.callback_query?.message?.chat?.id ?? null;
       }
 
+      function describeUpdate(update) {
+        if (update?.callback_query) return `callback ${String(update.callback_query.data || '').split(':')[0]}`;
+        return String(update?.message?.text || 'message').split(/\s/)[0];
+      }
+
       // Ручной вызов крон-логики
       if (url.pathname === "/__cron") {
         await runHourlyReminders(env);
+        await runWebhookCron(env);
         return json({ ok: true, cron: true });
       }
 
@@ -74,21 +146,45 @@ export default {
       if (url.pathname === "/login" && req.method === "GET") {
         const token = url.searchParams.get("token");
         if (!token) return new Response("token required", { status: 400 });
-        const magic = await jwtVerifyHS256(token, env.WEB_JWT_SECRET);
-        if (!magic || !magic.sub) return new Response("invalid token", { status: 401 });
-        // создаём сессионный токен на 7 дней
-        const session = await jwtSignHS256({ sub: String(magic.sub) }, env.WEB_JWT_SECRET, 60 * 60 * 24 * 7);
+        const ip = clientIp(req);
+        if (await loginBlocked(env, ip)) return new Response("too many login attempts", { status: 429, headers: { "Retry-After": String(LOGIN_FAIL_WINDOW_SEC) } });
+        const magic = await consumeMagicToken(env, token);
+        if (!magic) {
+          await noteLoginFailure(env, ip);
+          return loginFailedPage(env, translator(langFromRequest(req, env)));
+        }
+        // создаём сессионный токен на 7 дней; ep — эпоха сессий пользователя на момент входа
+        const ep = await getSessionEpoch(env, magic.sub);
+        const session = await jwtSignHS256({ typ: "session", sub: String(magic.sub), ep }, env.WEB_JWT_SECRET, 60 * 60 * 24 * 7);
         const res = new Response(null, { status: 302, headers: { Location: "/dashboard" } });
         setCookie(res, "sid", session, { httpOnly: true, secure: true, sameSite: "Lax", maxAge: 60 * 60 * 24 * 7, path: "/" });
+        ctx.waitUntil(notifyNewSession(env, magic.sub, req).catch(e => console.error("login notice failed", e)));
         return res;
       }
 
       // Защищённые маршруты: требуем сессию
       const uid = await parseSession(req, env); // null если нет cookie/некорректно
 
+      // REST API v1: своя таблица маршрутов, на всё — JSON (и на ошибки тоже, включая CSRF)
+      if (url.pathname === API_V1_PREFIX || url.pathname.startsWith(`${API_V1_PREFIX}/`)) return await handleApiV1(req, env, url, uid);
+
+      // Мутирующие запросы под cookie-сессией — только со своего origin (или с csrf-токеном)
+      if (uid && !SAFE_METHODS.includes(req.method) && !url.pathname.startsWith("/admin/") && !(await checkCsrf(req, env))) {
+        return new Response("csrf check failed", { status: 403 });
+      }
+
+      if (url.pathname === "/logout" && req.method === "POST") {
+        const body = await readBody(req);
+        // all=1 — завершить и все остальные сессии пользователя
+        if (uid && body.all) await revokeSessions(env, uid);
+        const res = new Response(null, { status: 303, headers: { Location: "/dashboard" } });
+        clearCookie(res, "sid");
+        return res;
+      }
+
       if ((url.pathname === "/" || url.pathname === "/dashboard") && req.method === "GET") {
-        if (!uid) return needAuthPage(env);
-        const html = await renderDashboard(env, uid);
+        if (!uid) return needAuthPage(env, translator(langFromRequest(req, env)));
+        const html = await renderDashboard(env, uid, parseDashboardView(url.searchParams), { csrf: await csrfToken(req, env) });
         return htmlResponse(html);
       }
 
@@ -102,65 +198,1311 @@ export default {
         if (!uid) return new Response("unauthorized", { status: 401 });
         const body = await readBody(req);
         const name = (body.name || "").trim();
-        if (!name) return new Response("name required", { status: 400 });
-        const threshold_days = body.threshold_days != null ? Number(body.threshold_days) : 3;
+        if (!name) return apiError(req, body, 400, "name required");
+        if (name.length > SLOT_NAME_MAX) return apiError(req, body, 400, "name too long");
+        const threshold_days = body.threshold_days != null && body.threshold_days !== "" ? parseThreshold(body.threshold_days) : 3;
+        if (!threshold_days) return apiError(req, body, 400, "invalid threshold_days");
         const room = (body.room || "").trim();
-        const slot = await createSlot(env, { name, owner_tg_id: uid, room, threshold_days });
-        return json(slot);
+        const group_id = (body.group_id || "").trim();
+        const spare_clean = body.spare_clean != null && body.spare_clean !== "" ? parseSpareCount(body.spare_clean) : null;
+        if (Number.isNaN(spare_clean)) return apiError(req, body, 400, "invalid spare count");
+        let slot;
+        try {
+          slot = await createSlot(env, { name, owner_tg_id: uid, room, threshold_days, group_id, spare_clean });
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          throw e;
+        }
+        return apiResult(req, body, slot);
+      }
+
+      if (url.pathname === "/api/stats" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        return json(await getStats(env, uid));
+      }
+
+      if (url.pathname === "/api/export" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const format = url.searchParams.get("format") || "json";
+        if (!EXPORT_FORMATS.includes(format)) return new Response("invalid format", { status: 400 });
+        const { body, type } = exportBody(await exportData(env, uid), format);
+        return new Response(body, { headers: { "content-type": type, "content-disposition": `attachment; filename="${exportFileName(format)}"`, "cache-control": "no-store" } });
+      }
+
+      if (url.pathname === "/api/import" && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = await readBody(req);
+        const opts = parseImportOptions(body, url.searchParams);
+        if (opts.error) return apiError(req, body, 400, opts.error);
+        try {
+          const data = parseImportFile(await readImportInput(body));
+          return apiResult(req, body, await importData(env, uid, data, opts));
+        } catch (e) {
+          if (e && e.message === 'invalid import') return apiError(req, body, 400, "invalid import");
+          if (e && e.message === 'import too large') return apiError(req, body, 413, "import too large");
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          throw e;
+        }
+      }
+
+      if (url.pathname === "/api/schedule" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        return json(await getNotifySettings(env, uid));
+      }
+
+      if (url.pathname === "/api/schedule" && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = await readBody(req);
+        try {
+          return apiResult(req, body, await updateNotifySettings(env, uid, body));
+        } catch (e) {
+          if (e && Object.keys(NOTIFY_FIELDS).some(f => e.message === `invalid ${f}`)) return apiError(req, body, 400, e.message);
+          throw e;
+        }
+      }
+
+      if (url.pathname === "/api/suggestions" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        return json(await getThresholdSuggestions(env, uid));
+      }
+
+      if (url.pathname.startsWith("/api/slots/") && url.pathname.endsWith("/threshold-suggestion") && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const id = url.pathname.split("/")[3];
+        const body = await readBody(req);
+        if (body.decision !== "accept" && body.decision !== "reject") return apiError(req, body, 400, "invalid decision");
+        const days = parseThreshold(body.days);
+        if (!days) return apiError(req, body, 400, "invalid threshold_days");
+        try {
+          return apiResult(req, body, await resolveThresholdSuggestion(env, id, { accept: body.decision === "accept", days, actor: String(uid) }));
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          throw e;
+        }
       }
 
-      if (url.pathname.startsWith("/api/slots/") && req.method === "DELETE") {
+      if (url.pathname.startsWith("/api/slots/") && url.pathname.endsWith("/history") && req.method === "GET") {
         if (!uid) return new Response("unauthorized", { status: 401 });
         const id = url.pathname.split("/")[3];
+        const query = parseHistoryQuery(url.searchParams);
+        if (query.error) return new Response(query.error, { status: 400 });
         try {
-          await deleteSlot(env, id, { actor: String(uid) });
+          return json(await getSlotHistory(env, id, { ...query, viewer: String(uid) }));
         } catch (e) {
           if (e && e.message === 'forbidden') return new Response("forbidden", { status: 403 });
+          if (e && e.message === 'slot not found') return new Response("slot not found", { status: 404 });
+          throw e;
+        }
+      }
+
+      if (url.pathname.startsWith("/dashboard/slots/") && req.method === "GET") {
+        if (!uid) return needAuthPage(env, translator(langFromRequest(req, env)));
+        const id = url.pathname.split("/")[3];
+        const query = parseHistoryQuery(url.searchParams);
+        if (query.error) return new Response(query.error, { status: 400 });
+        try {
+          return htmlResponse(await renderSlotHistory(env, uid, id, query));
+        } catch (e) {
+          if (e && (e.message === 'forbidden' || e.message === 'slot not found')) {
+            const t = await getTranslator(env, uid);
+            return htmlResponse(`<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><title>${t('page_noslot_title')}</title><style>${PAGE_CSS}</style><h1>${t('page_noslot_h1')}</h1><p><a href="/dashboard">${t('back_to_dashboard')}</a></p>`, 404);
+          }
+          throw e;
+        }
+      }
+
+      // Удаление: DELETE для API, POST …/delete для HTML-формы
+      const deleteMatch = url.pathname.match(/^\/api\/slots\/([^/]+)(\/delete)?$/);
+      if (deleteMatch && (req.method === "DELETE" || (req.method === "POST" && deleteMatch[2]))) {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = req.method === "POST" ? await readBody(req) : {};
+        const id = tryDecodeURIComponent(deleteMatch[1]);
+        if (id == null) return apiError(req, body, 400, "invalid id");
+        try {
+          await deleteSlot(env, id, { actor: String(uid), version: expectedVersion(req, body) });
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          if (e && e.message === 'version conflict') return apiError(req, body, 409, "version conflict");
+          throw e;
+        }
+        return apiResult(req, body, { ok: true });
+      }
+
+      // Корзина: удалённые слоты и возврат из неё (в ответе — вернувшийся слот)
+      if (url.pathname === "/api/trash" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        return json(await listTrash(env, uid));
+      }
+
+      const restoreMatch = url.pathname.match(/^\/api\/slots\/([^/]+)\/restore$/);
+      if (restoreMatch && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = await readBody(req);
+        const id = tryDecodeURIComponent(restoreMatch[1]);
+        if (id == null) return apiError(req, body, 400, "invalid id");
+        try {
+          return apiResult(req, body, await restoreSlot(env, id, { actor: String(uid), version: expectedVersion(req, body) }));
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          if (e && e.message === 'version conflict') return apiError(req, body, 409, "version conflict");
+          throw e;
+        }
+      }
+
+      // Правка слота: name / room / threshold_days / group_id, в ответе — обновлённый слот
+      const updateMatch = url.pathname.match(/^\/api\/slots\/([^/]+)$/);
+      if (updateMatch && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const id = tryDecodeURIComponent(updateMatch[1]);
+        const body = await readBody(req);
+        if (id == null) return apiError(req, body, 400, "invalid id");
+        const patch = {};
+        if (body.name != null) patch.name = String(body.name);
+        if (patch.name != null && patch.name.trim().length > SLOT_NAME_MAX) return apiError(req, body, 400, "name too long");
+        if (body.room != null) patch.room = String(body.room);
+        if (body.threshold_days != null && body.threshold_days !== "") {
+          const days = parseThreshold(body.threshold_days);
+          if (!days) return apiError(req, body, 400, "invalid threshold_days");
+          patch.threshold_days = days;
+        }
+        if (body.group_id) patch.group_id = String(body.group_id).trim();
+        // Запас: пустой spare_clean выключает учёт
+        for (const k of ["spare_clean", "spare_dirty"]) {
+          if (body[k] == null) continue;
+          patch[k] = body[k] === "" ? "" : parseSpareCount(body[k]);
+          if (Number.isNaN(patch[k])) return apiError(req, body, 400, "invalid spare count");
+        }
+        try {
+          await updateSlot(env, id, patch, { actor: String(uid), version: expectedVersion(req, body) });
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          if (e && e.message === 'name required') return apiError(req, body, 400, "name required");
+          if (e && e.message === 'version conflict') return apiError(req, body, 409, "version conflict");
           throw e;
         }
-        return json({ ok: true });
+        const slot = await getSlotById(env, id);
+        return apiResult(req, body, formatSlotForOutput(slot));
       }
 
       if (url.pathname.startsWith("/api/slots/") && url.pathname.endsWith("/refresh") && req.method === "POST") {
         if (!uid) return new Response("unauthorized", { status: 401 });
         const id = url.pathname.split("/")[3];
+        const body = await readBody(req);
         let res;
         try {
-          res = await refreshSlot(env, id, { actor: String(uid) });
+          res = await refreshSlot(env, id, { actor: String(uid), version: expectedVersion(req, body) });
         } catch (e) {
-          if (e && e.message === 'forbidden') return new Response("forbidden", { status: 403 });
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          if (e && e.message === 'version conflict') return apiError(req, body, 409, "version conflict");
+          throw e;
+        }
+        return apiResult(req, body, res);
+      }
+
+      if (url.pathname.startsWith("/api/slots/") && url.pathname.endsWith("/laundry") && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const id = url.pathname.split("/")[3];
+        const body = await readBody(req);
+        const count = body.count != null && body.count !== "" ? parseSpareCount(body.count) : null;
+        if (Number.isNaN(count)) return apiError(req, body, 400, "invalid spare count");
+        try {
+          return apiResult(req, body, await laundryDone(env, id, { count, actor: String(uid), version: expectedVersion(req, body) }));
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          if (e && e.message === 'stock not tracked') return apiError(req, body, 409, "stock not tracked");
+          if (e && e.message === 'version conflict') return apiError(req, body, 409, "version conflict");
           throw e;
         }
-        return json(res);
       }
 
       if (url.pathname === "/api/rooms/refresh" && req.method === "POST") {
         if (!uid) return new Response("unauthorized", { status: 401 });
         const body = await readBody(req);
         const room = (body.room || "").trim();
-        if (!room) return new Response("room required", { status: 400 });
+        if (!room) return apiError(req, body, 400, "room required");
         const out = await refreshByRoom(env, uid, room);
-        return json(out);
+        return apiResult(req, body, out);
+      }
+
+      // QR/NFC-метки: выпустить/переименовать/перевыпустить; отозвать — DELETE (для HTML-форм: POST …/quick-link/revoke)
+      const quickMatch = url.pathname.match(/^\/api\/slots\/([^/]+)\/quick-link(\/revoke)?$/);
+      if (quickMatch && (req.method === "DELETE" || req.method === "POST")) {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        if (!env.WEB_JWT_SECRET) return new Response("WEB_JWT_SECRET not set", { status: 500 });
+        const id = tryDecodeURIComponent(quickMatch[1]);
+        const body = req.method === "POST" ? await readBody(req) : {};
+        if (id == null) return apiError(req, body, 400, "invalid id");
+        try {
+          if (req.method === "DELETE" || quickMatch[2]) return apiResult(req, body, await revokeQuickLink(env, id, { by: uid }));
+          const actor = body.actor != null && body.actor !== "" ? String(body.actor) : undefined;
+          return apiResult(req, body, await getQuickLink(env, id, { by: uid, actor, rotate: Boolean(body.rotate) }));
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          if (e && e.message === 'slot not found') return apiError(req, body, 404, "slot not found");
+          throw e;
+        }
+      }
+
+      // Исходящие вебхуки: список, создание, правка, удаление (для HTML-форм: POST …/delete), тест, журнал доставок
+      if (url.pathname === "/api/webhooks" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        return json(await listWebhooks(env, uid));
+      }
+
+      const webhookMatch = url.pathname.match(/^\/api\/webhooks(?:\/([^/]+))?(?:\/(delete|test|deliveries))?$/);
+      if (webhookMatch && (req.method !== "GET" || webhookMatch[2] === "deliveries")) {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const [, rawId, op] = webhookMatch;
+        const id = rawId ? tryDecodeURIComponent(rawId) : "";
+        const body = req.method === "POST" ? await readBody(req) : {};
+        if (id == null) return apiError(req, body, 400, "invalid id");
+        // Чекбоксы формы панели приходят полями event_<событие>, JSON — массивом или строкой events
+        const events = body.events != null ? body.events : WEBHOOK_EVENTS.some(e => body[`event_${e}`]) ? WEBHOOK_EVENTS.filter(e => body[`event_${e}`]) : undefined;
+        try {
+          if (!id && req.method === "POST") return apiResult(req, body, await createWebhook(env, uid, { url: body.url, events }));
+          if (id && op === "deliveries" && req.method === "GET") return json(await listWebhookDeliveries(env, uid, id));
+          if (id && op === "test" && req.method === "POST") return apiResult(req, body, await sendTestWebhook(env, uid, id));
+          if (id && (req.method === "DELETE" || (req.method === "POST" && op === "delete"))) return apiResult(req, body, await deleteWebhook(env, uid, id));
+          if (id && !op && req.method === "POST") return apiResult(req, body, await updateWebhook(env, uid, id, { url: body.url, events, active: body.active }));
+          return new Response("Not found", { status: 404 });
+        } catch (e) {
+          if (e && e.message === 'webhook not found') return apiError(req, body, 404, "webhook not found");
+          if (e && e.message === 'too many webhooks') return apiError(req, body, 409, "too many webhooks");
+          if (e && (e.message === 'invalid url' || e.message === 'invalid events')) return apiError(req, body, 400, e.message);
+          throw e;
+        }
+      }
+
+      if (url.pathname === "/dashboard/trash" && req.method === "GET") {
+        if (!uid) return needAuthPage(env, translator(langFromRequest(req, env)));
+        return htmlResponse(await renderTrash(env, uid, url.searchParams.get("error") || "", { csrf: await csrfToken(req, env) }));
+      }
+
+      if (url.pathname === "/dashboard/qr" && req.method === "GET") {
+        if (!uid) return needAuthPage(env, translator(langFromRequest(req, env)));
+        if (!env.WEB_JWT_SECRET) return new Response("WEB_JWT_SECRET not set", { status: 500 });
+        return htmlResponse(await renderQuickSheet(env, uid, url.searchParams.get("room"), { csrf: await csrfToken(req, env) }));
+      }
+
+      // Группы (домохозяйство): участники, приглашения, выход/исключение
+      if (url.pathname === "/api/groups" && req.method === "GET") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        return json(await listMembers(env, uid));
+      }
+
+      if (url.pathname === "/api/groups/invite" && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const invite = await createInvite(env, uid);
+        if (!invite) return new Response("WEB_JWT_SECRET not set", { status: 500 });
+        return json(invite);
+      }
+
+      if (url.pathname === "/api/groups/join" && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = await readBody(req);
+        const code = (body.code || "").trim();
+        if (!code) return apiError(req, body, 400, "code required");
+        try {
+          return apiResult(req, body, await joinGroup(env, uid, code));
+        } catch (e) {
+          if (e && e.message === 'invalid invite') return apiError(req, body, 400, "invalid invite");
+          throw e;
+        }
+      }
+
+      if (url.pathname === "/api/groups/leave" && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = await readBody(req);
+        const group_id = (body.group_id || "").trim();
+        if (!group_id) return apiError(req, body, 400, "group_id required");
+        try {
+          return apiResult(req, body, await leaveGroup(env, uid, group_id));
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          throw e;
+        }
+      }
+
+      if (url.pathname === "/api/groups/kick" && req.method === "POST") {
+        if (!uid) return new Response("unauthorized", { status: 401 });
+        const body = await readBody(req);
+        const member = String(body.tg_user_id || "").trim();
+        if (!/^-?\d+$/.test(member)) return apiError(req, body, 400, "tg_user_id required");
+        try {
+          return apiResult(req, body, await kickMember(env, uid, member));
+        } catch (e) {
+          if (e && e.message === 'forbidden') return apiError(req, body, 403, "forbidden");
+          throw e;
+        }
+      }
+
+      // Ссылка-приглашение из /invite: GET только спрашивает, вступление — формой POST с CSRF-защитой
+      if (url.pathname === "/join" && req.method === "GET") {
+        const code = url.searchParams.get("code") || "";
+        if (!code) return new Response("code required", { status: 400 });
+        if (!uid) return joinHintPage(code, translator(langFromRequest(req, env)));
+        const invite = await readInvite(env, code);
+        if (!invite) return new Response("invalid invite", { status: 400 });
+        const t = await getTranslator(env, uid);
+        return joinConfirmPage(code, groupLabel(invite.grp, uid, t), await csrfToken(req, env), t);
+      }
+
+      // Календарная лента: доступ по секретному токену в URL, без сессии
+      // Скан QR/NFC-метки: без сессии, сама ссылка — пропуск
+      const quickScan = url.pathname.match(/^\/q\/([\w.-]+)$/);
+      if (quickScan && req.method === "GET") {
+        return quickResultPage(await quickRefresh(env, quickScan[1]), translator(langFromRequest(req, env)));
+      }
+
+      const calMatch = url.pathname.match(/^\/cal\/([\w-]+)\.ics$/);
+      if (calMatch && req.method === "GET") {
+        const user = await findUserByCalendarToken(env, calMatch[1]);
+        if (!user) return new Response("Not found", { status: 404 });
+        return new Response(await renderCalendar(env, user), { headers: { "content-type": "text/calendar; charset=UTF-8", "cache-control": "no-cache" } });
+      }
+
+      // Админ: разовая миграция Sheets → D1
+      if (url.pathname === "/admin/migrate" && req.method === "POST") {
+        if (!isAdmin(req, env)) return new Response("forbidden", { status: 403 });
+        try {
+          const copied = await migrateSheetsToD1(env, { force: url.searchParams.get("force") === "1" });
+          return json({ ok: true, copied });
+        } catch (e) {
+          if (e && e.message === 'target not empty') return new Response("target not empty (use ?force=1)", { status: 409 });
+          throw e;
+        }
+      }
+
+      // Админ: листы и заголовки по SCHEMA (создать недостающее, дописать новые колонки), версия схемы — в kv
+      if (url.pathname === "/admin/setup" && req.method === "POST") {
+        if (!isAdmin(req, env)) return new Response("forbidden", { status: 403 });
+        const result = await setupSchema(env);
+        return json(result, result.ok ? 200 : 409);
       }
 
       // Диагностика публично
       if (url.pathname === "/diag") {
-        const report = await runDiag(env);
+        const report = await runDiag(env, translator(langFromRequest(req, env)));
         return htmlResponse(report);
       }
 
       return new Response("Not found", { status: 404 });
     } catch (e) {
+      // слот успели изменить между чтением и записью (остальные маршруты) — пусть клиент перечитает
+      if (e && e.message === 'version conflict') return new Response("version conflict", { status: 409 });
       console.error("[fetch] error:", e);
       return new Response("Internal error", { status: 500 });
+    } finally {
+      logStorageCalls(env, `${req.method} ${url.pathname}`);
+      // Вебхуки и прочее «после ответа» — пользователь не ждёт чужих серверов
+      if (env.__scope.deferred.length) ctx.waitUntil(runDeferred(env).finally(() => logStorageCalls(env, `${req.method} ${url.pathname} (после ответа)`)));
     }
   },
 
   async scheduled(event, env, ctx) {
-    ctx.waitUntil(runHourlyReminders(env));
+    env = withRequestScope(env);
+    const run = async () => { await runHourlyReminders(env); await runWebhookCron(env); await purgeExpiredKv(env); await purgeTrash(env); await runDeferred(env); };
+    ctx.waitUntil(run().finally(() => logStorageCalls(env, 'cron')));
+  },
+};
+
+/* =========================
+ * Локализация: каталог сообщений ru/en
+ * ========================= */
+const LANGS = ['ru', 'en'];
+const LANG_LOCALES = { ru: 'ru-RU', en: 'en-GB' };
+const LANG_NAMES = { ru: '🇷🇺 Русский', en: '🇬🇧 English' };
+
+/**
+ * Ключ → строка с подстановками {param} либо формы множественного числа
+ * { one, few, many, other } — форма выбирается Intl.PluralRules по параметру n.
+ * Нет ключа в en — берём ru, нет и там — сам ключ (сразу видно в интерфейсе).
+ */
+const MESSAGES = {
+  ru: {
+    days: { one: '{n} день', few: '{n} дня', many: '{n} дней', other: '{n} дня' },
+    days_short: '{n}д',
+    hours: { one: '{n} час', few: '{n} часа', many: '{n} часов', other: '{n} часа' },
+    minutes: { one: '{n} минуту', few: '{n} минуты', many: '{n} минут', other: '{n} минуты' },
+    threshold_n: 'порог {n}',
+    tech_error: 'Техническая заминка. Уже чищу перья и вернусь 🙏',
+    no_access: 'Нет доступа',
+    done: 'Готово',
+    cancel_hint: '(/cancel — отмена)',
+    system: 'система',
+
+    start_btn_add: '➕ Добавить слот',
+    start_btn_list: '📋 Список',
+    start_btn_settings: '⏰ Настроить время',
+    start_btn_members: '👥 Участники',
+    start_btn_web: '🌐 Веб-панель (вход)',
+    start_text: 'Привет! Я слежу за свежестью слотов полотенец.\n\n'+
+      '— Создай слот: /add (спрошу по шагам) или <code>/add Название | Комната | Дни</code>\n'+
+      '— Позови домашних: <code>/invite</code>, участники: <code>/members</code>\n'+
+      '— Выйти из веб-панели на всех устройствах: <code>/logout_all</code>\n'+
+      '— Сроки замены в твоём календаре: /calendar, статистика: /stats\n'+
+      '— Резервная копия слотов и истории: <code>/export</code> (или <code>/export json</code>)\n'+
+      '— Язык: /lang\n',
+    start_link: '— Открой панель по кнопке ниже (маг-ссылка одноразовая, действует {minutes} минут).',
+    start_no_link: '— Админ: установите WORKER_URL, чтобы появилась кнопка входа.',
+    list_word: 'Список',
+
+    add_format: 'Формат:\n<code>/add Для рук | Ванная | 3</code>\nИли просто /add — спрошу всё по шагам.',
+    cancel_done: 'Отменено.',
+    cancel_nothing: 'Отменять нечего.',
+    sethour_format: 'Формат: <code>/sethour 10</code>',
+    sethour_done: 'Буду писать в {time}.',
+    settz_format: 'Формат: <code>/settz Europe/Moscow</code>',
+    settz_done: 'Часовой пояс обновлён: {tz}',
+    logout_all_done: 'Все веб-сессии завершены: панель попросит войти заново на каждом устройстве.\nНовая ссылка для входа — в /start.',
+    lang_prompt: 'Язык интерфейса сейчас: {current}. Выбери:',
+    lang_format: 'Формат: <code>/lang ru</code> или <code>/lang en</code>',
+    lang_done: 'Готово, теперь говорю по-русски.',
+    stats_title: '📊 Статистика замен',
+    stats_empty: 'Слотов пока нет — считать нечего.',
+    export_format: 'Формат: <code>/export</code> (CSV) или <code>/export json</code>',
+    export_caption: 'Резервная копия: слотов — {slots}, событий в истории — {events}. Загрузить обратно можно в веб-панели.',
+    sug_title: '💡 <b>Порог можно подстроить под ваш ритм</b>',
+    sug_line: '«{name}» меняете примерно раз в {actual}, а порог — {threshold}. Поставить {suggested}?',
+    sug_accept_btn: '✅ {name} → {days}',
+    sug_reject_btn: '✖️ Оставить',
+    sug_rejected: 'Оставили как есть. Про этот слот не напомню {days}.',
+    sug_rejected_plain: 'Оставили как есть.',
+    stats_total: 'Всего: {line}',
+    stats_top: 'Чаще всех меняют: {list}',
+    stats_none: 'замен ещё не было',
+    stats_changes: { one: '{n} замена', few: '{n} замены', many: '{n} замен', other: '{n} замены' },
+    stats_on_time: 'в срок {pct}%',
+    stats_interval: 'в среднем {avg} (медиана {median})',
+    stats_streak: 'серия {n} (рекорд {longest})',
+    stats_no_room: 'Без комнаты',
+    cal_unavailable: 'У администратора не задан WORKER_URL — календарная лента недоступна.',
+    cal_link: '📅 Твоя календарная лента:\n<code>{url}</code>\n\nДобавь её в Google/Apple/Outlook календарь как подписку по URL — сроки замены обновятся сами после «Обновил».\nСсылка секретная. Если она утекла — <code>/calendar new</code> выпустит новую, старая перестанет работать.',
+    cal_rotated: 'Старая ссылка больше не работает. Новая лента:\n<code>{url}</code>',
+    cal_name: 'Полотенца: сроки замены',
+    cal_summary: '🧺 Сменить: {name}',
+    cal_description: 'Последняя замена: {when}. Порог: {days}.',
+
+    invite_unavailable: 'У администратора не задан WEB_JWT_SECRET — приглашения недоступны.',
+    invite_btn_web: '🌐 Вступить через веб-панель',
+    invite_text: 'Приглашение — {group} (действует {ttl}).\nПерешли участнику эту команду — пусть отправит её мне:\n<code>/join {code}</code>',
+    join_format: 'Формат: <code>/join КОД</code> — код выдаёт команда /invite.',
+    join_already: 'Ты уже участник: {group}.',
+    join_done: 'Готово! Теперь ты участник: {group}. Общие слоты уже в /list.',
+    join_invalid: 'Код приглашения неверный или просрочен. Попроси новый через /invite.',
+    history_format: 'Формат: <code>/history Для рук</code>',
+    slot_not_found: 'Слот «{name}» не найден. Посмотри названия в /list.',
+    pick_slot: 'Нашлось несколько слотов — выбери:',
+    stock_format: 'Формат: <code>/stock Для рук | 3</code> — чистых запасных на полке\n<code>/stock Для рук | 3 | 2</code> — и ещё 2 в стирке\n<code>/stock Для рук | -</code> — не вести запас',
+    stock_ambiguous: 'Подходит несколько слотов: {names}. Уточни название.',
+    stock_set: '«{name}»: {stock}.\n«Обновил» берёт полотенце с полки, 🧺 в /list — вернуть постиранные.',
+    stock_off: '«{name}»: запас больше не ведётся.',
+    leave_only_own: 'Ты состоишь только в своей группе — выходить неоткуда.',
+    leave_btn: '🚪 Выйти: {group}',
+    leave_pick: 'Из какой группы выйти?',
+    leave_done: 'Ты больше не участник: {group}.',
+    leave_forbidden: 'Из этой группы выйти нельзя.',
+    kick_format: 'Формат: <code>/kick 123456789</code> — ID участника есть в /members.',
+    kick_not_member: 'Такого участника в твоей группе нет.',
+    kick_done: 'Участник {id} исключён из твоей группы.',
+    kick_self: 'Себя исключить нельзя.',
+
+    edit_menu: 'Что изменить в «{name}»?',
+    edit_btn_rename: '✏️ Переименовать',
+    edit_btn_room: '🚪 Перенести в комнату',
+    edit_btn_threshold: '⏱ Свой порог',
+    settings_text: 'Время: <code>/sethour 10</code>, расписание и тихие часы: /schedule\nПояс: <code>/settz Europe/Moscow</code>\nЯзык: /lang',
+    sched_help: '<b>Расписание уведомлений</b>\n'+
+      '<code>/schedule 9,20</code> — каждый день в 9:00 и 20:00\n'+
+      '<code>/schedule пн-пт 8; сб,вс 11</code> — по будням и выходным по-разному\n'+
+      '<code>/schedule -</code> — снова одно время из /sethour\n'+
+      '<code>/quiet 23-8</code> — тихие часы, <code>/quiet -</code> — выкл.\n'+
+      '<code>/pause 2026-08-01</code> или <code>/pause 14</code> — пауза до даты или на N дней, <code>/pause -</code> — снять\n'+
+      '<code>/digest вс 19</code> — сводка за неделю, <code>/digest -</code> — выкл.',
+    sched_invalid: 'Не понял формат.',
+    sched_saved: 'Сохранено.',
+    sched_time: '⏰ Время: {value}',
+    sched_every_day: 'каждый день в {time}',
+    sched_other_days: 'остальные дни',
+    sched_quiet: '🌙 Тихие часы: {from}–{to}',
+    sched_quiet_off: '🌙 Тихих часов нет',
+    sched_digest: '📊 Сводка за неделю: {day}, {time}',
+    sched_digest_off: '📊 Сводка за неделю выключена',
+    sched_paused: '⏸ Пауза до {date}',
+    digest_title: '📊 <b>Итоги недели</b>',
+    digest_changes: 'Замены: {line}',
+    digest_no_changes: 'За неделю замен не было.',
+    digest_overdue: 'Просрочено сейчас: {list}',
+    digest_all_fresh: 'Сейчас всё свежее 👍',
+    digest_low_stock: 'Заканчиваются запасные: {list}',
+    dashboard_link: 'Вход в веб-панель: {link}\n(Ссылка одноразовая и действует {minutes} минут)',
+    dashboard_unavailable: 'У администратора не задан WORKER_URL — кнопка входа недоступна.',
+    refreshed: 'Обновлено',
+    refreshed_low: 'Обновлено. Чистых запасных осталось: {n}',
+    deleted: 'Удалено',
+    delete_failed: 'Не удалось удалить',
+    trash_moved: '🗑 «{name}» в корзине. Передумали — верните кнопкой ниже или в веб-панели.',
+    undo_btn: '↩️ Вернуть',
+    restored: 'Слот вернулся',
+    restore_failed: 'Не удалось вернуть: корзину уже почистили или нет доступа',
+    snoozed_until: 'Отложено до {when}',
+    wash_done: 'На полке: {n}',
+    wash_empty: 'В стирке пусто',
+    stock_not_tracked_hint: 'Запас не ведётся: /stock',
+    moved: 'Перенесено',
+    kicked: 'Исключён',
+    kick_failed: 'Не удалось исключить',
+    threshold_set: 'Порог: {days}',
+
+    sheets_unavailable: 'Не удалось прочитать таблицу. Дай сервисному аккаунту доступ Редактора к Google Sheets.',
+    no_slots: 'Слотов пока нет. Создай: <code>/add Название | Комната | Дни</code>',
+    list_snoozed: ' • отложен до {when}',
+    slot_created: 'Слот «{name}» ({room}) создан. Группа: {group}. Порог: {days}.',
+    move_btn: '➡️ Перенести: {group}',
+    history_more: '\n…и ещё {n} в веб-панели.',
+    history_empty: 'Событий пока нет.',
+    members_none: 'Групп пока нет. Позови домашних: <code>/invite</code>',
+    member_you: ' (ты)',
+    members_invite_more: 'Позвать ещё: <code>/invite</code>',
+    kick_btn: '🚫 Исключить {id}',
+
+    wizard_name: 'Как назовём слот? Например: <i>Для рук</i>',
+    rename_prompt: 'Новое название для «{name}»?',
+    move_room_prompt: 'В какую комнату перенести «{name}»? Выбери или напиши новую.',
+    threshold_prompt: 'Через сколько дней менять «{name}»? Напиши число от 1 до 365.',
+    too_long: 'Слишком длинно — уложись в {max} символов.',
+    room_prompt: '«{name}» — в какой комнате? Выбери или напиши новую.',
+    need_days: 'Нужно число дней от 1 до 365.',
+    renamed: 'Переименовано: «{name}».',
+    moved_room: 'Перенесено в «{room}».',
+    room_cleared: 'Комната убрана.',
+    dialog_stale: 'Диалог устарел — начни заново',
+    no_such_room: 'Нет такой комнаты',
+    step_done: 'Этот шаг уже пройден',
+    threshold_question: 'Через сколько дней менять? Выбери или напиши число.',
+    update_failed: 'Не получилось: слот удалён или нет доступа.',
+    no_room_btn: 'Без комнаты',
+
+    reminder_daily: 'Напоминание:',
+    reminder_wake: 'Отсрочка закончилась:',
+    reminder_footer: '✅ — уже сменил, 😴/🌙 — отложить (например, полотенце в стирке).',
+    followup_title: '🔁 Всё ещё ждут замены:',
+    escalation_title: '⚠️ Напоминание осталось без ответа:',
+    escalation_line: 'напомнили {who} {hours} назад',
+    escalation_footer: 'Сможешь сменить?',
+    stock_title: '🧺 Заканчиваются чистые запасные:',
+    stock_footer: 'Постирал и разложил — жми 🧺.',
+    wash_btn: '🧺 Постирал: {name}',
+    btn_snooze_day: '😴 +1 день',
+    btn_snooze_eve: '🌙 До вечера',
+    stock_label: '{icon} {clean} чист. / {dirty} в стирке',
+
+    group_mine: 'моя группа',
+    group_n: 'группа {id}',
+    group_chat: 'чат {id}',
+
+    chat_start: 'Привет, чат! Слоты, добавленные здесь, общие: видят и меняют их все участники, а напоминания приходят сюда.\n\n'+
+      'Команды — как в личке: <code>/add</code>, <code>/list</code>, <code>/history</code>. Отвечая на мои вопросы, используйте «Ответить» на моё сообщение.\n'+
+      'Время напоминаний, пояс и язык чата меняют админы; вход в веб-панель и календарь — в личке со мной.',
+    chat_welcome: 'Спасибо, что позвали! Слоты этого чата общие для всех участников. Начните с <code>/start</code> или <code>/add</code>.',
+    chat_private_only: 'Эта команда работает только в личке с ботом.',
+    chat_admin_only: 'Это могут только админы чата.',
+
+    action_CREATE: 'создание',
+    action_REFRESH: 'замена',
+    action_UPDATE: 'правка',
+    action_DELETE: 'удаление',
+    action_SNOOZE: 'отсрочка',
+    action_LAUNDRY: 'стирка',
+    action_STOCK: 'запас',
+    action_IMPORT: 'импорт',
+    action_RESTORE: 'возврат',
+    ev_created: 'создан',
+    ev_snoozed: 'отложен до {when}',
+    ev_deleted: 'удалён в корзину',
+    ev_restored: 'возвращён из корзины',
+    ev_imported: 'импортирован',
+    ev_imported_as: 'импортирован (в файле был id {id})',
+    ev_laundry: 'из стирки вернулось: {n}',
+    ev_stock_off: 'учёт запаса выключен',
+    ev_stock: 'запас: {clean} чистых, {dirty} в стирке',
+    ev_refreshed: 'обновлён',
+    ev_refreshed_room: 'обновлён (вся комната «{room}»)',
+    ev_updated: 'изменён',
+    ev_updated_with: 'изменён: {parts}',
+    ev_renamed: 'переименован в «{name}»',
+    ev_threshold: 'порог {days}',
+    ev_room: 'комната «{room}»',
+    ev_no_room: 'без комнаты',
+    ev_moved: 'перенесён: {group}',
+
+    login_notice: '🔐 Новый вход в веб-панель — {when}\nУстройство: {ua}\nIP: <code>{ip}</code>\nЕсли это были не вы — отправьте /logout_all.',
+    unknown_device: 'неизвестно',
+
+    page_needauth_title: 'Нужен вход',
+    page_needauth_h1: 'Требуется вход',
+    page_needauth_hint: 'Открой <code>/start</code> у бота и нажми «Веб-панель (вход)».',
+    page_needauth_admin: 'Админ: установите секрет <code>WORKER_URL</code> и переотправьте /start в боте',
+    page_join_title: 'Приглашение',
+    page_join_h1: 'Приглашение в группу',
+    page_join_send: 'Отправь боту команду:',
+    page_join_or: 'Или войди в веб-панель через /start у бота и открой эту ссылку ещё раз.',
+    page_join_confirm: 'Вступить в группу «{group}»? Её слоты появятся у тебя в панели и в боте.',
+    page_join_button: 'Вступить',
+    page_loginfail_title: 'Ссылка не сработала',
+    page_loginfail_h1: 'Ссылка недействительна',
+    page_loginfail_text: 'Маг-ссылка одноразовая и живёт {minutes} минут. Открой <code>/start</code> у бота и войди по новой кнопке.',
+    page_noslot_title: 'Нет слота',
+    page_noslot_h1: 'Слот не найден',
+    back_to_dashboard: '← к панели',
+
+    dash_title: 'Свежесть слотов полотенец',
+    dash_logout: 'Выйти',
+    dash_logout_all: 'Выйти на всех устройствах',
+    dash_low_stock: '⚠️ Заканчиваются чистые запасные: {list}',
+    dash_new_name: 'Новый слот, например: Полотенце для рук',
+    dash_room: 'Комната',
+    dash_threshold: 'порог',
+    dash_days_unit: 'дн',
+    dash_spares: 'запасных',
+    dash_spares_none: 'не вести',
+    dash_add: 'Добавить',
+    dash_quick_room: 'Быстро обновить комнату:',
+    dash_quick_room_ph: 'например: Ванная',
+    dash_refresh_all: 'Обновить все',
+    dash_refresh_room: 'Обновить: {room}',
+    dash_filter_room: 'Комната',
+    dash_filter_all: 'все',
+    dash_filter_status: 'Статус',
+    dash_filter_any: 'любой',
+    dash_sort: 'Сортировка',
+    dash_show: 'Показать',
+    dash_status_EXPIRED: '🔴 пора менять',
+    dash_status_WARN: '🟡 скоро',
+    dash_status_OK: '🟢 свежие',
+    dash_status_SNOOZED: '😴 отложенные',
+    dash_sort_status: 'по срочности',
+    dash_sort_name: 'по названию',
+    dash_sort_room: 'по комнате',
+    dash_sort_age: 'по возрасту',
+    dash_sort_stock: 'по запасу',
+    dash_th_status: 'Статус',
+    dash_th_slot: 'Слот',
+    dash_th_room: 'Комната',
+    dash_th_age: 'Возраст, дн',
+    dash_th_threshold: 'Порог, дн',
+    dash_th_score: 'Оценка',
+    dash_th_stock: 'Запас',
+    dash_th_actions: 'Действия',
+    dash_until: 'до {when}',
+    dash_refreshed: 'Обновил',
+    dash_laundry: 'Постирал',
+    dash_laundry_title: 'Вернуть постиранные на полку',
+    dash_edit: 'Изменить',
+    dash_save: 'Сохранить',
+    dash_delete: 'Удалить',
+    dash_clean_spares: 'чистых запасных',
+    dash_in_wash: 'в стирке',
+    dash_household: 'Домохозяйство',
+    dash_stats: 'Статистика',
+    dash_backup: 'Резервная копия',
+    dash_export: 'Скачать слоты, историю и настройки:',
+    dash_import: 'Загрузить',
+    dash_import_skip: 'совпавшие id пропустить',
+    dash_import_new: 'совпавшие id — копией с новым id',
+    dash_qr: 'QR-метки для печати:',
+    dash_qr_all: 'все слоты',
+    qr_title: 'QR-метки',
+    qr_title_room: 'QR-метки: {room}',
+    qr_hint: 'Наклей метку у крючка: скан с телефона отмечает замену без бота. Повторный скан в течение {minutes} мин. ничего не меняет. «Перевыпустить» — старая метка перестанет работать.',
+    qr_actor_hint: 'Кто в истории записан на скан этой метки',
+    qr_save: 'Сохранить',
+    qr_rotate: 'Перевыпустить',
+    qr_create: 'Создать метку',
+    qr_missing: 'Метки ещё нет',
+    qr_print: 'Печать',
+    qr_none: 'В этой комнате нет слотов.',
+    quick_title: 'Towel Tracker',
+    quick_done: '«{name}» — отмечено как заменённое.',
+    quick_repeated: '«{name}» уже отмечено {minutes} назад — повторно не считаю.',
+    quick_stock: 'Чистых запасных: {n}.',
+    quick_stock_low: 'Чистых запасных: {n} — пора постирать.',
+    quick_invalid: 'Метка недействительна: её перевыпустили или отозвали. Распечатай новую в веб-панели.',
+    dash_notify: 'Уведомления',
+    dash_notify_schedule: 'Время',
+    dash_notify_schedule_ph: 'каждый день в {time}',
+    dash_notify_quiet: 'Тихие часы',
+    dash_notify_pause: 'Пауза до',
+    dash_notify_digest: 'Сводка за неделю',
+    dash_notify_digest_ph: 'вс 19',
+    dash_notify_help: 'Время — часы через запятую, по дням недели — правила через «;»: <code>9,20; сб,вс 11</code>. Тихие часы: <code>22-8</code>. Пустое поле — выключить.',
+    dash_sug_title: '💡 Подсказки порога по вашему ритму замен',
+    dash_sug_accept: 'Поставить {days}',
+    dash_sug_reject: 'Оставить',
+    dash_stats_on_time: 'Замены в срок по комнатам, %',
+    dash_stats_interval: 'Средний интервал между заменами, дн (черта — порог)',
+    dash_stats_leaders: 'Кто чаще меняет',
+    dash_stats_empty: 'Статистика появится после первых замен.',
+    dash_kick: 'Исключить',
+    dash_leave: 'Выйти из группы',
+    dash_invite: 'Ссылка-приглашение (действует {ttl}):',
+    dash_join_label: 'Вступить по коду:',
+    dash_join_ph: 'код из /invite',
+    dash_join: 'Вступить',
+    dash_confirm_delete: 'Переместить слот «{name}» в корзину? Вернуть его можно оттуда же.',
+    dash_trashed: '🗑 «{name}» в корзине.',
+    dash_trash: '🗑 Корзина: {n}',
+    trash_title: 'Корзина',
+    trash_hint: 'Удалённые слоты лежат здесь {days}, потом крон стирает их насовсем.',
+    trash_hint_forever: 'Удалённые слоты лежат здесь, пока их не вернут.',
+    trash_empty: 'Корзина пуста.',
+    trash_th_deleted: 'Удалён',
+    trash_th_purge: 'Исчезнет',
+    trash_restore: 'Вернуть',
+    dash_save_failed: 'Не удалось сохранить изменения',
+    'err_forbidden': 'Нет доступа к этому слоту или группе',
+    'err_slot not found': 'Слот не найден — возможно, его уже удалили',
+    'err_name required': 'Укажите название слота',
+    'err_name too long': 'Слишком длинное название слота',
+    'err_room required': 'Укажите комнату',
+    'err_invalid threshold_days': 'Порог — целое число дней от 1 до 365',
+    'err_invalid spare count': 'Запас — целое число от 0 до 999',
+    'err_stock not tracked': 'Для этого слота запас не ведётся',
+    'err_code required': 'Введите код приглашения',
+    'err_invalid invite': 'Приглашение недействительно или устарело',
+    'err_invalid decision': 'Подсказку можно только принять или отклонить',
+    'err_invalid import': 'Не удалось прочитать файл — нужен экспорт в CSV или JSON',
+    'err_import too large': 'Файл слишком большой',
+    'err_invalid conflict': 'Неизвестный способ обработки совпавших id',
+    'err_invalid url': 'Нужен адрес https://…',
+    'err_invalid events': 'Неизвестное событие вебхука',
+    'err_too many webhooks': 'Вебхуков уже максимум — удалите лишний',
+    'err_webhook not found': 'Вебхук не найден',
+    'err_version conflict': 'Слот только что изменили — обновите страницу и повторите',
+    dash_webhooks: 'Вебхуки',
+    dash_wh_hint: 'POST с JSON на ваш адрес при смене статуса слота и действиях с ним — например, для Home Assistant. Подпись: заголовок X-Towel-Signature = sha256=HMAC тела на секрете.',
+    dash_wh_all_events: 'все события',
+    dash_wh_never: 'ещё не отправляли',
+    dash_wh_ok: '✓ {response}, {when}',
+    dash_wh_retrying: '⏳ {response}, {when}; повтор {next}',
+    dash_wh_failed: '✗ {response}, {when}; попыток: {attempts}, больше не повторяем',
+    dash_wh_secret: 'секрет',
+    dash_wh_test: 'Тестовое событие',
+    dash_wh_pause: 'Приостановить',
+    dash_wh_resume: 'Включить',
+    dash_wh_delete: 'Удалить',
+    dash_wh_add: 'Добавить вебхук',
+    'wh_event_slot.status': 'смена статуса',
+    'wh_event_slot.refresh': 'замена',
+    'wh_event_slot.create': 'новый слот',
+    'wh_event_slot.delete': 'удаление',
+    'err_invalid schedule': 'Время — часы 0–23 через запятую, по дням: «пн-пт 8; сб,вс 11»',
+    'err_invalid quiet_hours': 'Тихие часы — два часа через дефис, например 22-8',
+    'err_invalid pause_until': 'Пауза — дата в будущем',
+    'err_invalid digest': 'Сводка — день недели и час, например «вс 19»',
+
+    hist_title: 'История — {name}',
+    hist_meta: '{room} • возраст {age} • порог {threshold} • последняя замена {when}',
+    hist_all_actions: 'все действия',
+    hist_actor_ph: 'кто (Telegram ID)',
+    hist_filter: 'Фильтр',
+    hist_th_when: 'Когда',
+    hist_th_action: 'Действие',
+    hist_th_what: 'Что',
+    hist_th_who: 'Кто',
+    hist_none: 'Событий нет',
+    hist_total: 'Всего: {n}.',
+    hist_newer: '← новее',
+    hist_older: 'старше →',
+
+    diag_title: 'Диагностика',
+    diag_check: 'Проверка',
+    diag_details: 'Детали',
+    diag_d1_binding: 'D1 — биндинг DB',
+    diag_rows: { one: '{n} строка', few: '{n} строки', many: '{n} строк', other: '{n} строки' },
+    diag_sheet_ok: 'заголовок в порядке, колонок: {n}',
+    diag_sheet_missing: 'листа нет — его создаст POST /admin/setup',
+    diag_sheet_add: 'не хватает колонок: {list} — допишет POST /admin/setup',
+    diag_sheet_rename: 'старые названия: {list} — переименует POST /admin/setup',
+    diag_sheet_conflict: 'чужие колонки: {list} — поправьте заголовок вручную',
+    diag_sheet_extra: 'лишние колонки справа (не читаются): {list}',
+    diag_schema: 'Версия схемы',
+    diag_schema_current: 'v{stored}',
+    diag_schema_outdated: 'записана v{stored}, нужна v{expected} — запустите POST /admin/setup',
+  },
+  en: {
+    days: { one: '{n} day', other: '{n} days' },
+    days_short: '{n}d',
+    hours: { one: '{n} hour', other: '{n} hours' },
+    minutes: { one: '{n} minute', other: '{n} minutes' },
+    threshold_n: 'limit {n}',
+    tech_error: 'Something went wrong on my side. Preening my feathers, back soon 🙏',
+    no_access: 'No access',
+    done: 'Done',
+    cancel_hint: '(/cancel to abort)',
+    system: 'system',
+
+    start_btn_add: '➕ Add slot',
+    start_btn_list: '📋 List',
+    start_btn_settings: '⏰ Reminder time',
+    start_btn_members: '👥 Members',
+    start_btn_web: '🌐 Web dashboard (sign in)',
+    start_text: 'Hi! I keep track of how fresh your towels are.\n\n'+
+      '— Create a slot: /add (step by step) or <code>/add Name | Room | Days</code>\n'+
+      '— Invite your household: <code>/invite</code>, members: <code>/members</code>\n'+
+      '— Sign out of the web dashboard everywhere: <code>/logout_all</code>\n'+
+      '— Due dates in your calendar: /calendar, statistics: /stats\n'+
+      '— Back up your slots and history: <code>/export</code> (or <code>/export json</code>)\n'+
+      '— Language: /lang\n',
+    start_link: '— Open the dashboard with the button below (single-use magic link, valid for {minutes} minutes).',
+    start_no_link: '— Admin: set WORKER_URL to enable the sign-in button.',
+    list_word: 'List',
+
+    add_format: 'Format:\n<code>/add Hand towel | Bathroom | 3</code>\nOr just /add and I will ask step by step.',
+    cancel_done: 'Cancelled.',
+    cancel_nothing: 'Nothing to cancel.',
+    sethour_format: 'Format: <code>/sethour 10</code>',
+    sethour_done: 'I will message you at {time}.',
+    settz_format: 'Format: <code>/settz Europe/London</code>',
+    settz_done: 'Time zone updated: {tz}',
+    logout_all_done: 'All web sessions are closed: every device will have to sign in again.\nGet a new sign-in link with /start.',
+    lang_prompt: 'Current language: {current}. Choose:',
+    lang_format: 'Format: <code>/lang ru</code> or <code>/lang en</code>',
+    lang_done: 'Done, I will speak English from now on.',
+    stats_title: '📊 Change statistics',
+    stats_empty: 'No slots yet, nothing to count.',
+    export_format: 'Format: <code>/export</code> (CSV) or <code>/export json</code>',
+    export_caption: 'Backup: {slots} slots, {events} history events. You can upload it back in the web dashboard.',
+    sug_title: '💡 <b>Limits could match your rhythm better</b>',
+    sug_line: 'You change “{name}” about every {actual}, but the limit is {threshold}. Set it to {suggested}?',
+    sug_accept_btn: '✅ {name} → {days}',
+    sug_reject_btn: '✖️ Keep',
+    sug_rejected: 'Kept as is. I won’t suggest this slot again for {days}.',
+    sug_rejected_plain: 'Kept as is.',
+    stats_total: 'Total: {line}',
+    stats_top: 'Most changes by: {list}',
+    stats_none: 'no changes yet',
+    stats_changes: { one: '{n} change', other: '{n} changes' },
+    stats_on_time: '{pct}% on time',
+    stats_interval: 'avg {avg} (median {median})',
+    stats_streak: 'streak {n} (best {longest})',
+    stats_no_room: 'No room',
+    cal_unavailable: 'WORKER_URL is not set by the admin, so the calendar feed is unavailable.',
+    cal_link: '📅 Your calendar feed:\n<code>{url}</code>\n\nAdd it to Google/Apple/Outlook as a calendar subscription by URL; due dates update by themselves after “Refreshed”.\nKeep the link secret. If it leaks, <code>/calendar new</code> issues a new one and the old one stops working.',
+    cal_rotated: 'The old link no longer works. Your new feed:\n<code>{url}</code>',
+    cal_name: 'Towels: due dates',
+    cal_summary: '🧺 Change: {name}',
+    cal_description: 'Last changed: {when}. Limit: {days}.',
+
+    invite_unavailable: 'WEB_JWT_SECRET is not set by the admin, so invites are unavailable.',
+    invite_btn_web: '🌐 Join via web dashboard',
+    invite_text: 'Invite to {group} (valid for {ttl}).\nForward this command to the person and ask them to send it to me:\n<code>/join {code}</code>',
+    join_format: 'Format: <code>/join CODE</code>. Get the code with /invite.',
+    join_already: 'You are already a member: {group}.',
+    join_done: 'Done! You are now a member: {group}. Shared slots are in /list.',
+    join_invalid: 'The invite code is invalid or expired. Ask for a new one with /invite.',
+    history_format: 'Format: <code>/history Hand towel</code>',
+    slot_not_found: 'Slot “{name}” not found. Check the names in /list.',
+    pick_slot: 'Several slots match, pick one:',
+    stock_format: 'Format: <code>/stock Hand towel | 3</code> for clean spares on the shelf\n<code>/stock Hand towel | 3 | 2</code> plus 2 in the wash\n<code>/stock Hand towel | -</code> to stop tracking spares',
+    stock_ambiguous: 'Several slots match: {names}. Please be more specific.',
+    stock_set: '“{name}”: {stock}.\n“Refreshed” takes a towel from the shelf; 🧺 in /list returns washed ones.',
+    stock_off: '“{name}”: spares are no longer tracked.',
+    leave_only_own: 'You are only in your own group, there is nothing to leave.',
+    leave_btn: '🚪 Leave: {group}',
+    leave_pick: 'Which group do you want to leave?',
+    leave_done: 'You are no longer a member: {group}.',
+    leave_forbidden: 'You cannot leave this group.',
+    kick_format: 'Format: <code>/kick 123456789</code>. Member IDs are listed in /members.',
+    kick_not_member: 'There is no such member in your group.',
+    kick_done: 'Member {id} has been removed from your group.',
+    kick_self: 'You cannot remove yourself.',
+
+    edit_menu: 'What do you want to change in “{name}”?',
+    edit_btn_rename: '✏️ Rename',
+    edit_btn_room: '🚪 Move to room',
+    edit_btn_threshold: '⏱ Custom limit',
+    settings_text: 'Time: <code>/sethour 10</code>, schedule and quiet hours: /schedule\nTime zone: <code>/settz Europe/London</code>\nLanguage: /lang',
+    sched_help: '<b>Notification schedule</b>\n'+
+      '<code>/schedule 9,20</code> — every day at 9:00 and 20:00\n'+
+      '<code>/schedule mon-fri 8; sat,sun 11</code> — different times on weekdays and weekends\n'+
+      '<code>/schedule -</code> — back to the single time from /sethour\n'+
+      '<code>/quiet 23-8</code> — quiet hours, <code>/quiet -</code> — off\n'+
+      '<code>/pause 2026-08-01</code> or <code>/pause 14</code> — pause until a date or for N days, <code>/pause -</code> — resume\n'+
+      '<code>/digest sun 19</code> — weekly summary, <code>/digest -</code> — off',
+    sched_invalid: 'I could not read that format.',
+    sched_saved: 'Saved.',
+    sched_time: '⏰ Time: {value}',
+    sched_every_day: 'every day at {time}',
+    sched_other_days: 'other days',
+    sched_quiet: '🌙 Quiet hours: {from}–{to}',
+    sched_quiet_off: '🌙 No quiet hours',
+    sched_digest: '📊 Weekly summary: {day}, {time}',
+    sched_digest_off: '📊 Weekly summary is off',
+    sched_paused: '⏸ Paused until {date}',
+    digest_title: '📊 <b>Your week</b>',
+    digest_changes: 'Changes: {line}',
+    digest_no_changes: 'No changes this week.',
+    digest_overdue: 'Overdue now: {list}',
+    digest_all_fresh: 'Everything is fresh right now 👍',
+    digest_low_stock: 'Running out of spares: {list}',
+    dashboard_link: 'Sign in to the web dashboard: {link}\n(Single-use link, valid for {minutes} minutes)',
+    dashboard_unavailable: 'WORKER_URL is not set by the admin, so sign-in is unavailable.',
+    refreshed: 'Refreshed',
+    refreshed_low: 'Refreshed. Clean spares left: {n}',
+    deleted: 'Deleted',
+    delete_failed: 'Could not delete',
+    trash_moved: '🗑 “{name}” is in the trash. Changed your mind? Bring it back with the button below or from the web dashboard.',
+    undo_btn: '↩️ Undo',
+    restored: 'Slot restored',
+    restore_failed: 'Could not restore: the trash was already emptied or you have no access',
+    snoozed_until: 'Snoozed until {when}',
+    wash_done: 'On the shelf: {n}',
+    wash_empty: 'Nothing in the wash',
+    stock_not_tracked_hint: 'Spares are not tracked: /stock',
+    moved: 'Moved',
+    kicked: 'Removed',
+    kick_failed: 'Could not remove',
+    threshold_set: 'Limit: {days}',
+
+    sheets_unavailable: 'Could not read the spreadsheet. Give the service account Editor access to Google Sheets.',
+    no_slots: 'No slots yet. Create one: <code>/add Name | Room | Days</code>',
+    list_snoozed: ' • snoozed until {when}',
+    slot_created: 'Slot “{name}” ({room}) created. Group: {group}. Limit: {days}.',
+    move_btn: '➡️ Move to: {group}',
+    history_more: '\n…and {n} more in the web dashboard.',
+    history_empty: 'No events yet.',
+    members_none: 'No groups yet. Invite your household: <code>/invite</code>',
+    member_you: ' (you)',
+    members_invite_more: 'Invite more: <code>/invite</code>',
+    kick_btn: '🚫 Remove {id}',
+
+    wizard_name: 'What should we call the slot? For example: <i>Hand towel</i>',
+    rename_prompt: 'New name for “{name}”?',
+    move_room_prompt: 'Which room should “{name}” move to? Pick one or type a new one.',
+    threshold_prompt: 'How many days before “{name}” needs changing? Send a number from 1 to 365.',
+    too_long: 'Too long, please keep it within {max} characters.',
+    room_prompt: '“{name}”: which room? Pick one or type a new one.',
+    need_days: 'I need a number of days from 1 to 365.',
+    renamed: 'Renamed: “{name}”.',
+    moved_room: 'Moved to “{room}”.',
+    room_cleared: 'Room removed.',
+    dialog_stale: 'This dialog has expired, please start again',
+    no_such_room: 'No such room',
+    step_done: 'This step is already done',
+    threshold_question: 'How many days before it needs changing? Pick or type a number.',
+    update_failed: 'That did not work: the slot was deleted or you have no access.',
+    no_room_btn: 'No room',
+
+    reminder_daily: 'Reminder:',
+    reminder_wake: 'Snooze is over:',
+    reminder_footer: '✅ already changed, 😴/🌙 snooze (e.g. the towel is in the wash).',
+    followup_title: '🔁 Still waiting to be changed:',
+    escalation_title: '⚠️ A reminder went unanswered:',
+    escalation_line: '{who} was reminded {hours} ago',
+    escalation_footer: 'Can you change it?',
+    stock_title: '🧺 Running out of clean spares:',
+    stock_footer: 'Washed and put them back? Tap 🧺.',
+    wash_btn: '🧺 Washed: {name}',
+    btn_snooze_day: '😴 +1 day',
+    btn_snooze_eve: '🌙 Until evening',
+    stock_label: '{icon} {clean} clean / {dirty} in wash',
+
+    group_mine: 'my group',
+    group_n: 'group {id}',
+    group_chat: 'chat {id}',
+
+    chat_start: 'Hi, chat! Slots added here are shared: every member can see and change them, and reminders arrive here.\n\n'+
+      'Commands work as in private: <code>/add</code>, <code>/list</code>, <code>/history</code>. When I ask something, use “Reply” on my message.\n'+
+      'Reminder time, time zone and language of the chat are changed by admins; the web dashboard and calendar are in a private chat with me.',
+    chat_welcome: 'Thanks for adding me! Slots of this chat are shared by all members. Start with <code>/start</code> or <code>/add</code>.',
+    chat_private_only: 'This command only works in a private chat with the bot.',
+    chat_admin_only: 'Only chat admins can do this.',
+
+    action_CREATE: 'creation',
+    action_REFRESH: 'refresh',
+    action_UPDATE: 'edit',
+    action_DELETE: 'deletion',
+    action_SNOOZE: 'snooze',
+    action_LAUNDRY: 'laundry',
+    action_STOCK: 'spares',
+    action_IMPORT: 'import',
+    action_RESTORE: 'restore',
+    ev_created: 'created',
+    ev_snoozed: 'snoozed until {when}',
+    ev_deleted: 'moved to the trash',
+    ev_restored: 'restored from the trash',
+    ev_imported: 'imported',
+    ev_imported_as: 'imported (id in the file was {id})',
+    ev_laundry: 'back from the wash: {n}',
+    ev_stock_off: 'spare tracking turned off',
+    ev_stock: 'spares: {clean} clean, {dirty} in wash',
+    ev_refreshed: 'refreshed',
+    ev_refreshed_room: 'refreshed (whole room “{room}”)',
+    ev_updated: 'edited',
+    ev_updated_with: 'edited: {parts}',
+    ev_renamed: 'renamed to “{name}”',
+    ev_threshold: 'limit {days}',
+    ev_room: 'room “{room}”',
+    ev_no_room: 'no room',
+    ev_moved: 'moved: {group}',
+
+    login_notice: '🔐 New web dashboard sign-in: {when}\nDevice: {ua}\nIP: <code>{ip}</code>\nIf this was not you, send /logout_all.',
+    unknown_device: 'unknown',
+
+    page_needauth_title: 'Sign-in required',
+    page_needauth_h1: 'Sign-in required',
+    page_needauth_hint: 'Send <code>/start</code> to the bot and tap “Web dashboard (sign in)”.',
+    page_needauth_admin: 'Admin: set the <code>WORKER_URL</code> secret and send /start to the bot again',
+    page_join_title: 'Invite',
+    page_join_h1: 'Group invite',
+    page_join_send: 'Send this command to the bot:',
+    page_join_or: 'Or sign in to the web dashboard via /start in the bot and open this link again.',
+    page_join_confirm: 'Join the group “{group}”? Its slots will show up in your dashboard and in the bot.',
+    page_join_button: 'Join',
+    page_loginfail_title: 'Link did not work',
+    page_loginfail_h1: 'Invalid link',
+    page_loginfail_text: 'Magic links are single-use and live for {minutes} minutes. Send <code>/start</code> to the bot and use the new button.',
+    page_noslot_title: 'No slot',
+    page_noslot_h1: 'Slot not found',
+    back_to_dashboard: '← back to dashboard',
+
+    dash_title: 'Towel slot freshness',
+    dash_logout: 'Sign out',
+    dash_logout_all: 'Sign out everywhere',
+    dash_low_stock: '⚠️ Running out of clean spares: {list}',
+    dash_new_name: 'New slot, e.g. Hand towel',
+    dash_room: 'Room',
+    dash_threshold: 'limit',
+    dash_days_unit: 'days',
+    dash_spares: 'spares',
+    dash_spares_none: 'not tracked',
+    dash_add: 'Add',
+    dash_quick_room: 'Quick refresh a room:',
+    dash_quick_room_ph: 'e.g. Bathroom',
+    dash_refresh_all: 'Refresh all',
+    dash_refresh_room: 'Refresh: {room}',
+    dash_filter_room: 'Room',
+    dash_filter_all: 'all',
+    dash_filter_status: 'Status',
+    dash_filter_any: 'any',
+    dash_sort: 'Sort',
+    dash_show: 'Show',
+    dash_status_EXPIRED: '🔴 change now',
+    dash_status_WARN: '🟡 soon',
+    dash_status_OK: '🟢 fresh',
+    dash_status_SNOOZED: '😴 snoozed',
+    dash_sort_status: 'by urgency',
+    dash_sort_name: 'by name',
+    dash_sort_room: 'by room',
+    dash_sort_age: 'by age',
+    dash_sort_stock: 'by spares',
+    dash_th_status: 'Status',
+    dash_th_slot: 'Slot',
+    dash_th_room: 'Room',
+    dash_th_age: 'Age, days',
+    dash_th_threshold: 'Limit, days',
+    dash_th_score: 'Score',
+    dash_th_stock: 'Spares',
+    dash_th_actions: 'Actions',
+    dash_until: 'until {when}',
+    dash_refreshed: 'Refreshed',
+    dash_laundry: 'Washed',
+    dash_laundry_title: 'Return washed towels to the shelf',
+    dash_edit: 'Edit',
+    dash_save: 'Save',
+    dash_delete: 'Delete',
+    dash_clean_spares: 'clean spares',
+    dash_in_wash: 'in wash',
+    dash_household: 'Household',
+    dash_stats: 'Statistics',
+    dash_backup: 'Backup',
+    dash_export: 'Download slots, history and settings:',
+    dash_import: 'Upload',
+    dash_import_skip: 'skip matching ids',
+    dash_import_new: 'copy matching ids under a new id',
+    dash_qr: 'Printable QR tags:',
+    dash_qr_all: 'all slots',
+    qr_title: 'QR tags',
+    qr_title_room: 'QR tags: {room}',
+    qr_hint: 'Stick a tag next to the hook: scanning it with a phone marks the change without the bot. Scanning again within {minutes} min changes nothing. “Reissue” makes the old tag stop working.',
+    qr_actor_hint: 'Who the history records for scans of this tag',
+    qr_save: 'Save',
+    qr_rotate: 'Reissue',
+    qr_create: 'Create tag',
+    qr_missing: 'No tag yet',
+    qr_print: 'Print',
+    qr_none: 'No slots in this room.',
+    quick_title: 'Towel Tracker',
+    quick_done: '“{name}” marked as changed.',
+    quick_repeated: '“{name}” was already marked {minutes} ago — not counting it twice.',
+    quick_stock: 'Clean spares: {n}.',
+    quick_stock_low: 'Clean spares: {n} — time to do laundry.',
+    quick_invalid: 'This tag is no longer valid: it was reissued or revoked. Print a new one from the web dashboard.',
+    dash_notify: 'Notifications',
+    dash_notify_schedule: 'Time',
+    dash_notify_schedule_ph: 'every day at {time}',
+    dash_notify_quiet: 'Quiet hours',
+    dash_notify_pause: 'Paused until',
+    dash_notify_digest: 'Weekly summary',
+    dash_notify_digest_ph: 'sun 19',
+    dash_notify_help: 'Time is a comma-separated list of hours; per-weekday rules are separated by “;”: <code>9,20; sat,sun 11</code>. Quiet hours: <code>22-8</code>. Leave a field empty to turn it off.',
+    dash_sug_title: '💡 Limit suggestions based on how often you change',
+    dash_sug_accept: 'Set {days}',
+    dash_sug_reject: 'Keep',
+    dash_stats_on_time: 'On-time changes by room, %',
+    dash_stats_interval: 'Average interval between changes, days (line is the limit)',
+    dash_stats_leaders: 'Who changes most',
+    dash_stats_empty: 'Statistics will appear after the first changes.',
+    dash_kick: 'Remove',
+    dash_leave: 'Leave group',
+    dash_invite: 'Invite link (valid for {ttl}):',
+    dash_join_label: 'Join with a code:',
+    dash_join_ph: 'code from /invite',
+    dash_join: 'Join',
+    dash_confirm_delete: 'Move slot “{name}” to the trash? You can restore it from there.',
+    dash_trashed: '🗑 “{name}” is in the trash.',
+    dash_trash: '🗑 Trash: {n}',
+    trash_title: 'Trash',
+    trash_hint: 'Deleted slots stay here for {days}, then the cron removes them for good.',
+    trash_hint_forever: 'Deleted slots stay here until someone restores them.',
+    trash_empty: 'The trash is empty.',
+    trash_th_deleted: 'Deleted',
+    trash_th_purge: 'Gone on',
+    trash_restore: 'Restore',
+    dash_save_failed: 'Could not save changes',
+    'err_forbidden': 'You have no access to this slot or group',
+    'err_slot not found': 'Slot not found, it may have been deleted already',
+    'err_name required': 'Please enter a slot name',
+    'err_name too long': 'The slot name is too long',
+    'err_room required': 'Please enter a room',
+    'err_invalid threshold_days': 'The limit must be a whole number of days from 1 to 365',
+    'err_invalid spare count': 'Spares must be a whole number from 0 to 999',
+    'err_stock not tracked': 'Spares are not tracked for this slot',
+    'err_code required': 'Please enter an invite code',
+    'err_invalid invite': 'The invite is invalid or expired',
+    'err_invalid decision': 'A suggestion can only be accepted or declined',
+    'err_invalid import': 'Could not read the file; upload a CSV or JSON export',
+    'err_import too large': 'The file is too large',
+    'err_invalid conflict': 'Unknown way to handle matching ids',
+    'err_invalid url': 'An https://… address is required',
+    'err_invalid events': 'Unknown webhook event',
+    'err_too many webhooks': 'Webhook limit reached — delete one first',
+    'err_webhook not found': 'Webhook not found',
+    'err_version conflict': 'The slot was just changed by someone else — reload the page and try again',
+    dash_webhooks: 'Webhooks',
+    dash_wh_hint: 'A JSON POST to your URL when a slot changes status or is acted on, e.g. for Home Assistant. Signature: X-Towel-Signature header = sha256=HMAC of the body with the secret.',
+    dash_wh_all_events: 'all events',
+    dash_wh_never: 'nothing sent yet',
+    dash_wh_ok: '✓ {response}, {when}',
+    dash_wh_retrying: '⏳ {response}, {when}; retry {next}',
+    dash_wh_failed: '✗ {response}, {when}; {attempts} attempts, giving up',
+    dash_wh_secret: 'secret',
+    dash_wh_test: 'Send test event',
+    dash_wh_pause: 'Pause',
+    dash_wh_resume: 'Resume',
+    dash_wh_delete: 'Delete',
+    dash_wh_add: 'Add webhook',
+    'wh_event_slot.status': 'status change',
+    'wh_event_slot.refresh': 'refresh',
+    'wh_event_slot.create': 'new slot',
+    'wh_event_slot.delete': 'deletion',
+    'err_invalid schedule': 'Time is a list of hours 0–23; per weekday: “mon-fri 8; sat,sun 11”',
+    'err_invalid quiet_hours': 'Quiet hours are two hours with a dash, e.g. 22-8',
+    'err_invalid pause_until': 'The pause needs a date in the future',
+    'err_invalid digest': 'The summary needs a weekday and an hour, e.g. “sun 19”',
+
+    hist_title: 'History: {name}',
+    hist_meta: '{room} • age {age} • limit {threshold} • last changed {when}',
+    hist_all_actions: 'all actions',
+    hist_actor_ph: 'who (Telegram ID)',
+    hist_filter: 'Filter',
+    hist_th_when: 'When',
+    hist_th_action: 'Action',
+    hist_th_what: 'What',
+    hist_th_who: 'Who',
+    hist_none: 'No events',
+    hist_total: 'Total: {n}.',
+    hist_newer: '← newer',
+    hist_older: 'older →',
+
+    diag_title: 'Diagnostics',
+    diag_check: 'Check',
+    diag_details: 'Details',
+    diag_d1_binding: 'D1: DB binding',
+    diag_rows: { one: '{n} row', other: '{n} rows' },
+    diag_sheet_ok: 'header is fine, {n} columns',
+    diag_sheet_missing: 'no such tab — POST /admin/setup will create it',
+    diag_sheet_add: 'missing columns: {list} — POST /admin/setup will add them',
+    diag_sheet_rename: 'old column names: {list} — POST /admin/setup will rename them',
+    diag_sheet_conflict: 'unexpected columns: {list} — fix the header by hand',
+    diag_sheet_extra: 'extra columns on the right (not read): {list}',
+    diag_schema: 'Schema version',
+    diag_schema_current: 'v{stored}',
+    diag_schema_outdated: 'recorded v{stored}, expected v{expected} — run POST /admin/setup',
   },
 };
 
+const pluralRulesCache = new Map();
+const numberFormatCache = new Map();
+
+// Дробные числа — в записи языка: «2,5 дня» / «2.5 days»
+function translate(lang, key, params = {}) {
+  const locale = LANG_LOCALES[lang] || lang;
+  let msg = MESSAGES[lang]?.[key] ?? MESSAGES.ru[key] ?? key;
+  if (typeof msg === 'object') {
+    if (!pluralRulesCache.has(lang)) pluralRulesCache.set(lang, new Intl.PluralRules(locale));
+    msg = msg[pluralRulesCache.get(lang).select(Number(params.n) || 0)] ?? msg.other;
+  }
+  return msg.replace(/\{(\w+)\}/g, (m, k) => {
+    const v = params[k];
+    if (v == null) return m;
+    if (typeof v !== 'number' || Number.isInteger(v)) return String(v);
+    if (!numberFormatCache.has(lang)) numberFormatCache.set(lang, new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }));
+    return numberFormatCache.get(lang).format(v);
+  });
+}
+
+// t('days', { n: 5 }) → «5 дней»; t.lang — код языка (для дат и т.п.)
+function translator(lang) {
+  const t = (key, params) => translate(lang, key, params);
+  t.lang = lang;
+  return t;
+}
+
+// Язык по умолчанию для неизвестных клиентов — DEFAULT_LANG (ru)
+function defaultLang(env) {
+  return LANGS.includes(env.DEFAULT_LANG) ? env.DEFAULT_LANG : 'ru';
+}
+
+// language_code из Telegram / Accept-Language: русский — ru, любой другой — en
+function langFromCode(code, env) {
+  const base = String(code || '').trim().toLowerCase().split(/[-_;,]/)[0];
+  if (!base) return defaultLang(env);
+  return LANGS.includes(base) ? base : 'en';
+}
+
+function langFromRequest(req, env) {
+  const first = (req.headers.get('accept-language') || '').split(',')[0];
+  return langFromCode(first, env);
+}
+
+async function getUserLang(env, tgUserId, hint = '') {
+  const users = await getStore(env).all('users');
+  const u = users.find(r => r.tg_user_id === String(tgUserId));
+  return LANGS.includes(u?.lang) ? u.lang : langFromCode(hint, env);
+}
+
+async function getTranslator(env, tgUserId, hint = '') {
+  return translator(await getUserLang(env, tgUserId, hint));
+}
+
 /* =========================
  * Telegram: апдейты и UI
  * ========================= */
@@ -171,527 +1513,4296 @@ async function handleTelegramUpdate(update, env) {
 
 async function onMessage(msg, env) {
   const chatId = msg.chat.id;
-  const text = (msg.text || "").trim();
+  const chat = chatContext(msg.chat, msg.from);
+  const actor = String(chat.user);
+  // В группах команды приходят как /list@имя_бота; команды другим ботам чата не наши
+  let text = (msg.text || "").trim();
+  const mention = text.match(/^(\/\w+)@(\w+)/);
+  if (mention) {
+    const own = await tgBotUsername(env);
+    if (own && mention[2].toLowerCase() !== own.toLowerCase()) return;
+    text = mention[1] + text.slice(mention[0].length);
+  }
+  const hint = msg.from?.language_code || "";
+
+  if (chat.group) {
+    if (await onChatServiceMessage(env, msg)) return;
+    // Обычная переписка чата нас не касается — только команды и ответы на сообщения бота (шаги диалога)
+    if (!text.startsWith("/") && String(msg.reply_to_message?.from?.id) !== botUserId(env)) return;
+  }
 
-  try { await ensureUser(env, chatId); } catch (e) { console.error("ensureUser failed", e); }
+  // Язык нового пользователя — из language_code Telegram, дальше его меняет /lang
+  try {
+    await ensureUser(env, chatId, { lang: langFromCode(hint, env) });
+    if (chat.group && msg.from && !msg.from.is_bot) await ensureChatMember(env, chatId, chat.user);
+  } catch (e) { console.error("ensureUser failed", e); }
+  const t = await getTranslator(env, chatId, hint).catch(() => translator(langFromCode(hint, env)));
+
+  if (chat.group) {
+    const command = text.split(/\s/)[0];
+    if (PRIVATE_ONLY_COMMANDS.includes(command)) return tgSend(env, chatId, t("chat_private_only"));
+    if (CHAT_ADMIN_COMMANDS.includes(command) && !(await isChatAdmin(env, chatId, chat.user))) return tgSend(env, chatId, t("chat_admin_only"));
+  }
+
+  if (text.startsWith("/start") && chat.group) {
+    return tgSend(env, chatId, t("chat_start"), [
+      [ { text: t("start_btn_add"), callback_data: "ui:add" }, { text: t("start_btn_list"), callback_data: "ui:list" } ],
+      [ { text: t("start_btn_settings"), callback_data: "ui:settings" }, { text: t("start_btn_members"), callback_data: "ui:members" } ],
+    ]);
+  }
 
   if (text.startsWith("/start")) {
-    const link = await magicLink(env, chatId, 45 * 60); // 15 минут на вход
+    const link = await magicLink(env, chatId);
     const buttons = [
-      [ { text: "➕ Добавить слот", callback_data: "ui:add" }, { text: "📋 Список", callback_data: "ui:list" } ],
-      [ { text: "⏰ Настроить время", callback_data: "ui:settings" } ],
-      ...(link ? [ [ { text: "🌐 Веб-панель (вход)", url: link } ] ] : []),
+      [ { text: t("start_btn_add"), callback_data: "ui:add" }, { text: t("start_btn_list"), callback_data: "ui:list" } ],
+      [ { text: t("start_btn_settings"), callback_data: "ui:settings" }, { text: t("start_btn_members"), callback_data: "ui:members" } ],
+      ...(link ? [ [ { text: t("start_btn_web"), url: link } ] ] : []),
     ];
     await tgSend(env, chatId,
-      "Привет! Я слежу за свежестью слотов полотенец.\n\n"+
-      "— Создай слот: <code>/add Название | Комната | Дни</code>\n"+
-      (link ? "— Открой панель по кнопке ниже (маг-ссылка действует 45 минут)." : "— Админ: установите WORKER_URL, чтобы появилась кнопка входа."),
+      t("start_text") + (link ? t("start_link", { minutes: MAGIC_LINK_TTL_SEC / 60 }) : t("start_no_link")),
       buttons
     );
     return;
   }
 
+  if (text === "/add") return startAddWizard(env, chat);
+
   if (text.startsWith("/add")) {
     const m = text.match(/^\/add\s+(.+?)\s*\|\s*(.+?)\s*\|\s*(\d{1,3})$/);
     if (!m) {
-      await tgSend(env, chatId, "Формат:\n<code>/add Для рук | Ванная | 3</code>");
+      await tgSend(env, chatId, t("add_format"));
       return;
     }
     const name = m[1].trim();
+    if (name.length > SLOT_NAME_MAX) return tgSend(env, chatId, t("too_long", { max: SLOT_NAME_MAX }));
     const room = m[2].trim();
     const threshold_days = parseInt(m[3], 10);
-    const slot = await createSlot(env, { name, owner_tg_id: chatId, room, threshold_days });
-    await tgSend(env, chatId, `Слот «${escapeHtml(slot.name)}» (${escapeHtml(slot.room||'—')}) создан. Порог: ${slot.threshold_days} дн.`);
-    return;
+    const slot = await createSlot(env, { name, owner_tg_id: chatId, room, threshold_days, actor });
+    return sendSlotCreated(env, chatId, slot);
+  }
+
+  if (text.startsWith("/cancel")) {
+    const had = await getDialog(env, chat);
+    await clearDialog(env, chat);
+    return tgSend(env, chatId, had ? t("cancel_done") : t("cancel_nothing"));
   }
 
   if (text.startsWith("/list")) return sendList(env, chatId);
 
   if (text.startsWith("/sethour")) {
     const m = text.match(/^\/sethour\s+(\d{1,2})$/);
-    if (!m) return tgSend(env, chatId, "Формат: <code>/sethour 10</code>");
+    if (!m) return tgSend(env, chatId, t("sethour_format"));
     const hour = clampInt(parseInt(m[1], 10), 0, 23);
-    await upsertUser(env, { tg_user_id: chatId, notify_hour: hour });
-    return tgSend(env, chatId, `Буду писать в ${pad2(hour)}:00.`);
+    await upsertUser(env, { tg_user_id: chatId, notify_hour: hour, schedule: "" });
+    return tgSend(env, chatId, t("sethour_done", { time: `${pad2(hour)}:00` }));
+  }
+
+  if (text === "/logout_all") {
+    await revokeSessions(env, chatId);
+    return tgSend(env, chatId, t("logout_all_done"));
   }
 
   if (text.startsWith("/settz")) {
     const tz = text.replace("/settz", "").trim();
-    if (!tz) return tgSend(env, chatId, "Формат: <code>/settz Europe/Moscow</code>");
+    if (!tz) return tgSend(env, chatId, t("settz_format"));
     await upsertUser(env, { tg_user_id: chatId, tz });
-    return tgSend(env, chatId, `Часовой пояс обновлён: ${escapeHtml(tz)}`);
+    return tgSend(env, chatId, t("settz_done", { tz: escapeHtml(tz) }));
   }
 
-  if (text === "📋 Список" || text === "Список") return sendList(env, chatId);
-}
-
-async function onCallback(cb, env) {
-  const chatId = cb.message.chat.id;
-  const data = cb.data || "";
-
-  if (data === "ui:add") {
-    await tgSend(env, chatId, "Создай слот командой:\n<code>/add Название | Комната | Дни</code>\nНапример: <code>/add Для рук | Ванная | 3</code>");
-    return tgAnswer(env, cb.id, "Жду /add");
+  if (text.startsWith("/lang")) {
+    const arg = text.replace("/lang", "").trim().toLowerCase();
+    if (!arg) {
+      const buttons = [ LANGS.map(l => ({ text: LANG_NAMES[l], callback_data: `lang:${l}` })) ];
+      return tgSend(env, chatId, t("lang_prompt", { current: LANG_NAMES[t.lang] }), buttons);
+    }
+    if (!LANGS.includes(arg)) return tgSend(env, chatId, t("lang_format"));
+    await upsertUser(env, { tg_user_id: chatId, lang: arg });
+    return tgSend(env, chatId, translate(arg, "lang_done"));
   }
-  if (data === "ui:list") { await sendList(env, chatId); return tgAnswer(env, cb.id); }
-  if (data === "ui:settings") { await tgSend(env, chatId, "Время: <code>/sethour 10</code>\nПояс: <code>/settz Europe/Moscow</code>"); return tgAnswer(env, cb.id); }
 
-  if (data === "ui:dashboard") {
-    const link = await magicLink(env, chatId, 45 * 60);
-    if (link) await tgSend(env, chatId, `Вход в веб-панель: ${link}\n(Ссылка действует 45 минут)`);
-    else await tgSend(env, chatId, `У администратора не задан WORKER_URL — кнопка входа недоступна.`);
-    return tgAnswer(env, cb.id);
+  if (text.startsWith("/stats")) return sendStats(env, chatId);
+
+  if (text.startsWith("/export")) {
+    const format = text.replace("/export", "").trim().toLowerCase() || "csv";
+    if (!EXPORT_FORMATS.includes(format)) return tgSend(env, chatId, t("export_format"));
+    const data = await exportData(env, chatId);
+    const { body, type } = exportBody(data, format);
+    return tgSendDocument(env, chatId, exportFileName(format), body, type, t("export_caption", { slots: data.slots.length, events: data.events.length }));
   }
 
-  if (data.startsWith("refresh:")) {
-    const id = data.split(":")[1];
+  // /schedule, /quiet, /pause, /digest: без аргумента — текущие настройки и подсказка по форматам
+  const notifyCmd = text.match(/^\/(schedule|quiet|pause|digest)(?:\s+(.+))?$/);
+  if (notifyCmd) {
+    const field = NOTIFY_COMMANDS[notifyCmd[1]];
+    if (!notifyCmd[2]) return sendNotifySettings(env, chatId, t("sched_help"));
     try {
-      await refreshSlot(env, id, { actor: String(chatId) });
-      await tgAnswer(env, cb.id, "Обновлено");
-      return sendList(env, chatId);
+      await updateNotifySettings(env, chatId, { [field]: notifyCmd[2] });
     } catch (e) {
-      console.error("refreshSlot failed", e);
-      return tgAnswer(env, cb.id, "Нет доступа", true);
+      if (e && e.message === `invalid ${field}`) return tgSend(env, chatId, `${t("sched_invalid")}\n\n${t("sched_help")}`);
+      throw e;
     }
+    return sendNotifySettings(env, chatId, t("sched_saved"));
   }
-  if (data.startsWith("del:")) {
-    const id = data.split(":")[1];
-    try {
-      await deleteSlot(env, id, { actor: String(chatId) });
-      await tgAnswer(env, cb.id, "Удалено");
-      return sendList(env, chatId);
+
+  if (text.startsWith("/calendar")) {
+    if (!env.WORKER_URL) return tgSend(env, chatId, t("cal_unavailable"));
+    const rotate = text.replace("/calendar", "").trim().toLowerCase() === "new";
+    const url = calendarUrl(env, await getCalendarToken(env, chatId, { rotate }));
+    return tgSend(env, chatId, rotate ? t("cal_rotated", { url }) : t("cal_link", { url }));
+  }
+
+  if (text.startsWith("/invite")) {
+    const invite = await createInvite(env, chatId);
+    if (!invite) return tgSend(env, chatId, t("invite_unavailable"));
+    const buttons = invite.link ? [ [ { text: t("invite_btn_web"), url: invite.link } ] ] : [];
+    return tgSend(env, chatId,
+      t("invite_text", { group: escapeHtml(groupLabel(invite.group_id, chatId, t)), ttl: t("hours", { n: Math.round(invite.ttl_sec/3600) }), code: invite.code }),
+      buttons
+    );
+  }
+
+  if (text.startsWith("/join")) {
+    const code = text.replace("/join", "").trim();
+    if (!code) return tgSend(env, chatId, t("join_format"));
+    try {
+      const res = await joinGroup(env, chatId, code);
+      const group = escapeHtml(groupLabel(res.group_id, chatId, t));
+      return tgSend(env, chatId, res.already ? t("join_already", { group }) : t("join_done", { group }));
+    } catch (e) {
+      if (e && e.message === 'invalid invite') return tgSend(env, chatId, t("join_invalid"));
+      throw e;
+    }
+  }
+
+  if (text.startsWith("/members")) return sendMembers(env, chatId);
+
+  if (text.startsWith("/history")) {
+    const query = text.replace("/history", "").trim();
+    if (!query) return tgSend(env, chatId, t("history_format"));
+    const matches = findSlotsByName(await listSlots(env, chatId), query);
+    if (!matches.length) return tgSend(env, chatId, t("slot_not_found", { name: escapeHtml(query) }));
+    if (matches.length > 1) {
+      const buttons = matches.slice(0, 8).map(s => [{ text: `📜 ${shorten(s.name, 24)}${s.room ? ' • ' + shorten(s.room, 12) : ''}`, callback_data: `hist:${s.id}` }]);
+      return tgSend(env, chatId, t("pick_slot"), buttons);
+    }
+    return sendHistory(env, chatId, matches[0].id);
+  }
+
+  if (text.startsWith("/stock")) {
+    const m = text.match(/^\/stock\s+(.+?)\s*\|\s*(\d{1,3}|-)(?:\s*\|\s*(\d{1,3}))?$/);
+    if (!m) return tgSend(env, chatId, t("stock_format"));
+    const matches = findSlotsByName(await listSlots(env, chatId), m[1].trim());
+    if (!matches.length) return tgSend(env, chatId, t("slot_not_found", { name: escapeHtml(m[1].trim()) }));
+    if (matches.length > 1) return tgSend(env, chatId, t("stock_ambiguous", { names: matches.slice(0, 8).map(s => `«${escapeHtml(s.name)}»`).join(", ") }));
+    const slot = matches[0];
+    const patch = m[2] === "-" ? { spare_clean: "" } : { spare_clean: parseInt(m[2], 10), spare_dirty: m[3] != null ? parseInt(m[3], 10) : undefined };
+    await updateSlot(env, slot.id, patch, { actor });
+    const updated = formatSlotForOutput(await getSlotById(env, slot.id));
+    const name = escapeHtml(updated.name);
+    return tgSend(env, chatId, stockTracked(updated) ? t("stock_set", { name, stock: stockLabel(updated, t) }) : t("stock_off", { name }));
+  }
+
+  if (text.startsWith("/leave")) {
+    const arg = text.replace("/leave", "").trim();
+    const groups = await listGroupsForUser(env, chatId, { ensure: false });
+    const foreign = groups.filter(g => g !== `tg:${chatId}`);
+    const target = arg || (foreign.length === 1 ? foreign[0] : '');
+    if (!foreign.length) return tgSend(env, chatId, t("leave_only_own"));
+    if (!target) {
+      const buttons = foreign.map(g => [{ text: t("leave_btn", { group: groupLabel(g, chatId, t) }), callback_data: `leave:${g}` }]);
+      return tgSend(env, chatId, t("leave_pick"), buttons);
+    }
+    try {
+      await leaveGroup(env, chatId, target);
+      return tgSend(env, chatId, t("leave_done", { group: escapeHtml(groupLabel(target, chatId, t)) }));
+    } catch (e) {
+      if (e && e.message === 'forbidden') return tgSend(env, chatId, t("leave_forbidden"));
+      throw e;
+    }
+  }
+
+  if (text.startsWith("/kick")) {
+    const m = text.match(/^\/kick\s+(-?\d+)$/);
+    if (!m) return tgSend(env, chatId, t("kick_format"));
+    try {
+      const res = await kickMember(env, chatId, m[1]);
+      if (!res.removed) return tgSend(env, chatId, t("kick_not_member"));
+      return tgSend(env, chatId, t("kick_done", { id: escapeHtml(m[1]) }));
+    } catch (e) {
+      if (e && e.message === 'forbidden') return tgSend(env, chatId, t("kick_self"));
+      throw e;
+    }
+  }
+
+  // Кнопка «Список» с клавиатуры — на любом из языков
+  if (LANGS.some(l => text === translate(l, "start_btn_list") || text === translate(l, "list_word"))) return sendList(env, chatId);
+
+  // Обычный текст — ответ на шаг диалога (мастер слота, переименование и т.п.)
+  if (text && !text.startsWith("/")) return continueDialog(env, chat, text);
+}
+
+async function onCallback(cb, env) {
+  const chatId = cb.message.chat.id;
+  const chat = chatContext(cb.message.chat, cb.from);
+  const actor = String(chat.user);
+  const data = cb.data || "";
+  if (chat.group && cb.from && !cb.from.is_bot) await ensureChatMember(env, chatId, chat.user);
+  const t = await getTranslator(env, chatId, cb.from?.language_code);
+
+  // Кнопку в чате может нажать любой участник — права проверяем у него, а не у чата
+  if (chat.group) {
+    if (PRIVATE_ONLY_CALLBACKS.some(p => data.startsWith(p))) return tgAnswer(env, cb.id, t("chat_private_only"), true);
+    if (CHAT_ADMIN_CALLBACKS.some(p => data.startsWith(p)) && !(await isChatAdmin(env, chatId, chat.user))) return tgAnswer(env, cb.id, t("chat_admin_only"), true);
+  }
+
+  if (data === "ui:add") {
+    await startAddWizard(env, chat);
+    return tgAnswer(env, cb.id);
+  }
+  if (data.startsWith("wz:")) return onDialogCallback(cb, env);
+  if (data.startsWith("lang:")) {
+    const lang = data.split(":")[1];
+    if (!LANGS.includes(lang)) return tgAnswer(env, cb.id);
+    await upsertUser(env, { tg_user_id: chatId, lang });
+    await tgSend(env, chatId, translate(lang, "lang_done"));
+    return tgAnswer(env, cb.id);
+  }
+  if (data.startsWith("edit:")) {
+    const id = data.split(":")[1];
+    const slot = await findChatSlot(env, chat, id);
+    if (!slot) return tgAnswer(env, cb.id, t("no_access"), true);
+    await tgSend(env, chatId, t("edit_menu", { name: escapeHtml(slot.name) }), [
+      [ { text: t("edit_btn_rename"), callback_data: `ren:${id}` } ],
+      [ { text: t("edit_btn_room"), callback_data: `mvroom:${id}` } ],
+      [ { text: t("edit_btn_threshold"), callback_data: `thr:${id}` } ],
+    ]);
+    return tgAnswer(env, cb.id);
+  }
+  if (data.startsWith("ren:") || data.startsWith("mvroom:") || data.startsWith("thr:")) {
+    const [kind, id] = data.split(":");
+    const slot = await findChatSlot(env, chat, id);
+    if (!slot) return tgAnswer(env, cb.id, t("no_access"), true);
+    await startEditDialog(env, chat, kind, slot);
+    return tgAnswer(env, cb.id);
+  }
+  if (data === "ui:list") { await sendList(env, chatId); return tgAnswer(env, cb.id); }
+  if (data === "ui:members") { await sendMembers(env, chatId); return tgAnswer(env, cb.id); }
+  if (data === "ui:settings") { await sendNotifySettings(env, chatId, t("settings_text")); return tgAnswer(env, cb.id); }
+
+  if (data === "ui:dashboard") {
+    const link = await magicLink(env, chatId);
+    if (link) await tgSend(env, chatId, t("dashboard_link", { link, minutes: MAGIC_LINK_TTL_SEC / 60 }));
+    else await tgSend(env, chatId, t("dashboard_unavailable"));
+    return tgAnswer(env, cb.id);
+  }
+
+  if (data.startsWith("refresh:")) {
+    const id = data.split(":")[1];
+    try {
+      const res = await refreshSlot(env, id, { actor });
+      await tgAnswer(env, cb.id, res.low_stock ? t("refreshed_low", { n: res.spare_clean }) : t("refreshed"));
+      return sendList(env, chatId);
+    } catch (e) {
+      console.error("refreshSlot failed", e);
+      return tgAnswer(env, cb.id, t("no_access"), true);
+    }
+  }
+  // 🗑 срабатывает сразу, без подтверждения, — зато слот лишь уходит в корзину, и под списком есть «Вернуть»
+  if (data.startsWith("del:")) {
+    const id = data.split(":")[1];
+    try {
+      const slot = await getSlotById(env, id);
+      await deleteSlot(env, id, { actor });
+      await tgAnswer(env, cb.id, t("deleted"));
+      await sendList(env, chatId);
+      return tgSend(env, chatId, t("trash_moved", { name: escapeHtml(slot.name) }), [[ { text: t("undo_btn"), callback_data: `undo:${id}` } ]]);
     } catch (e) {
       console.error("deleteSlot failed", e);
-      return tgAnswer(env, cb.id, "Не удалось удалить", true);
+      return tgAnswer(env, cb.id, t("delete_failed"), true);
+    }
+  }
+  if (data.startsWith("undo:")) {
+    const id = data.split(":")[1];
+    try {
+      await restoreSlot(env, id, { actor });
+      await tgAnswer(env, cb.id, t("restored"));
+      return sendList(env, chatId);
+    } catch (e) {
+      console.error("restoreSlot failed", e);
+      return tgAnswer(env, cb.id, t("restore_failed"), true);
+    }
+  }
+  if (data.startsWith("snz:")) {
+    const [_, id, kind] = data.split(":");
+    try {
+      const tz = await getUserTz(env, chatId);
+      const until = snoozeUntil(kind, tz);
+      await snoozeSlot(env, id, until, { actor });
+      return tgAnswer(env, cb.id, t("snoozed_until", { when: formatDateTime(until, tz, t.lang) }));
+    } catch (e) {
+      console.error("snoozeSlot failed", e);
+      return tgAnswer(env, cb.id, t("no_access"), true);
+    }
+  }
+  if (data.startsWith("wash:")) {
+    const id = data.split(":")[1];
+    try {
+      const res = await laundryDone(env, id, { actor });
+      await tgAnswer(env, cb.id, res.returned ? t("wash_done", { n: res.spare_clean }) : t("wash_empty"));
+      return sendList(env, chatId);
+    } catch (e) {
+      console.error("laundryDone failed", e);
+      return tgAnswer(env, cb.id, e && e.message === 'stock not tracked' ? t("stock_not_tracked_hint") : t("no_access"), true);
+    }
+  }
+  if (data.startsWith("hist:")) {
+    const id = data.split(":")[1];
+    try {
+      await sendHistory(env, chatId, id);
+      return tgAnswer(env, cb.id);
+    } catch (e) {
+      console.error("sendHistory failed", e);
+      return tgAnswer(env, cb.id, t("no_access"), true);
+    }
+  }
+  if (data.startsWith("setgrp:")) {
+    const [_, id, ...rest] = data.split(":");
+    const group_id = rest.join(":");
+    try {
+      await updateSlot(env, id, { group_id }, { actor });
+      await tgAnswer(env, cb.id, t("moved"));
+      return sendList(env, chatId);
+    } catch (e) {
+      console.error("updateSlot failed", e);
+      return tgAnswer(env, cb.id, t("no_access"), true);
+    }
+  }
+  if (data.startsWith("leave:")) {
+    const group_id = data.slice("leave:".length);
+    try {
+      await leaveGroup(env, chatId, group_id);
+      await tgAnswer(env, cb.id, t("done"));
+      return sendMembers(env, chatId);
+    } catch (e) {
+      console.error("leaveGroup failed", e);
+      return tgAnswer(env, cb.id, t("leave_forbidden"), true);
+    }
+  }
+  if (data.startsWith("kick:")) {
+    const member = data.split(":")[1];
+    try {
+      await kickMember(env, chatId, member);
+      await tgAnswer(env, cb.id, t("kicked"));
+      return sendMembers(env, chatId);
+    } catch (e) {
+      console.error("kickMember failed", e);
+      return tgAnswer(env, cb.id, t("kick_failed"), true);
+    }
+  }
+  if (data.startsWith("sugok:") || data.startsWith("sugno:")) {
+    const [kind, id, days] = data.split(":");
+    const accept = kind === "sugok";
+    try {
+      const res = await resolveThresholdSuggestion(env, id, { accept, days: clampInt(parseInt(days, 10), 1, 365), actor });
+      if (accept) {
+        await tgAnswer(env, cb.id, t("threshold_set", { days: t("days", { n: res.threshold_days }) }));
+        return sendList(env, chatId);
+      }
+      return tgAnswer(env, cb.id, res.cooldown_days ? t("sug_rejected", { days: t("days", { n: res.cooldown_days }) }) : t("sug_rejected_plain"));
+    } catch (e) {
+      console.error("resolveThresholdSuggestion failed", e);
+      return tgAnswer(env, cb.id, t("no_access"), true);
     }
   }
   if (data.startsWith("setth:")) {
     const [_, id, days] = data.split(":");
     try {
-      await updateSlot(env, id, { threshold_days: parseInt(days, 10) }, { actor: String(chatId) });
-      await tgAnswer(env, cb.id, `Порог: ${days} дн`);
+      await updateSlot(env, id, { threshold_days: parseInt(days, 10) }, { actor });
+      await tgAnswer(env, cb.id, t("threshold_set", { days: t("days", { n: days }) }));
       return sendList(env, chatId);
     } catch (e) {
       console.error("updateSlot failed", e);
-      return tgAnswer(env, cb.id, "Нет доступа", true);
+      return tgAnswer(env, cb.id, t("no_access"), true);
     }
   }
 }
 
 async function sendList(env, chatId) {
+  const t = await getTranslator(env, chatId);
   let slots = [];
   try { slots = await listSlots(env, chatId); }
   catch (e) {
     console.error("listSlots failed", e);
-    return tgSend(env, chatId, "Не удалось прочитать таблицу. Дай сервисному аккаунту доступ Редактора к Google Sheets.");
+    return tgSend(env, chatId, t("sheets_unavailable"));
   }
-  if (!slots.length) return tgSend(env, chatId, "Слотов пока нет. Создай: <code>/add Название | Комната | Дни</code>");
+  if (!slots.length) return tgSend(env, chatId, t("no_slots"));
 
+  const tz = await getUserTz(env, chatId);
   const lines = slots.sort((a,b)=>a.score-b.score).map(s=>{
     const age = daysSince(s.last_change_at);
     const room = s.room ? ` • ${escapeHtml(s.room)}` : "";
-    return `${statusEmoji(s.status)} ${escapeHtml(s.name)}${room} — ${age} дн / порог ${s.threshold_days}`;
+    const snooze = s.status === 'SNOOZED' ? t("list_snoozed", { when: formatDateTime(s.snooze_until, tz, t.lang) }) : "";
+    const stock = stockTracked(s) ? ` • ${stockLabel(s, t)}` : "";
+    return `${statusEmoji(s.status)} ${escapeHtml(s.name)}${room} — ${t("days", { n: age })} / ${t("threshold_n", { n: s.threshold_days })}${snooze}${stock}`;
   }).join("\n");
 
   const buttons = [];
   for (const s of slots.slice(0,6)) {
     buttons.push([
       { text: `🔄 ${shorten(s.name,14)}`, callback_data: `refresh:${s.id}` },
+      { text: "✏️", callback_data: `edit:${s.id}` },
       { text: "🗑", callback_data: `del:${s.id}` },
+      ...(s.spare_dirty ? [ { text: `🧺 ${s.spare_dirty}`, callback_data: `wash:${s.id}` } ] : []),
     ]);
-    buttons.push([
-      { text: "1д", callback_data: `setth:${s.id}:1` },
-      { text: "2д", callback_data: `setth:${s.id}:2` },
-      { text: "3д", callback_data: `setth:${s.id}:3` },
-      { text: "5д", callback_data: `setth:${s.id}:5` },
-    ]);
+    buttons.push([1, 2, 3, 5].map(d => ({ text: t("days_short", { n: d }), callback_data: `setth:${s.id}:${d}` })));
   }
 
   await tgSend(env, chatId, lines, buttons);
 }
 
+async function sendSlotCreated(env, chatId, slot) {
+  const t = await getTranslator(env, chatId);
+  // Если пользователь состоит в нескольких группах — предлагаем перенести слот
+  const groups = await listGroupsForUser(env, chatId, { ensure: false });
+  const moveButtons = groups.filter(g => g !== slot.group_id)
+    .map(g => [{ text: t("move_btn", { group: groupLabel(g, chatId, t) }), callback_data: `setgrp:${slot.id}:${g}` }]);
+  await tgSend(env, chatId, t("slot_created", {
+    name: escapeHtml(slot.name), room: escapeHtml(slot.room || '—'),
+    group: escapeHtml(groupLabel(slot.group_id, chatId, t)), days: t("days", { n: slot.threshold_days }),
+  }), moveButtons);
+}
+
+async function sendHistory(env, chatId, slotId) {
+  const history = await getSlotHistory(env, slotId, { viewer: String(chatId), limit: 10 });
+  const tz = await getUserTz(env, chatId);
+  const t = await getTranslator(env, chatId);
+  const lines = history.items.map(e => {
+    const who = e.actor ? `<a href="tg://user?id=${escapeHtml(e.actor)}">${escapeHtml(e.actor)}</a>` : t("system");
+    return `${formatDateTime(e.ts, tz, t.lang)} — ${escapeHtml(describeEvent(e, chatId, tz, t))} (${who})`;
+  });
+  const more = history.total > history.items.length ? t("history_more", { n: history.total - history.items.length }) : '';
+  const body = lines.length ? lines.join("\n") : t("history_empty");
+  await tgSend(env, chatId, `📜 <b>${escapeHtml(history.slot.name)}</b>\n${body}${more}`);
+}
+
+async function sendStats(env, chatId) {
+  const t = await getTranslator(env, chatId);
+  const stats = await getStats(env, chatId);
+  if (!stats.slots.length) return tgSend(env, chatId, t("stats_empty"));
+  const actor = id => `<a href="tg://user?id=${escapeHtml(id)}">${escapeHtml(id)}</a>`;
+  const lines = [`<b>${t("stats_title")}</b>`, t("stats_total", { line: statsLine(stats.total, t) })];
+  if (stats.total.top_actors.length) lines.push(t("stats_top", { list: stats.total.top_actors.map(a => `${actor(a.actor)} — ${a.count}`).join(", ") }));
+  for (const r of stats.rooms) {
+    lines.push("", `🚪 <b>${escapeHtml(r.room || t("stats_no_room"))}</b>: ${statsLine(r, t)}`);
+    for (const s of stats.slots.filter(s => (s.room || '') === r.room).slice(0, 8)) lines.push(`• ${escapeHtml(s.name)}: ${statsLine(s, t)}`);
+  }
+  await tgSend(env, chatId, lines.join("\n"));
+}
+
+async function sendNotifySettings(env, chatId, head) {
+  const t = await getTranslator(env, chatId);
+  await tgSend(env, chatId, `${head}\n\n${describeNotifySettings(await getNotifySettings(env, chatId), t)}`);
+}
+
+async function sendMembers(env, chatId) {
+  const t = await getTranslator(env, chatId);
+  const groups = await listMembers(env, chatId);
+  if (!groups.length) return tgSend(env, chatId, t("members_none"));
+
+  const blocks = [];
+  const buttons = [];
+  for (const g of groups) {
+    const people = g.members.map(m => {
+      const me = String(m) === String(chatId) ? t("member_you") : "";
+      const owner = `tg:${m}` === g.group_id ? " 👑" : "";
+      return `• <a href="tg://user?id=${escapeHtml(String(m))}">${escapeHtml(String(m))}</a>${owner}${me}`;
+    }).join("\n");
+    blocks.push(`<b>${escapeHtml(groupLabel(g.group_id, chatId, t))}</b>\n${people}`);
+    // Составом группы чата управляет сам Telegram: кто вышел из чата, тот вышел и из группы
+    if (isChatId(chatId) || isChatGroupId(g.group_id)) continue;
+    if (g.is_owner) {
+      for (const m of g.members.filter(m => String(m) !== String(chatId)).slice(0, 6)) {
+        buttons.push([{ text: t("kick_btn", { id: m }), callback_data: `kick:${m}` }]);
+      }
+    } else {
+      buttons.push([{ text: t("leave_btn", { group: groupLabel(g.group_id, chatId, t) }), callback_data: `leave:${g.group_id}` }]);
+    }
+  }
+  const footer = isChatId(chatId) ? "" : "\n\n" + t("members_invite_more");
+  await tgSend(env, chatId, blocks.join("\n\n") + footer, buttons);
+}
+
 /* =========================
- * Напоминания по крону
+ * Групповые чаты: общая группа чата, участники, права
  * ========================= */
-async function runHourlyReminders(env) {
-  const users = await listUsers(env);
-  const nowUTC = new Date();
+// В группе эти команды выдали бы личное (маг-ссылку, календарь, файл) или относятся к личным группам
+const PRIVATE_ONLY_COMMANDS = ['/logout_all', '/calendar', '/export', '/invite', '/join', '/leave', '/kick'];
+const PRIVATE_ONLY_CALLBACKS = ['ui:dashboard', 'leave:', 'kick:'];
+// Настройки чата общие, а удаление, возврат из корзины и перенос слота в другую группу касаются всего чата — только админам
+const CHAT_ADMIN_COMMANDS = ['/sethour', '/settz', '/lang', '/schedule', '/quiet', '/pause', '/digest'];
+const CHAT_ADMIN_CALLBACKS = ['del:', 'undo:', 'setgrp:', 'lang:'];
 
-  for (const u of users) {
-    const tz = u.tz || env.DEFAULT_TZ || "Europe/Moscow";
-    const targetHour = u.notify_hour != null ? Number(u.notify_hour) : Number(env.DEFAULT_NOTIFY_HOUR || 10);
-    const localHour = hourInTz(nowUTC, tz);
-    if (localHour !== targetHour) continue;
+/**
+ * Групповой чат живёт как «пользователь» с id чата (он отрицательный): ему принадлежат общая группа
+ * tg:<chat_id>, настройки (пояс, расписание, язык), и напоминания по слотам этой группы идут в чат, а не в личку.
+ * Участник чата попадает в группу, когда пишет боту в чате или жмёт кнопку, и выпадает, когда уходит из чата.
+ * Действия записываются на from.id и проверяются по доступу именно этого участника.
+ */
+function isGroupChat(chat) {
+  return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+function isChatId(id) { return Number(id) < 0; }
+function isChatGroupId(group_id) { return /^tg:-\d+$/.test(group_id || ''); }
+
+// id — куда отвечаем и чьи слоты показываем, user — кто пишет или нажимает; в личке это один и тот же id
+function chatContext(chat, from) {
+  return { id: chat.id, user: from?.id ?? chat.id, group: isGroupChat(chat) };
+}
+
+function botUserId(env) {
+  return String(env.TELEGRAM_TOKEN || '').split(':')[0];
+}
+
+async function ensureChatMember(env, chatId, userId) {
+  const group_id = `tg:${chatId}`;
+  const access = await getAccessTable(env);
+  if (!access.some(r => r.group_id === group_id && r.tg_user_id === String(userId))) await addGroupMember(env, group_id, userId);
+}
+
+async function isChatAdmin(env, chatId, userId) {
+  const status = await tgChatMemberStatus(env, chatId, userId);
+  return status === 'creator' || status === 'administrator';
+}
+
+// Слот из сообщения чата — если его видит чат и к нему есть доступ у нажавшего
+async function findChatSlot(env, chat, id) {
+  const slot = (await listSlots(env, chat.id)).find(s => s.id === id);
+  if (!slot || !chat.group) return slot || null;
+  try {
+    await assertSlotAccess(env, slot, String(chat.user));
+    return slot;
+  } catch {
+    return null;
+  }
+}
 
-    const slots = await listSlots(env, u.tg_user_id);
-    const overdue = slots.filter(s => daysSince(s.last_change_at) >= Number(s.threshold_days || 0));
-    if (!overdue.length) continue;
+// Служебные сообщения чата: пришли/ушли участники, бота добавили/удалили, группа стала супергруппой
+async function onChatServiceMessage(env, msg) {
+  const chatId = msg.chat.id;
+  const migration = msg.migrate_to_chat_id ? [chatId, msg.migrate_to_chat_id] : msg.migrate_from_chat_id ? [msg.migrate_from_chat_id, chatId] : null;
+  if (migration) {
+    await migrateChat(env, ...migration);
+    return true;
+  }
+  if (msg.new_chat_members) {
+    for (const m of msg.new_chat_members) {
+      if (String(m.id) === botUserId(env)) {
+        await ensureUser(env, chatId, { lang: langFromCode(msg.from?.language_code, env) });
+        const t = await getTranslator(env, chatId);
+        await tgSend(env, chatId, t("chat_welcome"));
+      } else if (!m.is_bot) {
+        await ensureChatMember(env, chatId, m.id);
+      }
+    }
+    return true;
+  }
+  if (msg.left_chat_member) {
+    const m = msg.left_chat_member;
+    const store = getStore(env);
+    if (String(m.id) === botUserId(env)) {
+      // Бота убрали — напоминать некуда; слоты и участники остаются до возвращения бота
+      const rows = (await store.all('users')).filter(r => r.tg_user_id === String(chatId));
+      if (rows.length) await store.remove('users', rows);
+    } else {
+      const access = await getAccessTable(env);
+      await deleteAccessRows(env, access.filter(r => r.group_id === `tg:${chatId}` && r.tg_user_id === String(m.id)));
+    }
+    return true;
+  }
+  return false;
+}
 
-    const body = overdue
-      .sort((a,b)=>a.score-b.score)
-      .map(s=>{
-        const age = daysSince(s.last_change_at);
-        const room = s.room ? ` (${escapeHtml(s.room)})` : "";
-        return `${statusEmoji(s.status)} ${escapeHtml(s.name)}${room} — ${age} дн (порог ${s.threshold_days})`;
-      })
-      .join("\n");
-    const buttons = overdue.slice(0,6).map(s=>[{ text: `🔄 ${shorten(s.name,18)}`, callback_data: `refresh:${s.id}` }]);
+// Группа → супергруппа меняет id чата: переносим слоты, участников и настройки (повторный вызов ничего не делает)
+async function migrateChat(env, fromId, toId) {
+  const store = getStore(env);
+  const [oldGroup, newGroup] = [`tg:${fromId}`, `tg:${toId}`];
+  const slots = (await store.all('slots')).filter(r => r.group_id.trim() === oldGroup);
+  if (slots.length) await store.update('slots', slots.map(record => ({ record, patch: { group_id: newGroup } })));
 
-    await tgSend(env, u.tg_user_id, `Напоминание:\n${body}`, buttons);
+  const access = await store.all('access');
+  const moving = access.filter(r => r.group_id.trim() === oldGroup);
+  const present = new Set(access.filter(r => r.group_id.trim() === newGroup).map(r => r.tg_user_id.trim()));
+  const added = [];
+  for (const r of moving) {
+    const id = r.tg_user_id.trim() === String(fromId) ? String(toId) : r.tg_user_id.trim();
+    if (!present.has(id)) { present.add(id); added.push(id); }
   }
+  if (added.length) await store.insert('access', added.map(tg_user_id => ({ group_id: newGroup, tg_user_id })));
+  if (moving.length) await store.remove('access', moving);
+
+  // Настройки — со старого чата: строку, которую успело завести первое сообщение новой супергруппы, убираем
+  const users = await store.all('users');
+  const oldUser = users.find(r => r.tg_user_id === String(fromId));
+  if (!oldUser) return;
+  const fresh = users.filter(r => r.tg_user_id === String(toId));
+  await store.update('users', [ { record: oldUser, patch: { tg_user_id: String(toId) } } ]);
+  if (fresh.length) await store.remove('users', fresh); // удаление сдвигает строки листа — после update
 }
 
 /* =========================
- * Авторизация: JWT HS256 + cookie
+ * Диалоги бота: мастер слота и правки
  * ========================= */
-async function magicLink(env, tgUserId, ttlSec) {
-  if (!env.WORKER_URL || !env.WEB_JWT_SECRET) return "";
-  const token = await jwtSignHS256({ sub: String(tgUserId) }, env.WEB_JWT_SECRET, ttlSec);
-  const base = env.WORKER_URL.replace(/\/+$/,'');
-  return `${base}/login?token=${token}`;
+const DIALOG_TTL_SEC = 30 * 60;
+const THRESHOLD_CHOICES = [1, 2, 3, 5, 7];
+
+// Состояние диалога — в kv под ключом dlg:<chat_id> (в группе — dlg:<chat_id>:<user_id>: у каждого участника свой), живёт DIALOG_TTL_SEC
+function dialogKey(chat) {
+  return chat.group ? `dlg:${chat.id}:${chat.user}` : `dlg:${chat.id}`;
 }
 
-async function parseSession(req, env) {
-  const cookies = parseCookies(req.headers.get("cookie") || "");
-  const tok = cookies["sid"]; if (!tok) return null;
-  const payload = await jwtVerifyHS256(tok, env.WEB_JWT_SECRET);
-  if (!payload) return null;
-  return Number(payload.sub);
+async function getDialog(env, chat) {
+  const raw = await kvGet(env, dialogKey(chat));
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { return null; }
 }
 
-async function jwtSignHS256(payload, secret, ttlSec) {
-  const header = { alg: "HS256", typ: "JWT" };
-  const now = Math.floor(Date.now()/1000);
-  const body = { ...payload, iat: now, exp: now + Number(ttlSec || 900) };
-  const h = b64url(new TextEncoder().encode(JSON.stringify(header)));
-  const p = b64url(new TextEncoder().encode(JSON.stringify(body)));
-  const sig = await hmacSign(secret, new TextEncoder().encode(`${h}.${p}`));
-  return `${h}.${p}.${sig}`;
+async function setDialog(env, chat, state) {
+  await kvPut(env, dialogKey(chat), JSON.stringify(state), DIALOG_TTL_SEC);
 }
 
-async function jwtVerifyHS256(token, secret) {
-  const parts = String(token).split(".");
-  if (parts.length !== 3) return null;
-  const [h, p, s] = parts;
-  const expected = await hmacSign(secret, new TextEncoder().encode(`${h}.${p}`));
-  if (!timingSafeEq(b64ToBytes(s), b64ToBytes(expected))) return null;
-  try {
-    const payload = JSON.parse(new TextDecoder().decode(b64ToBytes(p)));
-    if (!payload || !payload.exp || Math.floor(Date.now()/1000) > Number(payload.exp)) return null;
-    return payload;
-  } catch { return null; }
+async function clearDialog(env, chat) {
+  await kvDelete(env, dialogKey(chat));
 }
 
-async function hmacSign(secret, dataBytes) {
-  const key = await crypto.subtle.importKey(
-    "raw",
-    new TextEncoder().encode(String(secret)),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
-  const sig = await crypto.subtle.sign("HMAC", key, dataBytes);
-  return b64url(sig);
+// В группе бот в режиме приватности видит только ответы на свои сообщения — просим ответить
+function promptOpts(chat) {
+  return chat.group ? { force_reply: true } : {};
 }
 
-function timingSafeEq(a, b) {
-  if (!(a instanceof Uint8Array)) a = new Uint8Array(a);
-  if (!(b instanceof Uint8Array)) b = new Uint8Array(b);
-  if (a.length !== b.length) return false;
-  let diff = 0; for (let i=0;i<a.length;i++) diff |= a[i]^b[i];
-  return diff === 0;
+async function startAddWizard(env, chat) {
+  const t = await getTranslator(env, chat.id);
+  await setDialog(env, chat, { step: 'add_name' });
+  await tgSend(env, chat.id, `${t("wizard_name")}\n${t("cancel_hint")}`, [], promptOpts(chat));
 }
 
-function setCookie(res, name, value, { httpOnly=true, secure=true, sameSite="Lax", maxAge=0, path="/" }={}) {
-  const parts = [`${name}=${value}`];
-  if (maxAge>0) parts.push(`Max-Age=${maxAge}`);
-  if (path) parts.push(`Path=${path}`);
-  if (secure) parts.push("Secure");
-  if (httpOnly) parts.push("HttpOnly");
-  if (sameSite) parts.push(`SameSite=${sameSite}`);
-  res.headers.append("Set-Cookie", parts.join("; "));
+async function startEditDialog(env, chat, kind, slot) {
+  const t = await getTranslator(env, chat.id);
+  const name = escapeHtml(slot.name);
+  if (kind === 'ren') {
+    await setDialog(env, chat, { step: 'rename', slot_id: slot.id });
+    return tgSend(env, chat.id, `${t("rename_prompt", { name })}\n${t("cancel_hint")}`, [], promptOpts(chat));
+  }
+  if (kind === 'mvroom') {
+    const rooms = await listRoomsForUser(env, chat.id);
+    await setDialog(env, chat, { step: 'edit_room', slot_id: slot.id, rooms });
+    return tgSend(env, chat.id, `${t("move_room_prompt", { name })}\n${t("cancel_hint")}`, roomButtons(rooms, t));
+  }
+  await setDialog(env, chat, { step: 'edit_threshold', slot_id: slot.id });
+  return tgSend(env, chat.id, `${t("threshold_prompt", { name })}\n${t("cancel_hint")}`, [], promptOpts(chat));
 }
 
-function parseCookies(str) {
-  const out = {}; if (!str) return out;
-  str.split(/;\s*/).forEach(p=>{ const i=p.indexOf('='); if(i>0) out[p.slice(0,i)] = decodeURIComponent(p.slice(i+1)); });
-  return out;
+async function continueDialog(env, chat, text) {
+  const dlg = await getDialog(env, chat);
+  if (!dlg) return;
+  const chatId = chat.id;
+  const t = await getTranslator(env, chatId);
+  const value = text.trim();
+
+  if (dlg.step === 'add_name') {
+    if (value.length > SLOT_NAME_MAX) return tgSend(env, chatId, t("too_long", { max: SLOT_NAME_MAX }));
+    const rooms = await listRoomsForUser(env, chatId);
+    await setDialog(env, chat, { step: 'add_room', name: value, rooms });
+    return tgSend(env, chatId, t("room_prompt", { name: escapeHtml(value) }), roomButtons(rooms, t));
+  }
+  if (dlg.step === 'add_room') return askThreshold(env, chat, { ...dlg, room: value });
+  if (dlg.step === 'add_threshold') {
+    const days = parseThreshold(value);
+    if (!days) return tgSend(env, chatId, t("need_days"));
+    return finishAddWizard(env, chat, dlg, days);
+  }
+  if (dlg.step === 'rename') {
+    if (value.length > SLOT_NAME_MAX) return tgSend(env, chatId, t("too_long", { max: SLOT_NAME_MAX }));
+    return applyDialogEdit(env, chat, dlg, { name: value }, t("renamed", { name: escapeHtml(value) }));
+  }
+  if (dlg.step === 'edit_room') return applyDialogEdit(env, chat, dlg, { room: value }, t("moved_room", { room: escapeHtml(value) }));
+  if (dlg.step === 'edit_threshold') {
+    const days = parseThreshold(value);
+    if (!days) return tgSend(env, chatId, t("need_days"));
+    return applyDialogEdit(env, chat, dlg, { threshold_days: days }, t("threshold_set", { days: t("days", { n: days }) }));
+  }
+}
+
+async function onDialogCallback(cb, env) {
+  const chat = chatContext(cb.message.chat, cb.from);
+  const [, kind, arg] = (cb.data || "").split(":");
+  const t = await getTranslator(env, chat.id, cb.from?.language_code);
+  const dlg = await getDialog(env, chat);
+  if (!dlg) return tgAnswer(env, cb.id, t("dialog_stale"), true);
+
+  if (kind === 'room') {
+    const room = arg === '-' ? '' : (dlg.rooms || [])[Number(arg)];
+    if (room == null) return tgAnswer(env, cb.id, t("no_such_room"), true);
+    await tgAnswer(env, cb.id);
+    if (dlg.step === 'add_room') return askThreshold(env, chat, { ...dlg, room });
+    if (dlg.step === 'edit_room') return applyDialogEdit(env, chat, dlg, { room }, room ? t("moved_room", { room: escapeHtml(room) }) : t("room_cleared"));
+  }
+  if (kind === 'th' && dlg.step === 'add_threshold') {
+    await tgAnswer(env, cb.id);
+    return finishAddWizard(env, chat, dlg, parseThreshold(arg) || 3);
+  }
+  return tgAnswer(env, cb.id, t("step_done"), true);
+}
+
+async function askThreshold(env, chat, dlg) {
+  const t = await getTranslator(env, chat.id);
+  await setDialog(env, chat, { step: 'add_threshold', name: dlg.name, room: dlg.room });
+  const buttons = [ THRESHOLD_CHOICES.map(d => ({ text: t("days", { n: d }), callback_data: `wz:th:${d}` })) ];
+  await tgSend(env, chat.id, t("threshold_question"), buttons);
+}
+
+async function finishAddWizard(env, chat, dlg, days) {
+  await clearDialog(env, chat);
+  const slot = await createSlot(env, { name: dlg.name, owner_tg_id: chat.id, room: dlg.room || '', threshold_days: days, actor: String(chat.user) });
+  await sendSlotCreated(env, chat.id, slot);
+}
+
+async function applyDialogEdit(env, chat, dlg, patch, doneText) {
+  await clearDialog(env, chat);
+  try {
+    await updateSlot(env, dlg.slot_id, patch, { actor: String(chat.user) });
+  } catch (e) {
+    console.error("updateSlot failed", e);
+    const t = await getTranslator(env, chat.id);
+    return tgSend(env, chat.id, t("update_failed"));
+  }
+  await tgSend(env, chat.id, doneText);
+  return sendList(env, chat.id);
+}
+
+function roomButtons(rooms, t) {
+  const buttons = rooms.slice(0, 8).map((r, i) => [{ text: `🚪 ${shorten(r, 24)}`, callback_data: `wz:room:${i}` }]);
+  buttons.push([{ text: t("no_room_btn"), callback_data: "wz:room:-" }]);
+  return buttons;
+}
+
+async function listRoomsForUser(env, chatId) {
+  const slots = await listSlots(env, chatId);
+  return Array.from(new Set(slots.map(s => s.room).filter(Boolean))).sort((a, b) => a.localeCompare(b));
+}
+
+// Предел длины названия слота — общий для бота, форм панели и схемы API v1
+const SLOT_NAME_MAX = 100;
+
+function parseThreshold(value) {
+  if (!/^\d{1,3}$/.test(String(value).trim())) return 0;
+  const days = parseInt(value, 10);
+  return days >= 1 && days <= 365 ? days : 0;
 }
 
 /* =========================
- * Расчёты статуса/оценки
+ * Напоминания по крону
  * ========================= */
-function calcStatus(threshold_days, last_change_at) {
-  const d = daysSince(last_change_at);
-  const load = d / Math.max(1, threshold_days);
-  const score = Math.max(0, 100 - load * 100);
-  const status = score >= 40 ? "OK" : score >= 20 ? "WARN" : "EXPIRED";
-  return { d, score, status };
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_LEDGER_DAYS = 14;
+
+/**
+ * Журнал напоминаний (таблица reminders) делает прогон идемпотентным:
+ *  DAILY/WAKE  — основное напоминание в час пользователя / по окончании отсрочки, не чаще раза в час;
+ *  FOLLOWUP    — повтор через REMINDER_FOLLOWUP_HOURS, если просроченный слот так и не обновили;
+ *  ESCALATION  — через REMINDER_ESCALATE_HOURS от первого напоминания пишем остальным участникам группы.
+ *  STOCK/SUGGEST — дневные сводки запасов и подсказок порога (подсказку про слот — не чаще SUGGEST_REOFFER_DAYS);
+ *  DIGEST      — недельная сводка (slot_id пустой).
+ * Когда и что слать, решает расписание пользователя (notificationPlan): на паузе и в тихие часы — ничего.
+ * Запись закрывается (acknowledged_at), когда слот обновили или отложили: это сверяет сам прогон по last_change_at
+ * и snooze_until, действия со слотом журнал не читают.
+ * Отправленное пишем в журнал сразу по каждому получателю: упади прогон на середине — следующий не повторит уже ушедшее.
+ */
+async function runHourlyReminders(env) {
+  try {
+    await sendHourlyReminders(env);
+  } catch (e) {
+    console.error('[cron] reminders failed:', e);
+  }
+}
+
+async function sendHourlyReminders(env) {
+  const users = await listUsers(env);
+  const nowUTC = new Date();
+  const nowMs = nowUTC.getTime();
+  const hourAgo = nowMs - HOUR_MS;
+  const hourStart = nowMs - nowMs % HOUR_MS;
+  const followupMs = numericSetting(env.REMINDER_FOLLOWUP_HOURS, 4) * HOUR_MS;
+  const escalateMs = numericSetting(env.REMINDER_ESCALATE_HOURS, 8) * HOUR_MS;
+
+  // Слоты и доступы читаем один раз на весь прогон, дальше — только в памяти
+  const table = await getSlotsTable(env);
+  const access = await getAccessTable(env);
+  const ledger = await loadReminderLedger(env);
+  const slotById = new Map(table.map(s => [s.id, s]));
+  // запись открыта, пока слот не обновили и не отложили после отправки; закрытые сейчас помечаем в конце прогона
+  const answered = [];
+  const open = (ledger || []).filter(r => {
+    const slot = slotById.get(r.slot_id);
+    if (!slot || r.acknowledged_at) return false;
+    const sent = Date.parse(r.sent_at);
+    if (Date.parse(slot.last_change_at) < sent && !(slot.snooze_until && Date.parse(slot.snooze_until) > sent)) return true;
+    answered.push(r);
+    return false;
+  });
+
+  // События нужны подсказкам и недельной сводке — читаем, только если кто-то из них дошёл до отправки
+  let events = null;
+  const loadEvents = async () => events || (events = await getStore(env).all('events'));
+  // Подсказки порога шлём только с журналом — без него нечем ограничить повторы
+  const declined = ledger ? await kvEntries(env, 'thrdecl:') : new Map();
+  const suggested = new Set(ledger ? ledger.filter(r => r.kind === 'SUGGEST' && nowMs - Date.parse(r.sent_at) < SUGGEST_REOFFER_DAYS * 24 * HOUR_MS).map(r => r.slot_id) : []);
+
+  const outbox = new Map(); // tg_user_id → { DAILY: [], WAKE: [], FOLLOWUP: [], ESCALATION: [], STOCK: [], SUGGEST: [], DIGEST: [] }
+  const muted = new Set(); // пауза или тихие часы — не пишем даже эскалации
+  const queue = (userId, kind, slot) => {
+    const key = String(userId);
+    if (muted.has(key)) return;
+    if (!outbox.has(key)) outbox.set(key, { DAILY: [], WAKE: [], FOLLOWUP: [], ESCALATION: [], STOCK: [], SUGGEST: [], DIGEST: [] });
+    outbox.get(key)[kind].push(slot);
+  };
+
+  for (const u of users) {
+    const plan = notificationPlan({ ...u, tz: u.tz || env.DEFAULT_TZ || "Europe/Moscow" }, nowUTC);
+    if (plan.muted) { muted.add(String(u.tg_user_id)); continue; }
+    const isNotifyHour = plan.notify;
+    const mine = open.filter(r => r.tg_user_id === String(u.tg_user_id));
+
+    // Слоты группового чата напоминаем в сам чат, а не каждому участнику в личку
+    const personal = !isChatId(u.tg_user_id);
+    const slots = slotsVisibleTo(table, access, u.tg_user_id).filter(s => !personal || !isChatGroupId(s.group_id)).map(s => formatSlotForOutput(s, false));
+    const overdue = slots.filter(s => s.status !== 'SNOOZED' && daysSince(s.last_change_at) >= Number(s.threshold_days || 0));
+    for (const s of overdue) {
+      const entries = mine.filter(r => r.slot_id === s.id);
+      const primary = entries.filter(r => r.kind === 'DAILY' || r.kind === 'WAKE');
+      if (primary.some(r => Date.parse(r.sent_at) >= hourStart)) continue; // в этот час уже писали
+      // Вне своего часа пишем только про слоты, чья отсрочка закончилась за последний час
+      if (isNotifyHour) { queue(u.tg_user_id, 'DAILY', s); continue; }
+      if (s.snooze_until && Date.parse(s.snooze_until) > hourAgo) { queue(u.tg_user_id, 'WAKE', s); continue; }
+      if (!followupMs || s.status !== 'EXPIRED' || !primary.length) continue;
+      const lastPrimary = Math.max(...primary.map(r => Date.parse(r.sent_at)));
+      const followed = entries.some(r => r.kind === 'FOLLOWUP' && Date.parse(r.sent_at) > lastPrimary);
+      if (!followed && nowMs - lastPrimary >= followupMs) queue(u.tg_user_id, 'FOLLOWUP', s);
+    }
+
+    // Раз в день, в первое время расписания — сводка слотов, где заканчиваются чистые запасные
+    if (plan.summary) {
+      for (const s of slots.filter(isLowStock)) {
+        if (mine.some(r => r.slot_id === s.id && r.kind === 'STOCK' && Date.parse(r.sent_at) >= hourStart)) continue;
+        queue(u.tg_user_id, 'STOCK', s);
+      }
+      if (ledger) {
+        for (const sug of computeSuggestions(slots, await loadEvents(), declined)) {
+          if (suggested.has(sug.slot_id)) continue;
+          suggested.add(sug.slot_id); // общий слот группы — подсказка одному участнику за прогон
+          queue(u.tg_user_id, 'SUGGEST', { ...sug, id: sug.slot_id });
+        }
+      }
+    }
+
+    if (plan.digest && slots.length) {
+      const sent = (ledger || []).some(r => r.kind === 'DIGEST' && r.tg_user_id === String(u.tg_user_id) && Date.parse(r.sent_at) >= hourStart);
+      if (!sent) queue(u.tg_user_id, 'DIGEST', { id: '', slots });
+    }
+  }
+
+  if (escalateMs) {
+    for (const slot of table) {
+      const s = formatSlotForOutput(slot, false);
+      if (s.status !== 'EXPIRED' || isChatGroupId(s.group_id)) continue; // чат и так видят все участники
+      const chain = open.filter(r => r.slot_id === s.id);
+      if (chain.some(r => r.kind === 'ESCALATION')) continue;
+      const first = chain.filter(r => r.kind === 'DAILY' || r.kind === 'WAKE').sort((a, b) => Date.parse(a.sent_at) - Date.parse(b.sent_at))[0];
+      if (!first || nowMs - Date.parse(first.sent_at) < escalateMs) continue;
+      for (const member of slotGroupMembers(slot, access)) {
+        if (member !== first.tg_user_id) queue(member, 'ESCALATION', { ...s, reminded: first.tg_user_id, since: first.sent_at });
+      }
+    }
+  }
+
+  const sentAt = nowUTC.toISOString();
+  const langById = new Map(users.map(u => [String(u.tg_user_id), LANGS.includes(u.lang) ? u.lang : defaultLang(env)]));
+  for (const [userId, box] of outbox) {
+    const t = translator(langById.get(userId) || defaultLang(env));
+    // в журнал — только то, что уже ушло, даже если следующая отправка этому получателю упадёт
+    const entries = [];
+    const sent = (...kinds) => {
+      for (const kind of kinds) for (const s of box[kind]) entries.push({ id: ulid(), slot_id: s.id, tg_user_id: userId, kind, sent_at: sentAt, acknowledged_at: '' });
+    };
+    try {
+      const primary = [...box.DAILY, ...box.WAKE];
+      if (primary.length) {
+        const title = box.DAILY.length ? t("reminder_daily") : t("reminder_wake");
+        await tgSend(env, userId, `${title}\n${reminderLines(primary, t)}\n\n${t("reminder_footer")}`, reminderButtons(primary, t));
+        sent('DAILY', 'WAKE');
+      }
+      if (box.FOLLOWUP.length) {
+        await tgSend(env, userId, `${t("followup_title")}\n${reminderLines(box.FOLLOWUP, t)}`, reminderButtons(box.FOLLOWUP, t));
+        sent('FOLLOWUP');
+      }
+      if (box.ESCALATION.length) {
+        const lines = box.ESCALATION.map(s => `${reminderLines([s], t)} — ${t("escalation_line", { who: escapeHtml(String(s.reminded)), hours: t("hours", { n: Math.floor((nowMs - Date.parse(s.since)) / HOUR_MS) }) })}`).join("\n");
+        await tgSend(env, userId, `${t("escalation_title")}\n${lines}\n\n${t("escalation_footer")}`, reminderButtons(box.ESCALATION, t));
+        sent('ESCALATION');
+      }
+      if (box.STOCK.length) {
+        const lines = box.STOCK.map(s => `${escapeHtml(s.name)}${s.room ? ` (${escapeHtml(s.room)})` : ""} — ${stockLabel(s, t)}`).join("\n");
+        const buttons = box.STOCK.filter(s => s.spare_dirty).slice(0, 6).map(s => [{ text: t("wash_btn", { name: shorten(s.name, 14) }), callback_data: `wash:${s.id}` }]);
+        await tgSend(env, userId, `${t("stock_title")}\n${lines}\n\n${t("stock_footer")}`, buttons);
+        sent('STOCK');
+      }
+      for (const d of box.DIGEST) {
+        await tgSend(env, userId, digestText(d.slots, await loadEvents(), nowMs, t));
+      }
+      sent('DIGEST');
+      if (box.SUGGEST.length) {
+        await tgSend(env, userId, `${t("sug_title")}\n${box.SUGGEST.map(s => escapeHtml(suggestionLine(s, t))).join("\n")}`, suggestionButtons(box.SUGGEST, t));
+        sent('SUGGEST');
+      }
+    } finally {
+      if (ledger && entries.length) await getStore(env).insert('reminders', entries);
+    }
+  }
+
+  if (ledger) {
+    const store = getStore(env);
+    const stale = ledger.filter(r => nowMs - Date.parse(r.sent_at) > REMINDER_LEDGER_DAYS * 24 * HOUR_MS || (r.kind !== 'DIGEST' && !slotById.has(r.slot_id)));
+    const closed = answered.filter(r => !stale.includes(r));
+    if (closed.length) await store.update('reminders', closed.map(record => ({ record, patch: { acknowledged_at: sentAt } })));
+    if (stale.length) await store.remove('reminders', stale);
+  }
+}
+
+function reminderLines(slots, t) {
+  return [...slots]
+    .sort((a,b)=>a.score-b.score)
+    .map(s=>{
+      const age = daysSince(s.last_change_at);
+      const room = s.room ? ` (${escapeHtml(s.room)})` : "";
+      const stock = isLowStock(s) ? ` • ${stockLabel(s, t)}` : "";
+      return `${statusEmoji(s.status)} ${escapeHtml(s.name)}${room} — ${t("days", { n: age })} (${t("threshold_n", { n: s.threshold_days })})${stock}`;
+    })
+    .join("\n");
+}
+
+function reminderButtons(slots, t) {
+  return slots.slice(0,6).map(s=>[
+    { text: `✅ ${shorten(s.name,14)}`, callback_data: `refresh:${s.id}` },
+    { text: t("btn_snooze_day"), callback_data: `snz:${s.id}:day` },
+    { text: t("btn_snooze_eve"), callback_data: `snz:${s.id}:eve` },
+  ]);
+}
+
+// Без листа reminders работаем как раньше — без повторов, эскалаций и защиты от дублей
+async function loadReminderLedger(env) {
+  try {
+    return await getStore(env).all('reminders');
+  } catch (e) {
+    console.error('[cron] reminders ledger unavailable:', e);
+    return null;
+  }
+}
+
+function slotGroupMembers(slot, access) {
+  const members = new Set(access.filter(r => r.group_id === slot.group_id).map(r => r.tg_user_id));
+  if (slot.owner_fallback != null) members.add(String(slot.owner_fallback));
+  return Array.from(members);
+}
+
+// Числовая настройка из env: пусто — значение по умолчанию, 0 — выключено
+function numericSetting(value, fallback) {
+  if (value == null || value === '') return fallback;
+  return Math.max(0, Number(value) || 0);
+}
+
+/* =========================
+ * Расписание уведомлений: время по дням, тихие часы, пауза, дайджест
+ * ========================= */
+const WEEKDAY_NAMES = {
+  en: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+  ru: ['пн', 'вт', 'ср', 'чт', 'пт', 'сб', 'вс'],
+}; // индекс — день недели с понедельника; в таблице храним en-имена
+const DIGEST_DAYS = 7;
+const NOTIFY_COMMANDS = { schedule: 'schedule', quiet: 'quiet_hours', pause: 'pause_until', digest: 'digest' }; // команда бота → поле
+
+/**
+ * Настройки пользователя (колонки users) — те же строки, что вводят в боте и в панели:
+ *  schedule    — правила через «;»: «[дни] часы». «9,20; sat,sun 11» — по будням в 9 и 20, в выходные в 11.
+ *                Правило без дней — для дней, не названных в других; пусто — каждый день в notify_hour.
+ *  quiet_hours — «22-8»: с 22:00 до 08:00 молчим (и повторы, и эскалации).
+ *  pause_until — YYYY-MM-DD: до этой даты (не включая) уведомлений нет совсем; в боте можно «/pause 14» — на 14 дней.
+ *  digest      — «sun 19»: недельная сводка по воскресеньям в 19:00; пусто — выкл.
+ * Парсеры возвращают нормализованную строку, '' для «-»/пустого и null для ошибки.
+ */
+const NOTIFY_FIELDS = {
+  schedule: text => { const rules = parseScheduleRules(text); return rules && formatSchedule(rules); },
+  quiet_hours: text => { const q = parseQuietHours(text); return q && q.join('-'); },
+  pause_until: parsePauseUntil,
+  digest: text => { const d = parseDigest(text); return d && (d.day == null ? '' : `${WEEKDAY_NAMES.en[d.day]} ${d.hour}`); },
+};
+
+function parseWeekday(token) {
+  for (const names of Object.values(WEEKDAY_NAMES)) {
+    const i = names.indexOf(token.toLowerCase());
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+// «mon-fri,sun» → [0,1,2,3,4,6]; диапазон может переходить через воскресенье: «fri-mon»
+function parseWeekdays(spec) {
+  const days = new Set();
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [from, to = from] = part.split('-').map(parseWeekday);
+    if (from === -1 || to === -1) return null;
+    for (let d = from; ; d = (d + 1) % 7) { days.add(d); if (d === to) break; }
+  }
+  return days.size ? Array.from(days).sort((a, b) => a - b) : null;
+}
+
+function parseHourList(spec) {
+  const hours = spec.split(',').map(s => s.trim());
+  if (!hours.every(h => /^\d{1,2}$/.test(h) && Number(h) <= 23)) return null;
+  return Array.from(new Set(hours.map(Number))).sort((a, b) => a - b);
+}
+
+// → [{ days: [..] | null, hours: [..] }], [] — расписание по умолчанию
+function parseScheduleRules(text) {
+  const src = String(text || '').trim();
+  if (!src || src === '-') return [];
+  const rules = [];
+  for (const part of src.split(';').map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^(?:(\S*[^\d\s,]\S*)\s+)?(\d.*)$/);
+    const hours = m && parseHourList(m[2]);
+    const days = m && m[1] ? parseWeekdays(m[1]) : null;
+    if (!hours || (m[1] && !days)) return null;
+    if (!days && rules.some(r => !r.days)) return null; // правило «для остальных дней» — одно
+    rules.push({ days, hours });
+  }
+  return rules;
+}
+
+function formatWeekdays(days, lang = 'en') {
+  const names = WEEKDAY_NAMES[lang] || WEEKDAY_NAMES.en;
+  const runs = [];
+  for (const d of days) {
+    const run = runs[runs.length - 1];
+    if (run && run[1] === d - 1) run[1] = d; else runs.push([d, d]);
+  }
+  return runs.map(([a, b]) => b - a >= 2 ? `${names[a]}-${names[b]}` : Array.from({ length: b - a + 1 }, (_, i) => names[a + i]).join(',')).join(',');
+}
+
+function formatSchedule(rules, lang = 'en') {
+  return rules.map(r => (r.days ? `${formatWeekdays(r.days, lang)} ` : '') + r.hours.join(',')).join('; ');
+}
+
+// Часы, в которые пишем в этот день недели; тихие часы — уже без них
+function scheduleHours(user, day) {
+  const rules = parseScheduleRules(user.schedule) || [];
+  let hours = [user.notify_hour];
+  if (rules.length) {
+    const own = rules.filter(r => r.days && r.days.includes(day));
+    const rest = rules.find(r => !r.days);
+    hours = own.length ? Array.from(new Set(own.flatMap(r => r.hours))).sort((a, b) => a - b) : rest ? rest.hours : [];
+  }
+  const quiet = parseQuietHours(user.quiet_hours) || [];
+  return hours.filter(h => !inQuietHours(quiet, h));
+}
+
+// «22-8» → [22, 8]; [] — тихих часов нет
+function parseQuietHours(text) {
+  const src = String(text || '').trim();
+  if (!src || src === '-') return [];
+  const m = src.match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+  if (!m) return null;
+  const [from, to] = [Number(m[1]), Number(m[2])];
+  return from <= 23 && to <= 23 && from !== to ? [from, to] : null;
+}
+
+function inQuietHours(quiet, hour) {
+  if (!quiet.length) return false;
+  const [from, to] = quiet;
+  return from < to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+// Дата YYYY-MM-DD или число дней от сегодняшнего дня в поясе пользователя
+function parsePauseUntil(text, tz) {
+  const src = String(text || '').trim();
+  if (!src || src === '-') return '';
+  const p = zonedParts(new Date(), tz || 'UTC');
+  const today = Date.UTC(p.year, p.month - 1, p.day);
+  const at = /^\d{1,3}$/.test(src) ? today + Number(src) * DAY_MS
+    : /^\d{4}-\d{2}-\d{2}$/.test(src) ? Date.parse(`${src}T00:00:00Z`) : NaN;
+  if (!(at > today)) return null;
+  const date = new Date(at).toISOString().slice(0, 10);
+  return /^\d{1,3}$/.test(src) || date === src ? date : null; // 2026-02-30 и т.п. не принимаем
+}
+
+// «sun 19» → { day: 6, hour: 19 }; { day: null } — сводка выключена
+function parseDigest(text) {
+  const src = String(text || '').trim();
+  if (!src || src === '-') return { day: null, hour: null };
+  const m = src.match(/^(\S+)\s+(\d{1,2})(?::00)?$/);
+  const day = m ? parseWeekday(m[1]) : -1;
+  if (day === -1 || Number(m[2]) > 23) return null;
+  return { day, hour: Number(m[2]) };
+}
+
+/**
+ * Что можно слать пользователю в этот час: muted — пауза или тихие часы (молчим совсем),
+ * notify — плановое напоминание, summary — дневные сводки (первое время дня), digest — недельная сводка.
+ */
+function notificationPlan(user, now) {
+  const p = zonedParts(now, user.tz);
+  const day = (new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay() + 6) % 7;
+  const today = `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+  const muted = (user.pause_until && today < user.pause_until) || inQuietHours(parseQuietHours(user.quiet_hours) || [], p.hour);
+  if (muted) return { muted: true, notify: false, summary: false, digest: false };
+  const hours = scheduleHours(user, day);
+  const digest = parseDigest(user.digest);
+  return {
+    muted: false,
+    notify: hours.includes(p.hour),
+    summary: hours[0] === p.hour,
+    digest: !!digest && digest.day === day && digest.hour === p.hour,
+  };
+}
+
+async function getNotifySettings(env, tgUserId) {
+  const u = (await listUsers(env)).find(x => x.tg_user_id === Number(tgUserId));
+  if (!u) return { tz: env.DEFAULT_TZ || 'Europe/Moscow', notify_hour: Number(env.DEFAULT_NOTIFY_HOUR || 10), schedule: '', quiet_hours: '', pause_until: '', digest: '' };
+  return { tz: u.tz, notify_hour: u.notify_hour, schedule: u.schedule, quiet_hours: u.quiet_hours, pause_until: u.pause_until, digest: u.digest };
+}
+
+// Меняем только переданные поля; ошибка формата — Error('invalid <поле>')
+async function updateNotifySettings(env, tgUserId, input) {
+  const tz = await getUserTz(env, tgUserId);
+  const patch = {};
+  for (const [field, parse] of Object.entries(NOTIFY_FIELDS)) {
+    if (input[field] == null) continue;
+    const value = parse(String(input[field]), tz);
+    if (value == null) throw new Error(`invalid ${field}`);
+    patch[field] = value;
+  }
+  if (Object.keys(patch).length) await upsertUser(env, { tg_user_id: tgUserId, ...patch });
+  return getNotifySettings(env, tgUserId);
+}
+
+function describeNotifySettings(s, t) {
+  const rules = parseScheduleRules(s.schedule) || [];
+  const clock = hours => hours.map(h => `${pad2(h)}:00`).join(', ');
+  const time = rules.some(r => r.days)
+    ? rules.map(r => `${r.days ? formatWeekdays(r.days, t.lang) : t('sched_other_days')} ${clock(r.hours)}`).join('; ')
+    : t('sched_every_day', { time: clock(rules.length ? rules[0].hours : [s.notify_hour]) });
+  const quiet = parseQuietHours(s.quiet_hours) || [];
+  const digest = parseDigest(s.digest);
+  const lines = [
+    t('sched_time', { value: time }),
+    quiet.length ? t('sched_quiet', { from: `${pad2(quiet[0])}:00`, to: `${pad2(quiet[1])}:00` }) : t('sched_quiet_off'),
+    digest && digest.day != null ? t('sched_digest', { day: WEEKDAY_NAMES[t.lang][digest.day], time: `${pad2(digest.hour)}:00` }) : t('sched_digest_off'),
+  ];
+  const p = zonedParts(new Date(), s.tz);
+  if (s.pause_until && `${p.year}-${pad2(p.month)}-${pad2(p.day)}` < s.pause_until) {
+    lines.push(t('sched_paused', { date: formatDay(s.pause_until, t.lang) }));
+  }
+  return lines.join('\n');
+}
+
+function formatDay(date, lang = 'ru') {
+  return new Intl.DateTimeFormat(LANG_LOCALES[lang] || 'ru-RU', { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' }).format(new Date(`${date}T00:00:00Z`));
+}
+
+// Недельная сводка: замены за DIGEST_DAYS дней, что просрочено сейчас и где кончаются запасные
+function digestText(slots, events, nowMs, t) {
+  const changes = Array.from(collectChanges(slots, events).values()).flat()
+    .filter(c => nowMs - c.at < DIGEST_DAYS * DAY_MS)
+    .sort((a, b) => a.at - b.at);
+  const week = summarizeChanges(changes);
+  const names = list => list.map(s => `«${escapeHtml(s.name)}»`).join(', ');
+  const lines = [t('digest_title'), week.changes ? t('digest_changes', { line: statsLine(week, t) }) : t('digest_no_changes')];
+  if (week.top_actors.length) lines.push(t('stats_top', { list: week.top_actors.map(a => `<a href="tg://user?id=${escapeHtml(a.actor)}">${escapeHtml(a.actor)}</a> — ${a.count}`).join(', ') }));
+  const overdue = slots.filter(s => s.status === 'EXPIRED');
+  lines.push(overdue.length ? t('digest_overdue', { list: names(overdue) }) : t('digest_all_fresh'));
+  const low = slots.filter(isLowStock);
+  if (low.length) lines.push(t('digest_low_stock', { list: names(low) }));
+  return lines.join('\n');
+}
+
+/* =========================
+ * Группы: приглашения и участники
+ * ========================= */
+const INVITE_TTL_SEC = 48 * 60 * 60;
+
+// Код приглашения — тот же HS256 JWT, но с typ=invite и без sub (сессией не станет)
+async function createInvite(env, tgUserId) {
+  if (!env.WEB_JWT_SECRET) return null;
+  const group_id = await getPrimaryGroupId(env, tgUserId);
+  const ep = await getInviteEpoch(env, group_id);
+  const code = await jwtSignHS256({ typ: 'invite', grp: group_id, by: String(tgUserId), ep }, env.WEB_JWT_SECRET, INVITE_TTL_SEC);
+  const base = env.WORKER_URL ? env.WORKER_URL.replace(/\/+$/,'') : '';
+  return { code, group_id, link: base ? `${base}/join?code=${code}` : '', ttl_sec: INVITE_TTL_SEC };
+}
+
+async function readInvite(env, code) {
+  const invite = env.WEB_JWT_SECRET ? await jwtVerifyHS256(code, env.WEB_JWT_SECRET) : null;
+  if (!invite || invite.typ !== 'invite' || !invite.grp) return null;
+  // После /kick эпоха группы растёт — старые коды (в т.ч. у исключённого) больше не действуют
+  return (Number(invite.ep) || 0) === await getInviteEpoch(env, invite.grp) ? invite : null;
+}
+
+async function joinGroup(env, tgUserId, code) {
+  const invite = await readInvite(env, code);
+  if (!invite) throw new Error('invalid invite');
+  const groups = await listGroupsForUser(env, tgUserId, { ensure: true });
+  if (groups.includes(invite.grp)) return { group_id: invite.grp, already: true };
+  await addGroupMember(env, invite.grp, tgUserId);
+  return { group_id: invite.grp, already: false };
+}
+
+// Эпоха приглашений хранится в строке владельца группы (tg:<id> → users.<id>)
+async function getInviteEpoch(env, group_id) {
+  const users = await getStore(env).all('users');
+  const u = users.find(r => `tg:${r.tg_user_id}` === group_id);
+  return u ? Number(u.invite_epoch) || 0 : 0;
+}
+
+async function bumpInviteEpoch(env, ownerId) {
+  await ensureUser(env, ownerId);
+  const store = getStore(env);
+  const u = (await store.all('users')).find(r => r.tg_user_id === String(ownerId));
+  const epoch = (Number(u.invite_epoch) || 0) + 1;
+  await store.update('users', [ { record: u, patch: { invite_epoch: String(epoch) } } ]);
+  return epoch;
+}
+
+async function listMembers(env, tgUserId) {
+  const access = await getAccessTable(env);
+  const desired = String(tgUserId);
+  const groups = Array.from(new Set(access.filter(r => r.tg_user_id === desired).map(r => r.group_id)));
+  return groups.map(group_id => ({
+    group_id,
+    is_owner: group_id === `tg:${desired}`,
+    // Сам групповой чат — не участник, а владелец общей группы
+    members: Array.from(new Set(access.filter(r => r.group_id === group_id && !isChatId(r.tg_user_id)).map(r => r.tg_user_id))),
+  }));
+}
+
+// Из своей группы (tg:<id>) выйти нельзя — только из чужих
+async function leaveGroup(env, tgUserId, group_id) {
+  const desired = String(tgUserId);
+  if (group_id === `tg:${desired}`) throw new Error('forbidden');
+  const access = await getAccessTable(env);
+  const rows = access.filter(r => r.group_id === group_id && r.tg_user_id === desired);
+  await deleteAccessRows(env, rows);
+  return { ok: true, removed: rows.length };
+}
+
+// Исключать может только владелец, и только из своей группы
+async function kickMember(env, ownerId, memberId) {
+  const owner = String(ownerId);
+  const member = String(memberId);
+  if (owner === member) throw new Error('forbidden');
+  const group_id = `tg:${owner}`;
+  const access = await getAccessTable(env);
+  const rows = access.filter(r => r.group_id === group_id && r.tg_user_id === member);
+  await deleteAccessRows(env, rows);
+  // Исключённого выкидываем и из открытых веб-сессий — доступ к панели только после нового входа,
+  // а выданные раньше приглашения отзываем: иначе он вернётся по тому же коду
+  if (rows.length) {
+    await revokeSessions(env, member);
+    await bumpInviteEpoch(env, owner);
+  }
+  return { ok: true, removed: rows.length };
+}
+
+function groupLabel(group_id, viewerId, t) {
+  if (isChatGroupId(group_id)) return t('group_chat', { id: group_id.slice(3) });
+  if (group_id === `tg:${viewerId}`) return t('group_mine');
+  if (/^tg:-?\d+$/.test(group_id || '')) return t('group_n', { id: group_id.slice(3) });
+  return t('group_n', { id: group_id || '—' });
+}
+
+/* =========================
+ * История слота (лист events)
+ * ========================= */
+const EVENT_ACTIONS = ['CREATE', 'REFRESH', 'UPDATE', 'DELETE', 'RESTORE', 'SNOOZE', 'LAUNDRY', 'STOCK', 'IMPORT'];
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+// Свежие события первыми; события дописываются в конец, поэтому порядок строк = хронология
+async function getSlotHistory(env, id, { viewer = '', action = '', actor = '', offset = 0, limit = HISTORY_PAGE_SIZE } = {}) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, viewer);
+  const events = (await getStore(env).all('events'))
+    .filter(e => e.slot_id === id && (!action || e.action === action) && (!actor || e.actor === actor))
+    .reverse();
+  const items = events.slice(offset, offset + limit).map(({ ts, action, actor, note }) => ({ ts, action, actor, note }));
+  const next = offset + limit < events.length ? offset + limit : null;
+  return { slot: formatSlotForOutput(slot, false), items, total: events.length, offset, limit, next_offset: next };
+}
+
+function parseHistoryQuery(params) {
+  const action = (params.get('action') || '').trim().toUpperCase();
+  if (action && !EVENT_ACTIONS.includes(action)) return { error: 'unknown action' };
+  const actor = (params.get('actor') || '').trim();
+  const offset = Math.max(0, parseInt(params.get('offset') || '0', 10) || 0);
+  const limit = clampInt(parseInt(params.get('limit') || String(HISTORY_PAGE_SIZE), 10) || HISTORY_PAGE_SIZE, 1, HISTORY_MAX_LIMIT);
+  return { action, actor, offset, limit };
+}
+
+function describeEvent(e, viewerId, tz, t) {
+  if (e.action === 'CREATE') return t('ev_created');
+  if (e.action === 'SNOOZE') return t('ev_snoozed', { when: formatDateTime(e.note, tz, t.lang) });
+  if (e.action === 'DELETE') return t('ev_deleted');
+  if (e.action === 'RESTORE') return t('ev_restored');
+  if (e.action === 'IMPORT') return e.note ? t('ev_imported_as', { id: e.note }) : t('ev_imported');
+  if (e.action === 'LAUNDRY') return t('ev_laundry', { n: e.note || 0 });
+  if (e.action === 'STOCK') {
+    let stock = null;
+    try { stock = JSON.parse(e.note || '{}'); } catch {}
+    if (!stock || stock.clean == null) return t('ev_stock_off');
+    return t('ev_stock', { clean: stock.clean, dirty: stock.dirty ?? 0 });
+  }
+  if (e.action === 'REFRESH') return e.note && e.note.startsWith('room:') ? t('ev_refreshed_room', { room: e.note.slice(5) }) : t('ev_refreshed');
+  if (e.action === 'UPDATE') {
+    let patch = null;
+    try { patch = JSON.parse(e.note || '{}'); } catch {}
+    if (!patch || typeof patch !== 'object') return t('ev_updated_with', { parts: e.note || '' }).trim();
+    const parts = [];
+    if (patch.name != null) parts.push(t('ev_renamed', { name: patch.name }));
+    if (patch.threshold_days != null) parts.push(t('ev_threshold', { days: t('days', { n: patch.threshold_days }) }));
+    if (patch.room != null) parts.push(patch.room ? t('ev_room', { room: patch.room }) : t('ev_no_room'));
+    if (patch.group_id != null) parts.push(t('ev_moved', { group: groupLabel(patch.group_id, viewerId, t) }));
+    return parts.length ? t('ev_updated_with', { parts: parts.join(', ') }) : t('ev_updated');
+  }
+  return `${e.action}${e.note ? ': ' + e.note : ''}`;
+}
+
+function findSlotsByName(slots, query) {
+  const q = query.toLowerCase();
+  const byId = slots.filter(s => s.id === query);
+  if (byId.length) return byId;
+  const exact = slots.filter(s => (s.name || '').toLowerCase() === q);
+  if (exact.length) return exact;
+  return slots.filter(s => (s.name || '').toLowerCase().includes(q));
+}
+
+/* =========================
+ * Статистика: интервалы замен, «в срок», серии
+ * ========================= */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_TOP_ACTORS = 5;
+
+async function getStats(env, tgUserId) {
+  const slots = await listSlots(env, tgUserId);
+  const events = await getStore(env).all('events');
+  return computeStats(slots, events);
+}
+
+/**
+ * Цикл слота начинается с CREATE или REFRESH, интервал — время до следующего REFRESH.
+ * «В срок» — интервал не длиннее текущего порога слота (история порогов не хранится).
+ * REFRESH без предыдущего начала цикла (старые слоты без CREATE) считается заменой, но без интервала.
+ */
+function computeStats(slots, events) {
+  const changes = collectChanges(slots, events);
+  const rooms = new Map(); // room → { slots, changes }
+  for (const s of slots) {
+    const key = s.room || '';
+    if (!rooms.has(key)) rooms.set(key, { slots: 0, changes: [] });
+    rooms.get(key).slots++;
+    rooms.get(key).changes.push(...changes.get(s.id));
+  }
+  const byTime = (a, b) => a.at - b.at;
+  return {
+    total: summarizeChanges(Array.from(changes.values()).flat().sort(byTime)),
+    rooms: Array.from(rooms, ([room, r]) => ({ room, slots: r.slots, ...summarizeChanges(r.changes.sort(byTime)) }))
+      .sort((a, b) => b.changes - a.changes || a.room.localeCompare(b.room, 'ru')),
+    slots: slots.map(s => ({ id: s.id, name: s.name, room: s.room, threshold_days: s.threshold_days, ...summarizeChanges(changes.get(s.id)) }))
+      .sort((a, b) => b.changes - a.changes || (a.name || '').localeCompare(b.name || '', 'ru')),
+  };
+}
+
+// slot_id → замены по времени: [{ at, days, on_time, actor }]
+function collectChanges(slots, events) {
+  const byId = new Map(slots.map(s => [s.id, s]));
+  const changes = new Map(slots.map(s => [s.id, []]));
+  const cycleStart = new Map();
+  const sorted = events
+    .filter(e => byId.has(e.slot_id) && (e.action === 'CREATE' || e.action === 'REFRESH') && !Number.isNaN(Date.parse(e.ts)))
+    .sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  for (const e of sorted) {
+    const at = Date.parse(e.ts);
+    if (e.action === 'REFRESH') {
+      const prev = cycleStart.get(e.slot_id);
+      const days = prev != null ? (at - prev) / DAY_MS : null;
+      const on_time = days != null && days <= Number(byId.get(e.slot_id).threshold_days || 0);
+      changes.get(e.slot_id).push({ at, days, on_time, actor: e.actor || '' });
+    }
+    cycleStart.set(e.slot_id, at);
+  }
+  return changes;
+}
+
+// changes — по времени; серия «в срок» прерывается первым опозданием
+function summarizeChanges(changes) {
+  const intervals = changes.filter(c => c.days != null);
+  const days = intervals.map(c => c.days);
+  let current = 0, longest = 0;
+  for (const c of intervals) {
+    current = c.on_time ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  const counts = new Map();
+  for (const c of changes) if (c.actor) counts.set(c.actor, (counts.get(c.actor) || 0) + 1);
+  return {
+    changes: changes.length,
+    avg_interval_days: days.length ? round1(days.reduce((a, b) => a + b, 0) / days.length) : null,
+    median_interval_days: days.length ? round1(median(days)) : null,
+    on_time_pct: intervals.length ? Math.round(100 * intervals.filter(c => c.on_time).length / intervals.length) : null,
+    current_streak: current,
+    longest_streak: longest,
+    top_actors: Array.from(counts, ([actor, count]) => ({ actor, count }))
+      .sort((a, b) => b.count - a.count || a.actor.localeCompare(b.actor))
+      .slice(0, STATS_TOP_ACTORS),
+  };
+}
+
+function round1(x) { return Math.round(x * 10) / 10; }
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Одна строка сводки для бота: «12 замен, в срок 83%, в среднем 2,4 дня …»
+function statsLine(st, t) {
+  if (!st.changes) return t('stats_none');
+  const parts = [t('stats_changes', { n: st.changes })];
+  if (st.on_time_pct != null) {
+    parts.push(t('stats_on_time', { pct: st.on_time_pct }));
+    parts.push(t('stats_interval', { avg: t('days', { n: st.avg_interval_days }), median: t('days', { n: st.median_interval_days }) }));
+    parts.push(t('stats_streak', { n: st.current_streak, longest: st.longest_streak }));
+  }
+  return parts.join(', ');
+}
+
+/* =========================
+ * Подсказки порога по реальному ритму замен
+ * ========================= */
+const SUGGEST_MIN_INTERVALS = 4;   // меньше интервалов — ритм ещё не ясен
+const SUGGEST_WINDOW = 6;          // смотрим только на последние интервалы: привычки меняются
+const SUGGEST_AGREEMENT = 0.75;    // столько интервалов должно лежать по ту же сторону от порога
+const SUGGEST_REOFFER_DAYS = 7;    // проигнорированную подсказку бот повторяет не чаще
+
+async function getThresholdSuggestions(env, tgUserId) {
+  const slots = await listSlots(env, tgUserId);
+  const events = await getStore(env).all('events');
+  const declined = await kvEntries(env, 'thrdecl:');
+  return computeSuggestions(slots, events, declined);
+}
+
+// declined — Map живых ключей thrdecl:<slot_id> (отклонённые подсказки на время cool-down)
+function computeSuggestions(slots, events, declined) {
+  const changes = collectChanges(slots, events);
+  return slots
+    .filter(s => !declined.has(`thrdecl:${s.id}`))
+    .map(s => suggestThreshold(s, changes.get(s.id)))
+    .filter(Boolean);
+}
+
+/**
+ * Предлагаем медиану последних интервалов, если порог «стабильно мимо»:
+ * почти все недавние замены раньше порога (порог завышен) или позже (занижен).
+ */
+function suggestThreshold(slot, changes) {
+  const recent = changes.filter(c => c.days != null).slice(-SUGGEST_WINDOW).map(c => c.days);
+  if (recent.length < SUGGEST_MIN_INTERVALS) return null;
+  const threshold = Number(slot.threshold_days) || 0;
+  const actual = median(recent);
+  const suggested = clampInt(Math.round(actual), 1, 365);
+  if (suggested === threshold) return null;
+  const agree = recent.filter(d => suggested < threshold ? d < threshold : d > threshold).length;
+  if (agree / recent.length < SUGGEST_AGREEMENT) return null;
+  return { slot_id: slot.id, name: slot.name, room: slot.room, threshold_days: threshold, suggested_days: suggested, actual_days: round1(actual), intervals: recent.length };
+}
+
+// Принять — ставим предложенный порог; отклонить — молчим о слоте THRESHOLD_SUGGEST_COOLDOWN_DAYS дней
+async function resolveThresholdSuggestion(env, id, { accept, days, actor = '' }) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, actor);
+  if (accept) {
+    await updateSlot(env, id, { threshold_days: days }, { actor });
+    return { ok: true, threshold_days: days };
+  }
+  const cooldown = suggestCooldownDays(env);
+  if (cooldown) await kvPut(env, `thrdecl:${id}`, String(days), cooldown * 24 * 60 * 60);
+  return { ok: true, threshold_days: Number(slot.threshold_days), cooldown_days: cooldown };
+}
+
+function suggestCooldownDays(env) {
+  return numericSetting(env.THRESHOLD_SUGGEST_COOLDOWN_DAYS, 30);
+}
+
+function suggestionButtons(suggestions, t) {
+  return suggestions.slice(0, 6).map(s => [
+    { text: t("sug_accept_btn", { name: shorten(s.name, 14), days: t("days", { n: s.suggested_days }) }), callback_data: `sugok:${s.slot_id}:${s.suggested_days}` },
+    { text: t("sug_reject_btn"), callback_data: `sugno:${s.slot_id}:${s.suggested_days}` },
+  ]);
+}
+
+// Простой текст — экранирует вызывающий (Telegram-HTML или страница панели)
+function suggestionLine(s, t) {
+  return t("sug_line", { name: s.name || '', actual: t("days", { n: s.actual_days }), threshold: t("days", { n: s.threshold_days }), suggested: t("days", { n: s.suggested_days }) });
+}
+
+/* =========================
+ * Быстрые ссылки: QR/NFC-метка у крючка
+ * ========================= */
+const QUICK_KEY_BYTES = 9;                 // ключ метки — 12 символов base64url
+const QUICK_REPEAT_SEC = 10 * 60;          // повторный скан в этом окне ничего не меняет
+const QUICK_ACTOR_MAX = 40;
+const QUICK_DEFAULT_ACTOR = 'QR';
+
+/**
+ * Ссылка /q/<slot_id>.<подпись>, подпись — HMAC-SHA256 на WEB_JWT_SECRET от id слота и ключа метки.
+ * Ключ, подпись в истории (actor) и автор метки лежат в kv под quick:<slot_id> без срока:
+ * перевыпуск меняет ключ, отзыв удаляет запись — напечатанные раньше метки перестают работать.
+ * При скане права проверяются у автора метки: исключили из группы — метка больше ничего не меняет.
+ * Токен без JWT-заголовка и срока — так QR остаётся крупным и читается издалека.
+ */
+async function getQuickLink(env, slotId, { by, actor, rotate = false } = {}) {
+  const slot = await getSlotById(env, slotId);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, by);
+  const current = await loadQuickKey(env, slotId);
+  const name = actor != null ? normalizeQuickActor(actor) : current?.actor || QUICK_DEFAULT_ACTOR;
+  let entry = current;
+  if (!current || rotate || current.actor !== name) {
+    entry = { k: !current || rotate ? b64url(crypto.getRandomValues(new Uint8Array(QUICK_KEY_BYTES))) : current.k, actor: name, by: String(by) };
+    await kvPut(env, `quick:${slotId}`, JSON.stringify(entry));
+  }
+  const token = await quickToken(env, slotId, entry.k);
+  return { slot_id: slotId, token, url: quickUrl(env, token), actor: entry.actor };
+}
+
+async function revokeQuickLink(env, slotId, { by } = {}) {
+  const slot = await getSlotById(env, slotId);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, by);
+  await kvDelete(env, `quick:${slotId}`);
+  return { ok: true };
+}
+
+async function loadQuickKey(env, slotId) {
+  return parseQuickKey(await kvGet(env, `quick:${slotId}`));
+}
+
+function parseQuickKey(raw) {
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+function normalizeQuickActor(actor) {
+  return String(actor || '').replace(/\s+/g, ' ').trim().slice(0, QUICK_ACTOR_MAX) || QUICK_DEFAULT_ACTOR;
+}
+
+async function quickToken(env, slotId, key) {
+  return `${slotId}.${await hmacSign(env.WEB_JWT_SECRET, new TextEncoder().encode(`quick:${slotId}:${key}`))}`;
+}
+
+function quickUrl(env, token) {
+  const base = env.WORKER_URL ? env.WORKER_URL.replace(/\/+$/,'') : '';
+  return `${base}/q/${token}`;
+}
+
+// Скан метки: null — метка недействительна (чужая подпись, отозвана, у автора больше нет доступа)
+async function quickRefresh(env, token) {
+  const dot = String(token).lastIndexOf('.');
+  if (dot <= 0 || !env.WEB_JWT_SECRET) return null;
+  const slotId = token.slice(0, dot);
+  const entry = await loadQuickKey(env, slotId);
+  if (!entry) return null;
+  const enc = new TextEncoder();
+  if (!timingSafeEq(enc.encode(token), enc.encode(await quickToken(env, slotId, entry.k)))) return null;
+  const slot = await getSlotById(env, slotId);
+  if (!slot) return null;
+  // Телефон открывает ссылку с метки повторно, мессенджеры подгружают превью — вторую замену подряд не считаем
+  const ago = Date.now() - Date.parse(slot.last_change_at);
+  if (ago >= 0 && ago < QUICK_REPEAT_SEC * 1000) return { slot, repeated: true, ago_min: Math.floor(ago / 60000) };
+  try {
+    const res = await refreshSlot(env, slotId, { actor: `qr:${entry.actor}`, accessAs: entry.by });
+    return { slot: await getSlotById(env, slotId), repeated: false, ...res };
+  } catch (e) {
+    if (e && e.message === 'forbidden') return null;
+    throw e;
+  }
+}
+
+// Страница после скана — без сессии, язык из Accept-Language
+function quickResultPage(result, t) {
+  const head = `<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${t('quick_title')}</title>
+  <style>body{font-family:system-ui;padding:24px;background:#0b0b0b;color:#fafafa;text-align:center}h1{font-size:3em;margin:.2em 0}.tip{color:#aaa}</style>`;
+  const headers = { 'content-type': 'text/html; charset=UTF-8', 'cache-control': 'no-store', 'referrer-policy': 'no-referrer', 'x-robots-tag': 'noindex' };
+  if (!result) return new Response(`${head}<h1>🚫</h1><p>${t('quick_invalid')}</p>`, { status: 404, headers });
+  const s = result.slot;
+  const name = escapeHtml(s.room ? `${s.name} (${s.room})` : s.name);
+  const text = result.repeated ? t('quick_repeated', { name, minutes: t('minutes', { n: result.ago_min }) }) : t('quick_done', { name });
+  const stock = !result.repeated && result.spare_clean != null ? `<p class="tip">${t(result.low_stock ? 'quick_stock_low' : 'quick_stock', { n: result.spare_clean })}</p>` : '';
+  return new Response(`${head}<h1>${result.repeated ? '👌' : '✅'}</h1><p>${text}</p>${stock}`, { headers });
+}
+
+// Лист для печати: по карточке с QR на слот комнаты (без room — все слоты).
+// GET ничего не выпускает: слот без метки получает кнопку «Создать метку» (POST в quick-link)
+async function renderQuickSheet(env, uid, room, { csrf = '' } = {}) {
+  const t = await getTranslator(env, uid);
+  const slots = (await listSlots(env, uid)).filter(s => room == null || (s.room || '') === room);
+  const keys = await kvEntries(env, 'quick:');
+  const back = room != null ? `/dashboard/qr?${new URLSearchParams({ room })}` : '/dashboard/qr';
+  const redirect = formFields({ back, csrf });
+  const cards = [];
+  for (const s of slots.sort((a, b) => a.name.localeCompare(b.name, 'ru'))) {
+    const entry = parseQuickKey(keys.get(`quick:${s.id}`));
+    const action = `/api/slots/${encodeURIComponent(s.id)}/quick-link`;
+    const actor = `<input type="text" name="actor" maxlength="${QUICK_ACTOR_MAX}" value="${escapeHtml(entry ? entry.actor : QUICK_DEFAULT_ACTOR)}" title="${escapeHtml(t('qr_actor_hint'))}"/>`;
+    const label = `<b>${escapeHtml(s.name)}</b>${s.room ? `<span class="tip">${escapeHtml(s.room)}</span>` : ''}`;
+    if (!entry) {
+      cards.push(`<div class="card noprint">
+      <p class="tip">${t('qr_missing')}</p>
+      ${label}
+      <form method="post" action="${action}">${redirect}
+        ${actor}
+        <button>${t('qr_create')}</button>
+      </form>
+    </div>`);
+      continue;
+    }
+    cards.push(`<div class="card">
+      ${qrSvg(quickUrl(env, await quickToken(env, s.id, entry.k)))}
+      ${label}
+      <form class="noprint" method="post" action="${action}">${redirect}
+        ${actor}
+        <button>${t('qr_save')}</button>
+        <button name="rotate" value="1" class="danger">${t('qr_rotate')}</button>
+      </form>
+    </div>`);
+  }
+  const title = room ? t('qr_title_room', { room: escapeHtml(room) }) : t('qr_title');
+  return `<!doctype html><html lang="${t.lang}"><meta charset="utf-8"/><title>${title}</title>
+  <style>${PAGE_CSS}
+  .cards{display:flex;flex-wrap:wrap;gap:16px}.card{display:flex;flex-direction:column;align-items:center;gap:6px;width:200px;padding:12px;border:1px solid #333;border-radius:8px}
+  .card svg{width:160px;height:160px;background:#fff}.card input[type=text]{width:9em}
+  @media print{:root{color-scheme:light}body{background:#fff;color:#000}.noprint{display:none}.card{border:1px dashed #999;break-inside:avoid}.tip{color:#444}}
+  </style>
+  <p class="noprint"><a href="/dashboard">${t('back_to_dashboard')}</a></p>
+  <h1>${title}</h1>
+  <p class="tip noprint">${t('qr_hint', { minutes: QUICK_REPEAT_SEC / 60 })}</p>
+  ${cards.length ? `<div class="cards">${cards.join('')}</div>` : `<p class="tip">${t('qr_none')}</p>`}
+  <p class="noprint"><button onclick="print()">${t('qr_print')}</button></p>
+  </html>`;
+}
+
+/* =========================
+ * QR-код: кодировщик в SVG (байтовый режим, коррекция M)
+ * ========================= */
+// По стандарту (ISO/IEC 18004) для уровня M: EC-байт в блоке и число блоков по версиям 1–40
+const QR_EC_CODEWORDS = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_EC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, (x, y) => x % 3 === 0, (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0, (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+function qrSvg(text) {
+  const grid = qrMatrix(text);
+  const size = grid.length;
+  const path = [];
+  grid.forEach((row, y) => row.forEach((dark, x) => { if (dark) path.push(`M${x + 4} ${y + 4}h1v1h-1z`); }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size + 8} ${size + 8}" shape-rendering="crispEdges" role="img"><rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+// Матрица модулей (true — тёмный) без тихой зоны
+function qrMatrix(text) {
+  const data = new TextEncoder().encode(text);
+  let version = 1;
+  while (version <= 40 && 4 + (version < 10 ? 8 : 16) + data.length * 8 > qrDataCodewords(version) * 8) version++;
+  if (version > 40) throw new Error('qr too long');
+
+  const bits = [];
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  const capacity = qrDataCodewords(version) * 8;
+  push(0b0100, 4);
+  push(data.length, version < 10 ? 8 : 16);
+  for (const b of data) push(b, 8);
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fn = (x, y, dark) => { modules[y][x] = dark; reserved[y][x] = true; };
+  qrFunctionPatterns(version, size, fn);
+  qrFormatBits(size, 0, fn); // резервируем место, настоящие биты — после выбора маски
+
+  const all = qrInterleave(codewords, version);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (reserved[y][x] || i >= all.length * 8) continue;
+        modules[y][x] = ((all[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+  };
+  let best = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    qrFormatBits(size, mask, fn);
+    const penalty = qrPenalty(modules);
+    if (penalty < bestPenalty) { best = mask; bestPenalty = penalty; }
+    applyMask(mask); // маска — XOR, повторное наложение её снимает
+  }
+  applyMask(best);
+  qrFormatBits(size, best, fn);
+  return modules;
+}
+
+function qrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrDataCodewords(version) {
+  return Math.floor(qrRawModules(version) / 8) - QR_EC_CODEWORDS[version] * QR_EC_BLOCKS[version];
+}
+
+function qrAlignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = version * 4 + 10; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function qrFunctionPatterns(version, size, fn) {
+  for (let i = 0; i < size; i++) { fn(6, i, i % 2 === 0); fn(i, 6, i % 2 === 0); }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) fn(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = qrAlignmentPositions(version);
+  const last = align.length - 1;
+  align.forEach((cx, i) => align.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // углы с искателями
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) fn(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+  }));
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const bit = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3, b = Math.floor(i / 3);
+      fn(a, b, bit);
+      fn(b, a, bit);
+    }
+  }
+}
+
+// Уровень M кодируется в формате как 00, поэтому data — это просто номер маски
+function qrFormatBits(size, mask, fn) {
+  let rem = mask;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((mask << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) fn(8, i, bit(i));
+  fn(8, 7, bit(6));
+  fn(8, 8, bit(7));
+  fn(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) fn(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) fn(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) fn(8, size - 15 + i, bit(i));
+  fn(8, size - 8, true);
+}
+
+// Делим данные на блоки, к каждому — коды Рида — Соломона, и чередуем байты блоков
+function qrInterleave(data, version) {
+  const blocks = QR_EC_BLOCKS[version];
+  const ecLen = QR_EC_CODEWORDS[version];
+  const raw = Math.floor(qrRawModules(version) / 8);
+  const shortBlocks = blocks - raw % blocks;
+  const shortLen = Math.floor(raw / blocks);
+  const divisor = qrRsDivisor(ecLen);
+  const out = [];
+  const parts = [];
+  for (let i = 0, k = 0; i < blocks; i++) {
+    const dat = data.slice(k, k + shortLen - ecLen + (i < shortBlocks ? 0 : 1));
+    k += dat.length;
+    const ec = qrRsRemainder(dat, divisor);
+    if (i < shortBlocks) dat.push(0);
+    parts.push(dat.concat(ec));
+  }
+  for (let i = 0; i < parts[0].length; i++) {
+    parts.forEach((block, j) => { if (i !== shortLen - ecLen || j >= shortBlocks) out.push(block[i]); });
+  }
+  return out;
+}
+
+function qrRsMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrRsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = qrRsMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = qrRsMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function qrRsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((c, i) => { result[i] ^= qrRsMultiply(c, factor); });
+  }
+  return result;
+}
+
+// Штраф маски по четырём правилам стандарта: длинные серии, квадраты 2×2, «ложные искатели», баланс цвета
+function qrPenalty(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(''));
+    lines.push(modules.map(row => Number(row[i])).join(''));
+  }
+  let penalty = 0;
+  for (const line of lines) {
+    for (const run of line.match(/0{5,}|1{5,}/g) || []) penalty += run.length - 2;
+    penalty += 40 * ((`0000${line}0000`).match(/(?=10111010000|00001011101)/g) || []).length;
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += 10 * Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+  return penalty;
+}
+
+/* =========================
+ * Исходящие вебхуки: Home Assistant и прочая автоматика
+ * ========================= */
+const WEBHOOK_EVENTS = ['slot.status', 'slot.refresh', 'slot.create', 'slot.delete']; // ещё 'test' — только по кнопке
+// Слот, вернувшийся из корзины, для получателя появляется заново
+const WEBHOOK_ACTIONS = { REFRESH: 'slot.refresh', CREATE: 'slot.create', DELETE: 'slot.delete', RESTORE: 'slot.create' };
+const WEBHOOK_MAX_PER_USER = 5;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_MAX_ATTEMPTS = 6;        // первая попытка — сразу, остальные — кроном
+const WEBHOOK_BACKOFF_MIN = 15;        // пауза перед повтором удваивается: 15 мин, 30, 1 ч, 2 ч, 4 ч
+const WEBHOOK_LOG_DAYS = 14;           // столько живут завершённые записи журнала доставок
+const WEBHOOK_SECRET_BYTES = 24;
+const WEBHOOK_STATUS_KEY = 'webhook:statuses';
+
+/**
+ * Подписка принадлежит пользователю и срабатывает по слотам, которые ему видны.
+ * Тело — JSON { id, event, occurred_at, slot, actor?, from?, to? }; заголовок X-Towel-Signature:
+ * sha256=<hex HMAC-SHA256 тела на секрете подписки>, X-Towel-Delivery — id доставки (повторы приходят с тем же id).
+ * Переходы статуса (calcStatus) ловим сравнением со снимком в kv: кроном раз в час и сразу после действий со слотом.
+ * Не 2xx, таймаут или сеть — повтор с растущей паузой; 4xx (кроме 408/429) — получатель отказал, не повторяем.
+ * Журнал — лист deliveries, строка на доставку: попытки, последний ответ, когда повтор, когда доставлено.
+ */
+// Листа webhooks может не быть вовсе (фича не нужна) — пишем об этом в лог раз за жизнь изолята, а не на каждое действие
+let webhooksTableWarned = false;
+
+async function loadWebhooks(env) {
+  try {
+    return await getStore(env).all('webhooks');
+  } catch (e) {
+    if (!webhooksTableWarned) console.error('[webhooks] table unavailable:', e);
+    webhooksTableWarned = true;
+    return [];
+  }
+}
+
+async function listWebhooks(env, uid) {
+  const hooks = (await loadWebhooks(env)).filter(h => h.tg_user_id === String(uid));
+  if (!hooks.length) return [];
+  const deliveries = await getStore(env).all('deliveries').catch(() => []);
+  return hooks.map(h => {
+    const mine = deliveries.filter(d => d.webhook_id === h.id);
+    return { ...formatWebhook(h), last_delivery: mine.length ? formatDelivery(mine[mine.length - 1]) : null, pending: mine.filter(d => d.next_attempt_at).length };
+  });
+}
+
+async function listWebhookDeliveries(env, uid, id) {
+  const hook = await findWebhook(env, uid, id);
+  const rows = (await getStore(env).all('deliveries').catch(() => [])).filter(d => d.webhook_id === hook.id);
+  return rows.reverse().map(formatDelivery);
+}
+
+function formatWebhook(h) {
+  return { id: h.id, url: h.url, events: h.events ? h.events.split(',') : WEBHOOK_EVENTS, active: h.active !== '0', secret: h.secret, created_at: h.created_at };
+}
+
+function formatDelivery(d) {
+  const state = d.delivered_at ? 'delivered' : d.next_attempt_at ? 'retrying' : 'failed';
+  return { id: d.id, event: d.event, state, attempts: Number(d.attempts) || 0, response: d.response, created_at: d.created_at,
+    last_attempt_at: d.last_attempt_at, next_attempt_at: d.next_attempt_at, delivered_at: d.delivered_at };
+}
+
+async function findWebhook(env, uid, id) {
+  const hook = (await loadWebhooks(env)).find(h => h.id === id && h.tg_user_id === String(uid));
+  if (!hook) throw new Error('webhook not found');
+  return hook;
+}
+
+async function createWebhook(env, uid, { url, events }) {
+  const target = parseWebhookUrl(url);
+  if (!target) throw new Error('invalid url');
+  const list = parseWebhookEvents(events);
+  if (!list) throw new Error('invalid events');
+  const own = (await loadWebhooks(env)).filter(h => h.tg_user_id === String(uid));
+  if (own.length >= WEBHOOK_MAX_PER_USER) throw new Error('too many webhooks');
+  const hook = { id: ulid(), tg_user_id: String(uid), url: target, secret: b64url(crypto.getRandomValues(new Uint8Array(WEBHOOK_SECRET_BYTES))),
+    events: list.join(','), active: '1', created_at: new Date().toISOString() };
+  await getStore(env).insert('webhooks', [hook]);
+  return formatWebhook(hook);
+}
+
+async function updateWebhook(env, uid, id, { url, events, active }) {
+  const hook = await findWebhook(env, uid, id);
+  const patch = {};
+  if (url != null) {
+    patch.url = parseWebhookUrl(url);
+    if (!patch.url) throw new Error('invalid url');
+  }
+  if (events != null) {
+    const list = parseWebhookEvents(events);
+    if (!list) throw new Error('invalid events');
+    patch.events = list.join(',');
+  }
+  if (active != null) patch.active = active === true || active === '1' || active === 'true' ? '1' : '0';
+  if (Object.keys(patch).length) await getStore(env).update('webhooks', [ { record: hook, patch } ]);
+  return formatWebhook({ ...hook, ...patch });
+}
+
+async function deleteWebhook(env, uid, id) {
+  const hook = await findWebhook(env, uid, id);
+  await getStore(env).remove('webhooks', [hook]);
+  return { ok: true };
+}
+
+// Только https: секрет и подпись не должны ходить открытым текстом
+function parseWebhookUrl(value) {
+  try {
+    const u = new URL(String(value || '').trim());
+    return u.protocol === 'https:' && u.hostname ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Массив или строка через запятую; пусто — все события
+function parseWebhookEvents(value) {
+  const list = (Array.isArray(value) ? value : String(value || '').split(',')).map(e => String(e).trim()).filter(Boolean);
+  if (list.some(e => !WEBHOOK_EVENTS.includes(e))) return null;
+  return list.length ? WEBHOOK_EVENTS.filter(e => list.includes(e)) : [];
+}
+
+function webhookWants(hook, event) {
+  return hook.active !== '0' && (!hook.events || hook.events.split(',').includes(event));
+}
+
+function webhookSlot(slot) {
+  const { status, d } = calcStatus(slot.threshold_days, slot.last_change_at, slot.snooze_until);
+  return { id: slot.id, name: slot.name, room: slot.room, group_id: slot.group_id, status, days: d, threshold_days: slot.threshold_days,
+    last_change_at: slot.last_change_at, snooze_until: slot.snooze_until, spare_clean: slot.spare_clean, spare_dirty: slot.spare_dirty };
+}
+
+/**
+ * Точка входа для действий со слотами: action — REFRESH/CREATE/DELETE/RESTORE (или null — только проверить статусы),
+ * slots — записи слотов (для DELETE — до удаления). Доставка уходит после ответа (defer), её ошибки не ломают действие.
+ */
+function notifySlotChange(env, action, slots = [], { actor = '' } = {}) {
+  return defer(env, () => deliverSlotChange(env, action, slots, actor));
+}
+
+async function deliverSlotChange(env, action, slots, actor) {
+  try {
+    const hooks = await loadWebhooks(env);
+    if (!hooks.length) return;
+    const access = await getAccessTable(env);
+    const items = [];
+    const event = WEBHOOK_ACTIONS[action];
+    if (event) {
+      for (const hook of hooks.filter(h => webhookWants(h, event))) {
+        for (const slot of slotsVisibleTo(slots, access, hook.tg_user_id)) items.push({ hook, event, payload: { slot: webhookSlot(slot), actor: String(actor || '') } });
+      }
+    }
+    // Удалённый слот выпадает из снимка статусов молча — о нём уже есть slot.delete
+    for (const { slot, from, to } of await statusTransitions(env)) {
+      for (const hook of hooks.filter(h => webhookWants(h, 'slot.status'))) {
+        if (slotsVisibleTo([slot], access, hook.tg_user_id).length) items.push({ hook, event: 'slot.status', payload: { slot: webhookSlot(slot), from, to } });
+      }
+    }
+    await deliverWebhooks(env, items);
+  } catch (e) {
+    console.error('[webhooks] notify failed:', e);
+  }
+}
+
+// Сравнивает статусы слотов со снимком прошлой проверки; слот без снимка только запоминаем
+async function statusTransitions(env) {
+  const table = await getSlotsTable(env);
+  let prev = {};
+  try { prev = JSON.parse(await kvGet(env, WEBHOOK_STATUS_KEY) || '{}'); } catch {}
+  const next = {};
+  const changes = [];
+  for (const slot of table) {
+    const { status } = calcStatus(slot.threshold_days, slot.last_change_at, slot.snooze_until);
+    next[slot.id] = status;
+    if (prev[slot.id] && prev[slot.id] !== status) changes.push({ slot, from: prev[slot.id], to: status });
+  }
+  if (JSON.stringify(prev) !== JSON.stringify(next)) await kvPut(env, WEBHOOK_STATUS_KEY, JSON.stringify(next));
+  return changes;
+}
+
+// Сначала журнал, потом попытки: если waitUntil оборвёт цикл на середине, недошедшие строки
+// остаются с next_attempt_at = сейчас и их доставит крон. Каждую строку обновляем сразу после её попытки
+async function deliverWebhooks(env, items) {
+  if (!items.length) return [];
+  const store = getStore(env);
+  const at = new Date().toISOString();
+  const rows = items.map(({ hook, event, payload }) => {
+    const id = ulid();
+    const body = JSON.stringify({ id, event, occurred_at: at, ...payload });
+    return { id, webhook_id: hook.id, event, payload: body, attempts: '0', response: '', created_at: at, last_attempt_at: '', next_attempt_at: at, delivered_at: '' };
+  });
+  await store.insert('deliveries', rows);
+  // номера строк (_row) для update — из свежего чтения
+  const saved = new Map((await store.all('deliveries')).map(r => [r.id, r]));
+  const out = [];
+  for (let i = 0; i < items.length; i++) {
+    const { hook, event } = items[i];
+    const row = saved.get(rows[i].id);
+    if (!row) { out.push(rows[i]); continue; }
+    const patch = deliveryPatch(await attemptDelivery(hook, row.id, event, row.payload), 1, new Date().toISOString());
+    await store.update('deliveries', [ { record: row, patch } ]);
+    out.push({ ...row, ...patch });
+  }
+  return out;
+}
+
+async function attemptDelivery(hook, id, event, body) {
+  try {
+    const signature = await hmacSign(hook.secret, new TextEncoder().encode(body));
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'user-agent': 'TowelTracker-Webhook', 'x-towel-event': event, 'x-towel-delivery': id,
+        'x-towel-signature': `sha256=${bytesToHex(b64ToBytes(signature))}` },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (res.ok) return { ok: true, response: String(res.status) };
+    return { ok: false, response: `HTTP ${res.status}`, retry: res.status >= 500 || res.status === 408 || res.status === 429 };
+  } catch (e) {
+    const response = e && e.name === 'TimeoutError' ? 'timeout' : shorten(String((e && e.message) || e), 200);
+    return { ok: false, response, retry: true };
+  }
+}
+
+function deliveryPatch(res, attempts, at) {
+  const retry = !res.ok && res.retry && attempts < WEBHOOK_MAX_ATTEMPTS;
+  const delay = WEBHOOK_BACKOFF_MIN * 2 ** (attempts - 1) * 60000;
+  return { attempts: String(attempts), response: res.response, last_attempt_at: at,
+    next_attempt_at: retry ? new Date(Date.parse(at) + delay).toISOString() : '', delivered_at: res.ok ? at : '' };
+}
+
+async function sendTestWebhook(env, uid, id) {
+  const hook = await findWebhook(env, uid, id);
+  const [row] = await deliverWebhooks(env, [ { hook, event: 'test', payload: { slot: null, actor: String(uid) } } ]);
+  return formatDelivery(row);
+}
+
+// Крон: переходы статусов, накопившиеся за час, повторы доставок и чистка журнала
+async function runWebhookCron(env) {
+  try {
+    await notifySlotChange(env, null);
+    const hooks = await loadWebhooks(env);
+    if (!hooks.length) return;
+    const store = getStore(env);
+    const rows = await store.all('deliveries');
+    const byId = new Map(hooks.map(h => [h.id, h]));
+    const now = Date.now();
+    const at = new Date(now).toISOString();
+    const changes = [];
+    for (const r of rows.filter(r => r.next_attempt_at && Date.parse(r.next_attempt_at) <= now)) {
+      const hook = byId.get(r.webhook_id);
+      if (!hook || hook.active === '0') { changes.push({ record: r, patch: { next_attempt_at: '' } }); continue; }
+      const res = await attemptDelivery(hook, r.id, r.event, r.payload);
+      changes.push({ record: r, patch: deliveryPatch(res, (Number(r.attempts) || 0) + 1, at) });
+    }
+    if (changes.length) await store.update('deliveries', changes);
+    // удаление сдвигает строки листа — только после update
+    const stale = rows.filter(r => !r.next_attempt_at && now - Date.parse(r.created_at) > WEBHOOK_LOG_DAYS * DAY_MS);
+    if (stale.length) await store.remove('deliveries', stale);
+  } catch (e) {
+    console.error('[cron] webhooks failed:', e);
+  }
+}
+
+/* =========================
+ * Календарь: iCal-лента сроков замены
+ * ========================= */
+const CAL_TOKEN_BYTES = 24;
+
+/**
+ * Лента строится на лету из текущих слотов: «Обновил» (refreshSlot/refreshByRoom)
+ * сдвигает last_change_at — и при следующем опросе календарь увидит новую дату.
+ * Токен ленты — случайная строка в users.cal_token; /calendar new выпускает новую, старая перестаёт работать.
+ */
+async function getCalendarToken(env, tgUserId, { rotate = false } = {}) {
+  const users = await getStore(env).all('users');
+  const u = users.find(r => r.tg_user_id === String(tgUserId));
+  if (u?.cal_token && !rotate) return u.cal_token;
+  const cal_token = b64url(crypto.getRandomValues(new Uint8Array(CAL_TOKEN_BYTES)));
+  await upsertUser(env, { tg_user_id: tgUserId, cal_token });
+  return cal_token;
+}
+
+async function findUserByCalendarToken(env, token) {
+  if (!token) return null;
+  const enc = new TextEncoder();
+  const users = await getStore(env).all('users');
+  return users.find(u => u.cal_token && timingSafeEq(enc.encode(u.cal_token), enc.encode(token))) || null;
+}
+
+function calendarUrl(env, token) {
+  if (!env.WORKER_URL) return '';
+  return `${env.WORKER_URL.replace(/\/+$/,'')}/cal/${token}.ics`;
+}
+
+async function renderCalendar(env, user) {
+  const tz = user.tz || env.DEFAULT_TZ || 'Europe/Moscow';
+  const t = translator(LANGS.includes(user.lang) ? user.lang : defaultLang(env));
+  const base = env.WORKER_URL ? env.WORKER_URL.replace(/\/+$/,'') : '';
+  const stamp = icsStamp(new Date());
+  const slots = await listSlots(env, user.tg_user_id);
+
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Towel Tracker//Calendar feed//RU', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(t('cal_name'))}`, `X-WR-TIMEZONE:${icsText(tz)}`,
+    // подсказка клиентам опрашивать ленту почаще — иначе сдвиг после «Обновил» доедет только через сутки
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H',
+  ];
+  for (const s of slots) {
+    const changed = Date.parse(s.last_change_at);
+    if (Number.isNaN(changed)) continue;
+    // Событие на весь день — местная дата срока в поясе пользователя
+    const due = zonedParts(new Date(changed + Number(s.threshold_days || 0) * 86400000), tz);
+    const name = s.room ? `${s.name} (${s.room})` : s.name;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${s.id}@towel-tracker`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${icsStamp(new Date(changed))}`,
+      `DTSTART;VALUE=DATE:${icsDate(due.year, due.month, due.day)}`,
+      `DTEND;VALUE=DATE:${icsDate(due.year, due.month, due.day + 1)}`,
+      `SUMMARY:${icsText(t('cal_summary', { name }))}`,
+      `DESCRIPTION:${icsText(t('cal_description', { when: formatDateTime(s.last_change_at, tz, t.lang), days: t('days', { n: s.threshold_days }) }))}`,
+      ...(base ? [ `URL:${base}/dashboard/slots/${encodeURIComponent(s.id)}` ] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// RFC 5545: экранируем \ ; , и переводы строк в текстовых значениях
+function icsText(s) {
+  return String(s || '').replace(/[\\;,]/g, c => '\\' + c).replace(/\r?\n/g, '\\n');
+}
+
+// Дата через Date.UTC — сама переносит «32-е число» на следующий месяц
+function icsDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}`;
+}
+
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Строки длиннее 75 байт переносим (CRLF + пробел), не разрывая UTF-8 символы
+function icsFold(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = '', size = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; size = 0; }
+    cur += ch; size += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+/* =========================
+ * Экспорт и импорт: слоты, история, настройки
+ * ========================= */
+const EXPORT_VERSION = 1;
+const EXPORT_SLOT_FIELDS = ['id', 'name', 'group_id', 'room', 'threshold_days', 'last_change_at', 'snooze_until', 'spare_clean', 'spare_dirty'];
+const EXPORT_EVENT_FIELDS = ['ts', 'slot_id', 'action', 'actor', 'note'];
+const EXPORT_USER_FIELDS = ['tz', 'notify_hour', 'lang', 'schedule', 'quiet_hours', 'pause_until', 'digest'];
+// CSV — одна таблица: колонка table (user | slot | event) и объединение полей всех трёх
+const EXPORT_CSV_COLUMNS = ['table', ...new Set([...EXPORT_SLOT_FIELDS, ...EXPORT_EVENT_FIELDS, ...EXPORT_USER_FIELDS])];
+const EXPORT_FORMATS = ['json', 'csv'];
+const IMPORT_CONFLICTS = ['skip', 'new']; // id уже занят: пропустить слот или завести копию под новым ulid
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+// Всё, что видит пользователь: его слоты, их история и собственные настройки (чужие — нет)
+async function exportData(env, tgUserId) {
+  const slots = slotsVisibleTo(await getSlotsTable(env), await getAccessTable(env), tgUserId);
+  const ids = new Set(slots.map(s => s.id));
+  const events = (await getStore(env).all('events')).filter(e => ids.has(e.slot_id));
+  const settings = await getNotifySettings(env, tgUserId);
+  return {
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    user: { ...Object.fromEntries(EXPORT_USER_FIELDS.map(k => [k, settings[k] ?? ''])), lang: await getUserLang(env, tgUserId) },
+    slots: slots.map(s => Object.fromEntries(EXPORT_SLOT_FIELDS.map(k => [k, s[k] ?? '']))),
+    events: events.map(e => Object.fromEntries(EXPORT_EVENT_FIELDS.map(k => [k, e[k] ?? '']))),
+  };
+}
+
+function exportCsv(data) {
+  const row = (table, rec) => EXPORT_CSV_COLUMNS.map(c => c === 'table' ? table : rec[c]);
+  const rows = [EXPORT_CSV_COLUMNS, row('user', data.user), ...data.slots.map(s => row('slot', s)), ...data.events.map(e => row('event', e))];
+  return '\uFEFF' + toCsv(rows); // BOM — чтобы Excel открыл кириллицу как UTF-8
+}
+
+function exportFileName(format) {
+  return `towel-tracker-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+function exportBody(data, format) {
+  return format === 'csv'
+    ? { body: exportCsv(data), type: 'text/csv; charset=UTF-8' }
+    : { body: JSON.stringify(data, null, 2), type: 'application/json; charset=UTF-8' };
+}
+
+/**
+ * Файл экспорта (текст JSON/CSV или уже разобранный JSON) → { user, slots, events }.
+ * Формат узнаём по содержимому; битый файл — Error('invalid import').
+ */
+function parseImportFile(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    const text = input.replace(/^\uFEFF/, '').trim();
+    if (text.startsWith('{')) {
+      try { data = JSON.parse(text); } catch { throw new Error('invalid import'); }
+    } else {
+      const [header, ...rows] = parseCsv(text);
+      if (!header || !header.includes('table')) throw new Error('invalid import');
+      data = { user: null, slots: [], events: [] };
+      for (const cells of rows) {
+        const rec = Object.fromEntries(header.map((c, i) => [c, unescapeCsvFormula(cells[i] ?? '')]));
+        if (rec.table === 'user') data.user = rec;
+        else if (rec.table === 'slot') data.slots.push(rec);
+        else if (rec.table === 'event') data.events.push(rec);
+      }
+    }
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.slots)) throw new Error('invalid import');
+  return { user: data.user && typeof data.user === 'object' ? data.user : null, slots: data.slots, events: Array.isArray(data.events) ? data.events : [] };
+}
+
+function unescapeCsvFormula(value) {
+  return value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * План импорта без записи — его же показывает dry_run.
+ * Слоты попадают в group_id (если задан) или в свою прежнюю группу, если пользователь в ней состоит, иначе — в основную.
+ * Занятый id (в хранилище или повтор в файле): conflict=skip — слот и его история пропускаются,
+ * conflict=new — слот получает новый ulid, история переезжает следом. Ошибочные записи пропускаются и попадают в errors.
+ */
+async function planImport(env, tgUserId, data, { group_id = '', conflict = 'skip', settings = false } = {}) {
+  const groups = await listGroupsForUser(env, tgUserId, { ensure: true });
+  if (group_id && !groups.includes(group_id)) throw new Error('forbidden');
+  const taken = new Set((await getStore(env).all('slots')).map(r => String(r.id || '').trim()).filter(Boolean));
+  const plan = { slots: [], skipped: [], events: [], settings: null, errors: [] };
+  const idMap = new Map(); // id из файла → id в хранилище
+  const seen = new Set();
+
+  data.slots.forEach((raw, i) => {
+    const error = msg => plan.errors.push({ item: `slots[${i}]`, error: msg });
+    const name = String(raw.name ?? '').trim();
+    if (!name) return error('name required');
+    const threshold = parseThreshold(raw.threshold_days);
+    if (!threshold) return error('invalid threshold_days');
+    const tracked = raw.spare_clean != null && String(raw.spare_clean).trim() !== '';
+    const clean = tracked ? parseSpareCount(raw.spare_clean) : null;
+    const dirty = tracked ? (String(raw.spare_dirty ?? '').trim() === '' ? 0 : parseSpareCount(raw.spare_dirty)) : null;
+    if (Number.isNaN(clean) || Number.isNaN(dirty)) return error('invalid spare count');
+    const lastChange = Date.parse(raw.last_change_at);
+    if (Number.isNaN(lastChange)) return error('invalid last_change_at');
+    const snooze = Date.parse(raw.snooze_until);
+
+    const original = String(raw.id ?? '').trim();
+    let id = original;
+    if (!id || taken.has(id) || seen.has(id)) {
+      if (id && conflict === 'skip') return plan.skipped.push({ id, name });
+      id = ulid();
+    }
+    if (original) seen.add(original);
+    taken.add(id);
+    if (original && !idMap.has(original)) idMap.set(original, id);
+    const target = group_id || (groups.includes(String(raw.group_id ?? '')) ? String(raw.group_id) : groups[0]);
+    plan.slots.push({
+      original_id: original, id, name, group_id: target, room: String(raw.room ?? '').trim(), threshold_days: String(threshold),
+      last_change_at: new Date(lastChange).toISOString(), snooze_until: Number.isNaN(snooze) ? '' : new Date(snooze).toISOString(),
+      spare_clean: tracked ? String(clean) : '', spare_dirty: tracked ? String(dirty) : '',
+    });
+  });
+
+  data.events.forEach((raw, i) => {
+    const slot_id = idMap.get(String(raw.slot_id ?? '').trim());
+    if (!slot_id) return; // история пропущенного или отсутствующего в файле слота
+    const ts = Date.parse(raw.ts);
+    const action = String(raw.action ?? '').trim();
+    if (Number.isNaN(ts) || !EVENT_ACTIONS.includes(action)) return plan.errors.push({ item: `events[${i}]`, error: 'invalid event' });
+    plan.events.push({ ts: new Date(ts).toISOString(), slot_id, action, actor: String(raw.actor ?? ''), note: String(raw.note ?? '') });
+  });
+
+  if (settings && data.user) {
+    const patch = {};
+    for (const field of Object.keys(NOTIFY_FIELDS)) {
+      if (data.user[field] == null) continue;
+      const value = NOTIFY_FIELDS[field](String(data.user[field]), data.user.tz);
+      if (value == null) plan.errors.push({ item: 'user', error: `invalid ${field}` });
+      else patch[field] = value;
+    }
+    if (data.user.tz) patch.tz = String(data.user.tz).trim();
+    if (LANGS.includes(data.user.lang)) patch.lang = data.user.lang;
+    const hour = String(data.user.notify_hour ?? '').trim();
+    if (/^\d{1,2}$/.test(hour) && Number(hour) <= 23) patch.notify_hour = Number(hour);
+    plan.settings = patch;
+  }
+  return plan;
+}
+
+async function importData(env, tgUserId, data, opts = {}) {
+  const plan = await planImport(env, tgUserId, data, opts);
+  if (!opts.dry_run) {
+    const store = getStore(env);
+    if (plan.slots.length) await store.insert('slots', plan.slots.map(({ original_id, ...s }) => s));
+    const ts = new Date().toISOString();
+    const marks = plan.slots.map(s => ({ ts, slot_id: s.id, action: 'IMPORT', actor: String(tgUserId), note: s.original_id !== s.id ? s.original_id : '' }));
+    if (plan.events.length || marks.length) await store.insert('events', [...plan.events, ...marks]);
+    if (plan.settings && Object.keys(plan.settings).length) await upsertUser(env, { tg_user_id: tgUserId, ...plan.settings });
+  }
+  return {
+    ok: true,
+    dry_run: !!opts.dry_run,
+    slots: plan.slots.map(s => ({ id: s.id, original_id: s.original_id, name: s.name, room: s.room, group_id: s.group_id, renamed: !!s.original_id && s.original_id !== s.id })),
+    skipped: plan.skipped,
+    events: plan.events.length,
+    settings: plan.settings,
+    errors: plan.errors,
+  };
+}
+
+// Опции импорта — из тела (JSON или полей формы) или строки запроса
+function parseImportOptions(body, params) {
+  const pick = k => body[k] != null && body[k] !== '' ? body[k] : params.get(k);
+  const flag = v => v === true || ['1', 'true', 'on', 'yes'].includes(String(v ?? '').toLowerCase());
+  const conflict = String(pick('conflict') || 'skip');
+  if (!IMPORT_CONFLICTS.includes(conflict)) return { error: 'invalid conflict' };
+  return { dry_run: flag(pick('dry_run')), conflict, group_id: String(pick('group_id') || '').trim(), settings: flag(pick('settings')) };
+}
+
+// Источник данных: загруженный файл (multipart), поле data с текстом или сам JSON-экспорт в теле
+async function readImportInput(body) {
+  if (body.file && typeof body.file.text === 'function') {
+    if (body.file.size > IMPORT_MAX_BYTES) throw new Error('import too large');
+    return body.file.text();
+  }
+  if (typeof body.data === 'string') {
+    if (body.data.length > IMPORT_MAX_BYTES) throw new Error('import too large');
+    return body.data;
+  }
+  if (body.data && typeof body.data === 'object') return body.data;
+  return body;
+}
+
+// Ячейку с = + - @ в начале Excel и Sheets считают формулой — апостроф делает её текстом (снимает его parseImportFile)
+const CSV_FORMULA_START = /^[=+\-@]/;
+
+function toCsv(rows) {
+  const cell = v => {
+    let s = v == null ? '' : String(v);
+    if (CSV_FORMULA_START.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180: кавычки, "" внутри кавычек, переводы строк внутри ячейки
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v !== ''));
+}
+
+/* =========================
+ * REST API v1: таблица маршрутов, проверка входа, OpenAPI
+ * ========================= */
+const API_V1_PREFIX = '/api/v1';
+
+// Ошибки предметного слоя приходят как Error('<сообщение>') — здесь их HTTP-статусы; прочие 'invalid …' — 400
+const API_ERROR_STATUS = {
+  'unauthorized': 401,
+  'forbidden': 403,
+  'csrf check failed': 403,
+  'not found': 404,
+  'slot not found': 404,
+  'webhook not found': 404,
+  'method not allowed': 405,
+  'stock not tracked': 409,
+  'version conflict': 409,
+  'too many webhooks': 409,
+  'unsupported media type': 415,
+  'name required': 400,
+};
+
+function apiRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const API_V1_SCHEMAS = {
+  Error: {
+    type: 'object', required: ['error'],
+    properties: {
+      error: {
+        type: 'object', required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', description: 'Machine-readable code, e.g. slot_not_found' },
+          message: { type: 'string' },
+          details: { type: 'array', items: { type: 'object', properties: { in: { type: 'string', enum: ['path', 'query', 'body'] }, field: { type: 'string' }, message: { type: 'string' } } } },
+        },
+      },
+    },
+  },
+  Ok: { type: 'object', properties: { ok: { type: 'boolean' } } },
+  Slot: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      group_id: { type: 'string' },
+      room: { type: 'string' },
+      threshold_days: { type: 'integer' },
+      last_change_at: { type: 'string', format: 'date-time' },
+      snooze_until: { type: 'string', description: 'ISO date-time or empty' },
+      spare_clean: { type: ['integer', 'null'], description: 'null — stock is not tracked' },
+      spare_dirty: { type: ['integer', 'null'] },
+      version: { type: 'integer', description: 'Grows with every change; send it back in If-Match to avoid overwriting someone else\'s edit' },
+      low_stock: { type: 'boolean' },
+      d: { type: 'integer', description: 'Days since the last change' },
+      score: { type: 'number' },
+      status: { type: 'string', enum: ['OK', 'WARN', 'EXPIRED', 'SNOOZED'] },
+    },
+  },
+  TrashedSlot: {
+    allOf: [apiRef('Slot'), {
+      type: 'object',
+      properties: {
+        deleted_at: { type: 'string', format: 'date-time' },
+        purge_at: { type: ['string', 'null'], format: 'date-time', description: 'When the slot is removed for good; null — kept until restored' },
+      },
+    }],
+  },
+  SlotCreate: {
+    type: 'object', required: ['name'], additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: SLOT_NAME_MAX },
+      room: { type: 'string', maxLength: 100 },
+      threshold_days: { type: 'integer', minimum: 1, maximum: 365, default: 3 },
+      group_id: { type: 'string', minLength: 1, description: 'One of my groups; defaults to my own' },
+      spare_clean: { type: ['integer', 'null'], minimum: 0, maximum: 999, description: 'Clean spares on the shelf; null — do not track stock' },
+    },
+  },
+  SlotPatch: {
+    type: 'object', additionalProperties: false, minProperties: 1,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: SLOT_NAME_MAX },
+      room: { type: 'string', maxLength: 100 },
+      threshold_days: { type: 'integer', minimum: 1, maximum: 365 },
+      group_id: { type: 'string', minLength: 1 },
+      spare_clean: { type: ['integer', 'null'], minimum: 0, maximum: 999, description: 'null turns stock tracking off' },
+      spare_dirty: { type: 'integer', minimum: 0, maximum: 999 },
+    },
+  },
+  RefreshResult: {
+    type: 'object',
+    properties: { ok: { type: 'boolean' }, spare_clean: { type: 'integer' }, spare_dirty: { type: 'integer' }, low_stock: { type: 'boolean' }, version: { type: 'integer' } },
+  },
+  History: {
+    type: 'object',
+    properties: {
+      slot: apiRef('Slot'),
+      items: { type: 'array', items: { type: 'object', properties: { ts: { type: 'string', format: 'date-time' }, action: { type: 'string', enum: EVENT_ACTIONS }, actor: { type: 'string' }, note: { type: 'string' } } } },
+      total: { type: 'integer' },
+      offset: { type: 'integer' },
+      limit: { type: 'integer' },
+      next_offset: { type: ['integer', 'null'] },
+    },
+  },
+  Schedule: {
+    type: 'object',
+    properties: {
+      tz: { type: 'string' }, notify_hour: { type: 'integer' }, schedule: { type: 'string' },
+      quiet_hours: { type: 'string' }, pause_until: { type: 'string' }, digest: { type: 'string' },
+    },
+  },
+  SchedulePatch: {
+    type: 'object', additionalProperties: false, minProperties: 1,
+    properties: {
+      schedule: { type: 'string', description: 'e.g. "mon-fri 8,20; sat,sun 11"' },
+      quiet_hours: { type: 'string', description: 'e.g. "23-7"; empty — off' },
+      pause_until: { type: 'string', description: 'YYYY-MM-DD; empty — resume' },
+      digest: { type: 'string', description: 'e.g. "sun 19"; empty — off' },
+    },
+  },
+  Group: {
+    type: 'object',
+    properties: { group_id: { type: 'string' }, is_owner: { type: 'boolean' }, members: { type: 'array', items: { type: 'string' } } },
+  },
+  QuickLink: {
+    type: 'object',
+    properties: { slot_id: { type: 'string' }, token: { type: 'string' }, url: { type: 'string' }, actor: { type: 'string' } },
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' }, url: { type: 'string' }, events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      active: { type: 'boolean' }, secret: { type: 'string' }, created_at: { type: 'string', format: 'date-time' },
+    },
+  },
+  WebhookCreate: {
+    type: 'object', required: ['url'], additionalProperties: false,
+    properties: {
+      url: { type: 'string', minLength: 1, description: 'https only' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1, uniqueItems: true },
+    },
+  },
+  WebhookPatch: {
+    type: 'object', additionalProperties: false, minProperties: 1,
+    properties: {
+      url: { type: 'string', minLength: 1 },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1, uniqueItems: true },
+      active: { type: 'boolean' },
+    },
+  },
+  Delivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' }, event: { type: 'string' }, state: { type: 'string', enum: ['delivered', 'retrying', 'failed'] },
+      attempts: { type: 'integer' }, response: { type: 'string' }, created_at: { type: 'string' },
+      last_attempt_at: { type: 'string' }, next_attempt_at: { type: 'string' }, delivered_at: { type: 'string' },
+    },
+  },
+};
+
+const API_SLOT_ID = { id: { type: 'string', minLength: 1 } };
+const API_WEBHOOK_ID = { id: { type: 'string', minLength: 1 } };
+
+/**
+ * Маршрут: method + path (шаблон OpenAPI, {параметр} — один сегмент), схемы входа (params, query, body)
+ * и ответа (response, status). run получает уже проверенные значения; query приводится к типам схемы.
+ * errors — какие ещё статусы описать в OpenAPI (400 за неверный вход и 401 добавляются сами);
+ * ifMatch — маршрут принимает If-Match с версией слота и отвечает 409 на устаревшую.
+ */
+const API_V1_ROUTES = [
+  { method: 'GET', path: '/slots', operationId: 'listSlots', summary: 'Slots I can see',
+    response: { type: 'array', items: apiRef('Slot') },
+    run: ({ env, uid }) => listSlots(env, uid) },
+  { method: 'POST', path: '/slots', operationId: 'createSlot', summary: 'Create a slot', status: 201,
+    body: apiRef('SlotCreate'), response: apiRef('Slot'), errors: [403],
+    run: ({ env, uid, body }) => createSlot(env, { ...body, name: body.name.trim(), owner_tg_id: uid }) },
+  { method: 'GET', path: '/slots/{id}', operationId: 'getSlot', summary: 'One slot', params: API_SLOT_ID,
+    response: apiRef('Slot'), errors: [403, 404],
+    run: async ({ env, uid, params }) => formatSlotForOutput(await getSlotFor(env, params.id, uid)) },
+  { method: 'PATCH', path: '/slots/{id}', operationId: 'updateSlot', summary: 'Change slot fields (only the ones sent)', params: API_SLOT_ID,
+    body: apiRef('SlotPatch'), response: apiRef('Slot'), errors: [403, 404, 409], ifMatch: true,
+    run: async ({ env, uid, params, body, version }) => {
+      const patch = { ...body };
+      if (patch.spare_clean === null) patch.spare_clean = '';
+      await updateSlot(env, params.id, patch, { actor: String(uid), version });
+      return formatSlotForOutput(await getSlotById(env, params.id));
+    } },
+  { method: 'DELETE', path: '/slots/{id}', operationId: 'deleteSlot', summary: 'Delete a slot', params: API_SLOT_ID,
+    response: apiRef('Ok'), errors: [403, 404, 409], ifMatch: true,
+    run: ({ env, uid, params, version }) => deleteSlot(env, params.id, { actor: String(uid), version }) },
+  { method: 'GET', path: '/trash', operationId: 'listTrash', summary: 'Deleted slots I can restore',
+    response: { type: 'array', items: apiRef('TrashedSlot') },
+    run: ({ env, uid }) => listTrash(env, uid) },
+  { method: 'POST', path: '/slots/{id}/restore', operationId: 'restoreSlot', summary: 'Bring a slot back from the trash', params: API_SLOT_ID,
+    response: apiRef('Slot'), errors: [403, 404, 409], ifMatch: true,
+    run: ({ env, uid, params, version }) => restoreSlot(env, params.id, { actor: String(uid), version }) },
+  { method: 'POST', path: '/slots/{id}/refresh', operationId: 'refreshSlot', summary: 'Mark a fresh towel', params: API_SLOT_ID,
+    response: apiRef('RefreshResult'), errors: [403, 404, 409], ifMatch: true,
+    run: ({ env, uid, params, version }) => refreshSlot(env, params.id, { actor: String(uid), version }) },
+  { method: 'POST', path: '/slots/{id}/laundry', operationId: 'laundryDone', summary: 'Return washed towels to the shelf', params: API_SLOT_ID,
+    body: { type: 'object', additionalProperties: false, properties: { count: { type: 'integer', minimum: 0, maximum: 999, description: 'Default — all from the laundry' } } },
+    response: apiRef('RefreshResult'), errors: [403, 404, 409], ifMatch: true,
+    run: ({ env, uid, params, body, version }) => laundryDone(env, params.id, { count: body.count ?? null, actor: String(uid), version }) },
+  { method: 'GET', path: '/slots/{id}/history', operationId: 'slotHistory', summary: 'Slot history, newest first', params: API_SLOT_ID,
+    query: {
+      action: { type: 'string', enum: EVENT_ACTIONS },
+      actor: { type: 'string' },
+      offset: { type: 'integer', minimum: 0, default: 0 },
+      limit: { type: 'integer', minimum: 1, maximum: HISTORY_MAX_LIMIT, default: HISTORY_PAGE_SIZE },
+    },
+    response: apiRef('History'), errors: [403, 404],
+    run: ({ env, uid, params, query }) => getSlotHistory(env, params.id, { ...query, viewer: String(uid) }) },
+  { method: 'POST', path: '/slots/{id}/threshold-suggestion', operationId: 'resolveThresholdSuggestion', summary: 'Accept or reject a threshold suggestion', params: API_SLOT_ID,
+    body: { type: 'object', required: ['decision', 'days'], additionalProperties: false, properties: { decision: { type: 'string', enum: ['accept', 'reject'] }, days: { type: 'integer', minimum: 1, maximum: 365 } } },
+    response: { type: 'object' }, errors: [403, 404],
+    run: ({ env, uid, params, body }) => resolveThresholdSuggestion(env, params.id, { accept: body.decision === 'accept', days: body.days, actor: String(uid) }) },
+  { method: 'POST', path: '/slots/{id}/quick-link', operationId: 'getQuickLink', summary: 'Link for a QR/NFC tag (rotate — issue a new one)', params: API_SLOT_ID,
+    body: { type: 'object', additionalProperties: false, properties: { actor: { type: 'string', maxLength: QUICK_ACTOR_MAX }, rotate: { type: 'boolean' } } },
+    response: apiRef('QuickLink'), errors: [403, 404],
+    run: ({ env, uid, params, body }) => {
+      if (!env.WEB_JWT_SECRET) throw new Error('WEB_JWT_SECRET not set');
+      return getQuickLink(env, params.id, { by: uid, actor: body.actor || undefined, rotate: Boolean(body.rotate) });
+    } },
+  { method: 'DELETE', path: '/slots/{id}/quick-link', operationId: 'revokeQuickLink', summary: 'Revoke the QR/NFC tag link', params: API_SLOT_ID,
+    response: apiRef('Ok'), errors: [403, 404],
+    run: ({ env, uid, params }) => revokeQuickLink(env, params.id, { by: uid }) },
+  { method: 'POST', path: '/rooms/refresh', operationId: 'refreshRoom', summary: 'Mark fresh towels in every slot of a room',
+    body: { type: 'object', required: ['room'], additionalProperties: false, properties: { room: { type: 'string', minLength: 1 } } },
+    response: { type: 'object', properties: { updated: { type: 'integer' }, low_stock: { type: 'array', items: { type: 'string' } } } },
+    run: ({ env, uid, body }) => refreshByRoom(env, uid, body.room.trim()) },
+  { method: 'GET', path: '/stats', operationId: 'getStats', summary: 'Change statistics by slot and room',
+    response: { type: 'object' },
+    run: ({ env, uid }) => getStats(env, uid) },
+  { method: 'GET', path: '/suggestions', operationId: 'listSuggestions', summary: 'Threshold suggestions',
+    response: { type: 'array', items: { type: 'object' } },
+    run: ({ env, uid }) => getThresholdSuggestions(env, uid) },
+  { method: 'GET', path: '/schedule', operationId: 'getSchedule', summary: 'My notification schedule',
+    response: apiRef('Schedule'),
+    run: ({ env, uid }) => getNotifySettings(env, uid) },
+  { method: 'PATCH', path: '/schedule', operationId: 'updateSchedule', summary: 'Change my notification schedule',
+    body: apiRef('SchedulePatch'), response: apiRef('Schedule'),
+    run: ({ env, uid, body }) => updateNotifySettings(env, uid, body) },
+  { method: 'GET', path: '/groups', operationId: 'listGroups', summary: 'My groups and their members',
+    response: { type: 'array', items: apiRef('Group') },
+    run: ({ env, uid }) => listMembers(env, uid) },
+  { method: 'POST', path: '/groups/invite', operationId: 'createInvite', summary: 'Invite code for my group',
+    response: { type: 'object', properties: { code: { type: 'string' }, group_id: { type: 'string' }, link: { type: 'string' }, ttl_sec: { type: 'integer' } } },
+    run: async ({ env, uid }) => {
+      const invite = await createInvite(env, uid);
+      if (!invite) throw new Error('WEB_JWT_SECRET not set');
+      return invite;
+    } },
+  { method: 'POST', path: '/groups/join', operationId: 'joinGroup', summary: 'Join a group by invite code',
+    body: { type: 'object', required: ['code'], additionalProperties: false, properties: { code: { type: 'string', minLength: 1 } } },
+    response: { type: 'object', properties: { group_id: { type: 'string' }, already: { type: 'boolean' } } },
+    run: ({ env, uid, body }) => joinGroup(env, uid, body.code.trim()) },
+  { method: 'POST', path: '/groups/leave', operationId: 'leaveGroup', summary: 'Leave a group',
+    body: { type: 'object', required: ['group_id'], additionalProperties: false, properties: { group_id: { type: 'string', minLength: 1 } } },
+    response: { type: 'object', properties: { ok: { type: 'boolean' }, removed: { type: 'integer' } } }, errors: [403],
+    run: ({ env, uid, body }) => leaveGroup(env, uid, body.group_id.trim()) },
+  { method: 'POST', path: '/groups/kick', operationId: 'kickMember', summary: 'Remove a member from my group',
+    body: { type: 'object', required: ['tg_user_id'], additionalProperties: false, properties: { tg_user_id: { type: ['string', 'integer'], pattern: '^-?\\d+$' } } },
+    response: { type: 'object', properties: { ok: { type: 'boolean' }, removed: { type: 'integer' } } }, errors: [403],
+    run: ({ env, uid, body }) => kickMember(env, uid, String(body.tg_user_id)) },
+  { method: 'GET', path: '/webhooks', operationId: 'listWebhooks', summary: 'My outgoing webhooks',
+    response: { type: 'array', items: apiRef('Webhook') },
+    run: ({ env, uid }) => listWebhooks(env, uid) },
+  { method: 'POST', path: '/webhooks', operationId: 'createWebhook', summary: 'Add a webhook', status: 201,
+    body: apiRef('WebhookCreate'), response: apiRef('Webhook'), errors: [409],
+    run: ({ env, uid, body }) => createWebhook(env, uid, body) },
+  { method: 'PATCH', path: '/webhooks/{id}', operationId: 'updateWebhook', summary: 'Change a webhook', params: API_WEBHOOK_ID,
+    body: apiRef('WebhookPatch'), response: apiRef('Webhook'), errors: [404],
+    run: ({ env, uid, params, body }) => updateWebhook(env, uid, params.id, body) },
+  { method: 'DELETE', path: '/webhooks/{id}', operationId: 'deleteWebhook', summary: 'Delete a webhook', params: API_WEBHOOK_ID,
+    response: apiRef('Ok'), errors: [404],
+    run: ({ env, uid, params }) => deleteWebhook(env, uid, params.id) },
+  { method: 'POST', path: '/webhooks/{id}/test', operationId: 'testWebhook', summary: 'Send a test event now', params: API_WEBHOOK_ID,
+    response: apiRef('Delivery'), errors: [404],
+    run: ({ env, uid, params }) => sendTestWebhook(env, uid, params.id) },
+  { method: 'GET', path: '/webhooks/{id}/deliveries', operationId: 'listDeliveries', summary: 'Delivery log, newest first', params: API_WEBHOOK_ID,
+    response: { type: 'array', items: apiRef('Delivery') }, errors: [404],
+    run: ({ env, uid, params }) => listWebhookDeliveries(env, uid, params.id) },
+  { method: 'GET', path: '/openapi.json', operationId: 'openapi', summary: 'This document', auth: false,
+    response: { type: 'object' },
+    run: ({ env }) => buildOpenApi(env) },
+].map(route => ({ ...route, pattern: new RegExp(`^${route.path.replace(/\{\w+\}/g, '([^/]+)')}$`), names: Array.from(route.path.matchAll(/\{(\w+)\}/g), m => m[1]) }));
+
+async function getSlotFor(env, id, uid) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, String(uid));
+  return slot;
+}
+
+async function handleApiV1(req, env, url, uid) {
+  const path = url.pathname.slice(API_V1_PREFIX.length) || '/';
+  const candidates = API_V1_ROUTES.map(route => ({ route, m: route.pattern.exec(path) })).filter(c => c.m);
+  if (!candidates.length) return apiV1Error('not found');
+  const found = candidates.find(c => c.route.method === req.method);
+  if (!found) {
+    return apiV1Error('method not allowed', { headers: { Allow: Array.from(new Set(candidates.map(c => c.route.method))).join(', ') } });
+  }
+  const { route, m } = found;
+  try {
+    if (route.auth !== false && !uid) return apiV1Error('unauthorized');
+    if (uid && !SAFE_METHODS.includes(req.method) && !(await checkCsrf(req, env))) return apiV1Error('csrf check failed');
+
+    const details = [];
+    const params = {};
+    route.names.forEach((name, i) => {
+      const value = tryDecodeURIComponent(m[i + 1]);
+      if (value == null) details.push({ in: 'path', field: name, message: 'invalid percent-encoding' });
+      else params[name] = value;
+    });
+    details.push(...validateSchema({ type: 'object', properties: route.params || {} }, params, 'path'));
+    const query = coerceQuery(url.searchParams, route.query || {});
+    details.push(...validateSchema({ type: 'object', properties: route.query || {} }, query, 'query'));
+    let body = {};
+    if (route.body) {
+      const text = await req.text();
+      if (text.trim()) {
+        if (!(req.headers.get('content-type') || '').toLowerCase().includes('application/json')) return apiV1Error('unsupported media type');
+        try { body = JSON.parse(text); } catch { return apiV1Error('invalid json'); }
+      }
+      details.push(...validateSchema(route.body, body, 'body'));
+    }
+    if (details.length) return apiV1Error('invalid request', { details });
+
+    const version = route.ifMatch ? expectedVersion(req) : null;
+    const result = await route.run({ env, uid, params, query: applyDefaults(route.query || {}, query), body, version });
+    const res = json(result, route.status || 200);
+    // версия слота — и в заголовке ETag: его можно сразу вернуть в If-Match следующей правки
+    if (result && typeof result === 'object' && !Array.isArray(result) && result.version != null) res.headers.set('ETag', `"${result.version}"`);
+    return res;
+  } catch (e) {
+    if (e && typeof e.message === 'string' && (API_ERROR_STATUS[e.message] || /^invalid /.test(e.message))) return apiV1Error(e.message);
+    console.error(`[api v1] ${req.method} ${path} error:`, e);
+    return apiV1Error('internal error', { status: 500 });
+  }
+}
+
+// { error: { code, message, details? } }; code — то же сообщение в snake_case
+function apiV1Error(message, { status = API_ERROR_STATUS[message] || 400, details, headers = {} } = {}) {
+  const error = { code: message.replace(/\s+/g, '_'), message };
+  if (details) error.details = details;
+  return new Response(JSON.stringify({ error }), { status, headers: { 'content-type': 'application/json; charset=UTF-8', ...headers } });
+}
+
+// Параметры запроса — строки: числа и флаги приводим по схеме, неприводимое оставляем как есть (его отвергнет проверка)
+function coerceQuery(searchParams, props) {
+  const out = {};
+  for (const [name, schema] of Object.entries(props)) {
+    if (!searchParams.has(name)) continue;
+    const raw = searchParams.get(name);
+    if (schema.type === 'integer' && /^-?\d+$/.test(raw)) out[name] = Number(raw);
+    else if (schema.type === 'boolean' && (raw === 'true' || raw === 'false')) out[name] = raw === 'true';
+    else out[name] = raw;
+  }
+  return out;
+}
+
+function applyDefaults(props, values) {
+  const out = { ...values };
+  for (const [name, schema] of Object.entries(props)) {
+    if (out[name] === undefined && schema.default !== undefined) out[name] = schema.default;
+  }
+  return out;
+}
+
+/**
+ * Проверка по подмножеству JSON Schema — тому, что встречается в API_V1_SCHEMAS:
+ * $ref, type (в т.ч. массив типов), enum, min/maxLength, pattern, minimum/maximum,
+ * required, properties, additionalProperties: false, minProperties, items, minItems, uniqueItems.
+ * Возвращает список нарушений [{ in, field, message }], пустой — всё в порядке.
+ */
+function validateSchema(schema, value, where, field = '') {
+  if (schema.$ref) return validateSchema(API_V1_SCHEMAS[schema.$ref.split('/').pop()], value, where, field);
+  const problem = message => [{ in: where, field, message }];
+  const types = schema.type == null ? null : [].concat(schema.type);
+  if (types && !types.some(type => schemaTypeMatches(type, value))) return problem(`must be ${types.join(' or ')}`);
+  if (value === null) return [];
+  if (schema.enum && !schema.enum.includes(value)) return problem(`must be one of: ${schema.enum.join(', ')}`);
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) return problem(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return problem(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return problem(`must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return problem(`must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) return problem(`must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return problem(`must have at least ${schema.minItems} item(s)`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) return problem('must not repeat items');
+    if (schema.items) return value.flatMap((item, i) => validateSchema(schema.items, item, where, `${field}[${i}]`));
+  }
+  if (types && types.includes('object') && value && typeof value === 'object' && !Array.isArray(value)) {
+    const props = schema.properties || {};
+    const name = key => field ? `${field}.${key}` : key;
+    const out = [];
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) out.push({ in: where, field: name(key), message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) { if (v !== undefined) out.push(...validateSchema(props[key], v, where, name(key))); }
+      else if (schema.additionalProperties === false) out.push({ in: where, field: name(key), message: 'is not allowed' });
+    }
+    if (schema.minProperties && Object.keys(value).length < schema.minProperties) out.push({ in: where, field, message: 'must not be empty' });
+    return out;
+  }
+  return [];
+}
+
+function schemaTypeMatches(type, value) {
+  if (type === 'null') return value === null;
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+// OpenAPI 3.1 собирается из той же таблицы маршрутов, по которой идёт проверка, — расходиться им негде
+function buildOpenApi(env) {
+  const errorResponse = { content: { 'application/json': { schema: apiRef('Error') } } };
+  const ERROR_TEXT = { 400: 'Invalid request', 401: 'No session', 403: 'No access', 404: 'Not found', 409: 'Conflict with the current state or a newer slot version' };
+  const paths = {};
+  for (const route of API_V1_ROUTES) {
+    const parameters = [
+      ...Object.entries(route.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+      ...Object.entries(route.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema })),
+    ];
+    if (route.ifMatch) parameters.push({ name: 'If-Match', in: 'header', required: false, schema: { type: 'string' }, description: 'Slot version seen by the client ("3"); 409 if the slot has changed since' });
+    const statuses = new Set(route.errors || []);
+    if (route.body || route.query || route.params) statuses.add(400);
+    if (route.auth !== false) statuses.add(401);
+    const responses = { [route.status || 200]: { description: 'OK', content: { 'application/json': { schema: route.response } } } };
+    for (const status of Array.from(statuses).sort()) responses[status] = { description: ERROR_TEXT[status], ...errorResponse };
+    const op = { operationId: route.operationId, summary: route.summary, responses };
+    if (parameters.length) op.parameters = parameters;
+    if (route.body) op.requestBody = { required: Boolean(route.body.required || route.body.$ref), content: { 'application/json': { schema: route.body } } };
+    if (route.auth === false) op.security = [];
+    (paths[route.path] = paths[route.path] || {})[route.method.toLowerCase()] = op;
+  }
+  const base = env.WORKER_URL ? env.WORKER_URL.replace(/\/+$/, '') : '';
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Towel Freshness Tracker API', version: '1' },
+    servers: [{ url: `${base}${API_V1_PREFIX}` }],
+    security: [{ session: [] }],
+    paths,
+    components: {
+      schemas: API_V1_SCHEMAS,
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: 'sid', description: 'Session from the magic link. Mutating requests also need a same-origin Origin header or X-CSRF-Token.' },
+      },
+    },
+  };
+}
+
+/* =========================
+ * Авторизация: JWT HS256 + cookie
+ * ========================= */
+const MAGIC_LINK_TTL_SEC = 45 * 60;    // маг-ссылка живёт 45 минут и срабатывает один раз
+const LOGIN_FAIL_LIMIT = 10;            // столько неудачных входов с одного IP…
+const LOGIN_FAIL_WINDOW_SEC = 15 * 60;  // …за это окно (от последней неудачи), дальше — 429
+
+async function magicLink(env, tgUserId, ttlSec = MAGIC_LINK_TTL_SEC) {
+  if (!env.WORKER_URL || !env.WEB_JWT_SECRET) return "";
+  const token = await jwtSignHS256({ typ: "magic", sub: String(tgUserId), jti: ulid() }, env.WEB_JWT_SECRET, ttlSec);
+  const base = env.WORKER_URL.replace(/\/+$/,'');
+  return `${base}/login?token=${token}`;
+}
+
+// Проверяет маг-токен и «гасит» его jti в kv до истечения срока — повторный вход по той же ссылке не пройдёт
+async function consumeMagicToken(env, token) {
+  const magic = await jwtVerifyHS256(token, env.WEB_JWT_SECRET);
+  if (!magic || magic.typ !== "magic" || !magic.sub || !magic.jti) return null;
+  // Две вкладки с одной ссылкой не должны обе войти — занимаем jti атомарно
+  if (!(await kvClaim(env, `jti:${magic.jti}`, Math.max(1, magic.exp - Math.floor(Date.now() / 1000))))) return null;
+  return magic;
+}
+
+// Пусто, если запрос пришёл не через Cloudflare — тогда и лимит попыток не ведём (иначе все такие клиенты делили бы один счётчик)
+function clientIp(req) {
+  return req.headers.get("cf-connecting-ip") || "";
+}
+
+async function loginBlocked(env, ip) {
+  if (!ip) return false;
+  return (Number(await kvGet(env, `loginfail:${ip}`)) || 0) >= LOGIN_FAIL_LIMIT;
+}
+
+async function noteLoginFailure(env, ip) {
+  if (!ip) return;
+  const key = `loginfail:${ip}`;
+  const fails = (Number(await kvGet(env, key)) || 0) + 1;
+  await kvPut(env, key, String(fails), LOGIN_FAIL_WINDOW_SEC);
+}
+
+// Сообщаем в Telegram о каждом новом входе — чужую сессию можно сразу погасить /logout_all
+async function notifyNewSession(env, tgUserId, req) {
+  const tz = await getUserTz(env, tgUserId);
+  const t = await getTranslator(env, tgUserId);
+  const ua = shorten(req.headers.get("user-agent") || t("unknown_device"), 80);
+  await tgSend(env, tgUserId, t("login_notice", {
+    when: escapeHtml(formatDateTime(new Date().toISOString(), tz, t.lang)),
+    ua: escapeHtml(ua),
+    ip: escapeHtml(clientIp(req) || t("unknown_device")),
+  }));
+}
+
+async function parseSession(req, env) {
+  const cookies = parseCookies(req.headers.get("cookie") || "");
+  const tok = cookies["sid"]; if (!tok) return null;
+  const payload = await jwtVerifyHS256(tok, env.WEB_JWT_SECRET);
+  // Тем же секретом подписаны маг-ссылки и приглашения — сессией считается только typ: session
+  if (!payload || payload.typ !== "session" || !payload.sub) return null;
+  // «Выйти везде» увеличивает эпоху — все выданные раньше cookie перестают действовать
+  if ((Number(payload.ep) || 0) !== await getSessionEpoch(env, payload.sub)) return null;
+  return Number(payload.sub);
+}
+
+async function getSessionEpoch(env, tgUserId) {
+  const users = await getStore(env).all('users');
+  const u = users.find(r => r.tg_user_id === String(tgUserId));
+  return u ? Number(u.session_epoch) || 0 : 0;
+}
+
+async function revokeSessions(env, tgUserId) {
+  await ensureUser(env, tgUserId);
+  const store = getStore(env);
+  const u = (await store.all('users')).find(r => r.tg_user_id === String(tgUserId));
+  const epoch = (Number(u.session_epoch) || 0) + 1;
+  await store.update('users', [ { record: u, patch: { session_epoch: String(epoch) } } ]);
+  return epoch;
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// CSRF-токен привязан к самой cookie-сессии: после выхода/отзыва он тоже недействителен
+async function csrfToken(req, env) {
+  const sid = parseCookies(req.headers.get("cookie") || "")["sid"];
+  if (!sid || !env.WEB_JWT_SECRET) return "";
+  return hmacSign(env.WEB_JWT_SECRET, new TextEncoder().encode(`csrf:${sid}`));
+}
+
+// Браузер шлёт Origin (или хотя бы Referer) — он обязан совпадать с нашим адресом.
+// Если оба срезаны прокси/настройками приватности — нужен токен из поля csrf или заголовка X-CSRF-Token.
+async function checkCsrf(req, env) {
+  const allowed = [new URL(req.url).origin];
+  if (env.WORKER_URL) { try { allowed.push(new URL(env.WORKER_URL).origin); } catch {} }
+  const origin = req.headers.get("origin");
+  if (origin && origin !== "null") return allowed.includes(origin);
+  const referer = req.headers.get("referer");
+  if (referer) {
+    try { return allowed.includes(new URL(referer).origin); } catch { return false; }
+  }
+  const expected = await csrfToken(req, env);
+  let token = req.headers.get("x-csrf-token") || "";
+  if (!token) {
+    const body = await readBody(req.clone()).catch(() => ({}));
+    token = String(body?.csrf || "");
+  }
+  const enc = new TextEncoder();
+  return Boolean(expected) && timingSafeEq(enc.encode(token), enc.encode(expected));
+}
+
+async function jwtSignHS256(payload, secret, ttlSec) {
+  const header = { alg: "HS256", typ: "JWT" };
+  const now = Math.floor(Date.now()/1000);
+  const body = { ...payload, iat: now, exp: now + Number(ttlSec || 900) };
+  const h = b64url(new TextEncoder().encode(JSON.stringify(header)));
+  const p = b64url(new TextEncoder().encode(JSON.stringify(body)));
+  const sig = await hmacSign(secret, new TextEncoder().encode(`${h}.${p}`));
+  return `${h}.${p}.${sig}`;
+}
+
+async function jwtVerifyHS256(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [h, p, s] = parts;
+  const expected = await hmacSign(secret, new TextEncoder().encode(`${h}.${p}`));
+  if (!timingSafeEq(b64ToBytes(s), b64ToBytes(expected))) return null;
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(b64ToBytes(p)));
+    if (!payload || !payload.exp || Math.floor(Date.now()/1000) > Number(payload.exp)) return null;
+    return payload;
+  } catch { return null; }
+}
+
+async function hmacSign(secret, dataBytes) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(secret)),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, dataBytes);
+  return b64url(sig);
+}
+
+function timingSafeEq(a, b) {
+  if (!(a instanceof Uint8Array)) a = new Uint8Array(a);
+  if (!(b instanceof Uint8Array)) b = new Uint8Array(b);
+  if (a.length !== b.length) return false;
+  let diff = 0; for (let i=0;i<a.length;i++) diff |= a[i]^b[i];
+  return diff === 0;
+}
+
+function isAdmin(req, env) {
+  if (!env.ADMIN_TOKEN) return false;
+  const m = (req.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!m) return false;
+  const enc = new TextEncoder();
+  return timingSafeEq(enc.encode(m[1].trim()), enc.encode(String(env.ADMIN_TOKEN)));
+}
+
+function setCookie(res, name, value, { httpOnly=true, secure=true, sameSite="Lax", maxAge=0, path="/" }={}) {
+  const parts = [`${name}=${value}`];
+  if (maxAge>0) parts.push(`Max-Age=${maxAge}`);
+  if (path) parts.push(`Path=${path}`);
+  if (secure) parts.push("Secure");
+  if (httpOnly) parts.push("HttpOnly");
+  if (sameSite) parts.push(`SameSite=${sameSite}`);
+  res.headers.append("Set-Cookie", parts.join("; "));
+}
+
+function clearCookie(res, name, { path="/" }={}) {
+  res.headers.append("Set-Cookie", `${name}=; Max-Age=0; Path=${path}; Secure; HttpOnly; SameSite=Lax`);
+}
+
+// %-последовательности из адреса или cookie; битая (%ZZ) — null вместо URIError
+function tryDecodeURIComponent(s) {
+  try { return decodeURIComponent(s); } catch { return null; }
+}
+
+function parseCookies(str) {
+  const out = {}; if (!str) return out;
+  str.split(/;\s*/).forEach(p=>{ const i=p.indexOf('='); if(i>0) out[p.slice(0,i)] = tryDecodeURIComponent(p.slice(i+1)) ?? ''; });
+  return out;
+}
+
+/* =========================
+ * Расчёты статуса/оценки
+ * ========================= */
+// Пока действует отсрочка (snooze_until в будущем), статус — SNOOZED: слот не «протухает» в напоминаниях
+function calcStatus(threshold_days, last_change_at, snooze_until = '') {
+  const d = daysSince(last_change_at);
+  const load = d / Math.max(1, threshold_days);
+  const score = Math.max(0, 100 - load * 100);
+  const snoozed = Boolean(snooze_until) && Date.parse(snooze_until) > Date.now();
+  const status = snoozed ? "SNOOZED" : score >= 40 ? "OK" : score >= 20 ? "WARN" : "EXPIRED";
+  return { d, score, status };
+}
+
+function daysSince(iso) {
+  const t = Date.parse(iso);
+  if (Number.isNaN(t)) return 0;
+  return Math.floor((Date.now() - t) / 86400000);
+}
+
+function statusEmoji(status) {
+  if (status === "SNOOZED") return "😴";
+  if (status === "EXPIRED") return "🔴";
+  if (status === "WARN") return "🟡";
+  return "🟢";
+}
+
+function formatDateTime(iso, tz, lang = 'ru') {
+  const t = Date.parse(iso);
+  if (Number.isNaN(t)) return String(iso || '');
+  const locale = LANG_LOCALES[lang] || LANG_LOCALES.ru;
+  const opts = { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  try { return new Intl.DateTimeFormat(locale, { ...opts, timeZone: tz }).format(new Date(t)); }
+  catch { return new Intl.DateTimeFormat(locale, { ...opts, timeZone: 'UTC' }).format(new Date(t)) + ' UTC'; }
+}
+
+// «+1 день» округляем вниз до часа: завтрашний крон в тот же час уже увидит слот
+const SNOOZE_EVENING_HOUR = 19;
+
+function snoozeUntil(kind, tz, now = new Date()) {
+  if (kind === 'eve') {
+    const p = zonedParts(now, tz);
+    const dayShift = p.hour >= SNOOZE_EVENING_HOUR ? 1 : 0;
+    return new Date(zonedToUtc(p.year, p.month, p.day + dayShift, SNOOZE_EVENING_HOUR, tz)).toISOString();
+  }
+  const t = now.getTime() + 24 * 60 * 60 * 1000;
+  return new Date(t - t % (60 * 60 * 1000)).toISOString();
+}
+
+function zonedParts(date, tz) {
+  const out = {};
+  try {
+    const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric' });
+    for (const p of fmt.formatToParts(date)) if (p.type !== 'literal') out[p.type] = Number(p.value);
+    return out;
+  } catch {
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: date.getUTCHours(), minute: date.getUTCMinutes() };
+  }
+}
+
+// Местное время в поясе tz → момент UTC (мс); вторая итерация поправляет переход на летнее время
+function zonedToUtc(year, month, day, hour, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour);
+  const offset = t => {
+    const p = zonedParts(new Date(t), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - (t - t % 60000);
+  };
+  const first = wall - offset(wall);
+  return wall - offset(first);
+}
+
+function pad2(n){ return n.toString().padStart(2,'0'); }
+function clampInt(x,min,max){ return Math.max(min, Math.min(max, x|0)); }
+function shorten(s,n){ return s.length>n ? s.slice(0,n-1)+'…' : s; }
+
+/* =========================
+ * Запас полотенец: чистые на полке и в стирке
+ * ========================= */
+const LOW_STOCK_SPARES = 1; // «мало» — одна чистая запасная или меньше
+
+function stockTracked(slot) {
+  return slot.spare_clean != null && slot.spare_clean !== '';
+}
+
+// Число запасных из формы/JSON: 0…999, иначе NaN
+function parseSpareCount(value) {
+  const str = String(value).trim();
+  return /^\d{1,3}$/.test(str) ? parseInt(str, 10) : NaN;
+}
+
+function isLowStock(slot) {
+  return stockTracked(slot) && Number(slot.spare_clean) <= LOW_STOCK_SPARES;
+}
+
+// Патч колонок запаса из { spare_clean, spare_dirty }: пустой spare_clean выключает учёт
+function stockValues(slot, patch) {
+  const values = {};
+  if (patch.spare_clean === '') return stockTracked(slot) ? { spare_clean: '', spare_dirty: '' } : {};
+  if (patch.spare_clean != null) {
+    values.spare_clean = String(Math.max(0, Number(patch.spare_clean) || 0));
+    if (!stockTracked(slot) && (patch.spare_dirty == null || patch.spare_dirty === '')) values.spare_dirty = '0';
+  }
+  if (patch.spare_dirty != null && patch.spare_dirty !== '' && (patch.spare_clean != null || stockTracked(slot))) {
+    values.spare_dirty = String(Math.max(0, Number(patch.spare_dirty) || 0));
+  }
+  return values;
+}
+
+function stockLabel(slot, t) {
+  if (!stockTracked(slot)) return '';
+  return t('stock_label', { icon: isLowStock(slot) ? '⚠️' : '🧺', clean: slot.spare_clean, dirty: slot.spare_dirty });
+}
+
+/* =========================
+ * Слой доступа к данным (поверх хранилища)
+ * ========================= */
+async function listSlots(env, userFilter /* tg_user_id */, opts = {}) {
+  const table = await getSlotsTable(env);
+  let filtered = table;
+  if (userFilter != null) {
+    const access = await getAccessTable(env);
+    filtered = slotsVisibleTo(table, access, userFilter);
+  }
+  const includeMeta = Boolean(opts.includeMeta);
+  return filtered.map(slot => formatSlotForOutput(slot, includeMeta));
+}
+
+// Фильтрация по уже прочитанным таблицам — без обращений к хранилищу
+function slotsVisibleTo(table, access, userId) {
+  const desired = String(userId);
+  const groupSet = new Set(access.filter(r => r.tg_user_id === desired).map(r => r.group_id));
+  if (groupSet.size === 0) groupSet.add(`tg:${desired}`);
+  return table.filter(slot => hasSlotAccess(slot, userId, groupSet));
+}
+
+// Пустой actor — системное действие (крон, миграции), проверка не нужна
+async function assertSlotAccess(env, slot, actor) {
+  if (actor == null || actor === '') return;
+  const groups = await listGroupsForUser(env, actor, { ensure: false });
+  const groupSet = new Set(groups);
+  if (groupSet.size === 0) groupSet.add(`tg:${actor}`);
+  if (!hasSlotAccess(slot, actor, groupSet)) throw new Error('forbidden');
+}
+
+// Версия, которую видел клиент (If-Match или поле version): правка поверх чужой — конфликт, а не тихая перезапись
+function assertSlotVersion(slot, version) {
+  if (version != null && version !== '' && Number(version) !== slot.version) throw new Error('version conflict');
+}
+
+function hasSlotAccess(slot, userId, groupSet) {
+  if (userId == null) return true;
+  if (slot.group_id && groupSet.has(slot.group_id)) return true;
+  if (slot.owner_fallback != null && Number(slot.owner_fallback) === Number(userId)) return true;
+  return false;
+}
+
+function formatSlotForOutput(slot, includeMeta) {
+  const metrics = calcStatus(slot.threshold_days, slot.last_change_at, slot.snooze_until);
+  const base = {
+    id: slot.id,
+    name: slot.name,
+    group_id: slot.group_id,
+    room: slot.room,
+    threshold_days: slot.threshold_days,
+    last_change_at: slot.last_change_at,
+    snooze_until: slot.snooze_until,
+    spare_clean: slot.spare_clean,
+    spare_dirty: slot.spare_dirty,
+    version: slot.version,
+    low_stock: isLowStock(slot),
+    ...metrics,
+  };
+  if (includeMeta) base._row = slot._row;
+  return base;
+}
+
+async function createSlot(env, { name, owner_tg_id, room = '', threshold_days = 3, group_id: requestedGroup = '', spare_clean = null, actor = owner_tg_id }) {
+  const normalizedThreshold = Math.max(1, Number(threshold_days) || 1);
+  const id = ulid();
+  const now = new Date().toISOString();
+  let group_id = owner_tg_id != null ? await getPrimaryGroupId(env, owner_tg_id) : '';
+  if (requestedGroup) {
+    if (owner_tg_id != null) {
+      const groups = await listGroupsForUser(env, owner_tg_id, { ensure: false });
+      if (!groups.includes(requestedGroup)) throw new Error('forbidden');
+    }
+    group_id = requestedGroup;
+  }
+  const normalizedRoom = (room || '').trim();
+  const stock = spare_clean != null ? { spare_clean: Math.max(0, Number(spare_clean) || 0), spare_dirty: 0 } : { spare_clean: null, spare_dirty: null };
+  await getStore(env).insert('slots', [{ id, name, group_id, room: normalizedRoom, threshold_days: String(normalizedThreshold), last_change_at: now, snooze_until: '',
+    spare_clean: stock.spare_clean != null ? String(stock.spare_clean) : '', spare_dirty: stock.spare_dirty != null ? String(stock.spare_dirty) : '', version: '1' }]);
+  await logEvent(env, { slot_id: id, action: 'CREATE', actor: String(actor||''), note: name });
+  await notifySlotChange(env, 'CREATE', [await getSlotById(env, id)], { actor });
+  const metrics = calcStatus(normalizedThreshold, now);
+  return { id, name, group_id, room: normalizedRoom, threshold_days: normalizedThreshold, last_change_at: now, snooze_until: '', ...stock, version: 1, low_stock: isLowStock(stock), ...metrics };
+}
+
+// accessAs — чьи права проверять, если actor не Telegram ID (скан QR-метки записывается на её подпись)
+async function refreshSlot(env, id, { actor = '', accessAs = actor, version = null } = {}) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, accessAs);
+  assertSlotVersion(slot, version);
+  const now = new Date().toISOString();
+  const patch = refreshPatch(slot, now);
+  await getStore(env).update('slots', [ { record: slot, patch } ]);
+  await logEvent(env, { slot_id: id, action: 'REFRESH', actor: String(actor||''), note: '' });
+  await notifySlotChange(env, 'REFRESH', [await getSlotById(env, id)], { actor });
+  if (!stockTracked(slot)) return { ok: true, version: Number(patch.version) };
+  const stock = { spare_clean: Number(patch.spare_clean), spare_dirty: Number(patch.spare_dirty) };
+  return { ok: true, ...stock, low_stock: isLowStock(stock), version: Number(patch.version) };
+}
+
+// Свежее полотенце снимает отсрочку, берётся с полки запасных, а снятое уходит в стирку
+function refreshPatch(slot, now) {
+  const patch = { last_change_at: now };
+  if (slot.snooze_until) patch.snooze_until = '';
+  if (stockTracked(slot)) {
+    patch.spare_clean = String(Math.max(0, slot.spare_clean - 1));
+    patch.spare_dirty = String(slot.spare_dirty + 1);
+  }
+  return patch;
+}
+
+async function snoozeSlot(env, id, until, { actor = '' } = {}) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, actor);
+  await getStore(env).update('slots', [ { record: slot, patch: { snooze_until: until } } ]);
+  await logEvent(env, { slot_id: id, action: 'SNOOZE', actor: String(actor||''), note: until });
+  await notifySlotChange(env, null);
+  return { ok: true, snooze_until: until };
+}
+
+async function refreshByRoom(env, actorId, room) {
+  const all = await listSlots(env, actorId, { includeMeta: true });
+  const targets = all.filter(s => (s.room||'') === room);
+  if (!targets.length) return { updated: 0 };
+  const now = new Date().toISOString();
+  const changes = targets.map(t => ({ record: t, patch: refreshPatch(t, now) }));
+  await getStore(env).update('slots', changes);
+  await logEvents(env, targets.map(t => ({ slot_id: t.id, action: 'REFRESH', actor: String(actorId), note: `room:${room}` })));
+  const ids = new Set(targets.map(t => t.id));
+  await notifySlotChange(env, 'REFRESH', (await getSlotsTable(env)).filter(s => ids.has(s.id)), { actor: actorId });
+  // после пакетного обновления полки пустеют быстро — сразу говорим, где запас на исходе
+  const low_stock = changes.filter(c => c.patch.spare_clean != null && isLowStock({ spare_clean: c.patch.spare_clean })).map(c => c.record.id);
+  return { updated: targets.length, low_stock };
+}
+
+async function updateSlot(env, id, patch = {}, { actor = '', version = null } = {}) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, actor);
+  assertSlotVersion(slot, version);
+  const values = {};
+  if (patch.group_id != null) {
+    // Переносить можно только в группу, где состоит сам автор изменения
+    if (actor != null && actor !== '') {
+      const groups = await listGroupsForUser(env, actor, { ensure: false });
+      if (!groups.includes(patch.group_id)) throw new Error('forbidden');
+    }
+    values.group_id = String(patch.group_id);
+  }
+  if (patch.name != null) {
+    const name = String(patch.name).trim();
+    if (!name) throw new Error('name required');
+    values.name = name;
+  }
+  if (patch.room != null) values.room = String(patch.room || '').trim();
+  if (patch.threshold_days != null) values.threshold_days = String(Math.max(1, Number(patch.threshold_days) || 1));
+  const stock = stockValues(slot, patch);
+  // Форма панели присылает все поля сразу — в историю пишем только реально изменённые
+  for (const k of Object.keys(values)) if (values[k] === String(slot[k] ?? '')) delete values[k];
+  for (const k of Object.keys(stock)) if (stock[k] === String(slot[k] ?? '')) delete stock[k];
+  if (Object.keys(values).length || Object.keys(stock).length) {
+    await getStore(env).update('slots', [ { record: slot, patch: { ...values, ...stock } } ]);
+  }
+  if (Object.keys(values).length) {
+    const note = { ...values };
+    if (note.threshold_days != null) note.threshold_days = Number(note.threshold_days);
+    await logEvent(env, { slot_id: id, action: 'UPDATE', actor: String(actor||''), note: JSON.stringify(note) });
+  }
+  if (Object.keys(stock).length) {
+    const next = { ...slot, ...stock };
+    await logEvent(env, { slot_id: id, action: 'STOCK', actor: String(actor||''), note: JSON.stringify({ clean: next.spare_clean === '' ? null : Number(next.spare_clean), dirty: next.spare_dirty === '' ? null : Number(next.spare_dirty) }) });
+  }
+  if (values.threshold_days != null) await notifySlotChange(env, null); // новый порог может сменить статус
+  return { ok: true };
+}
+
+// Удаление мягкое: слот помечается archived и лежит в корзине, пока его не вернут или не вычистит крон (purgeTrash)
+async function deleteSlot(env, id, { actor = '', version = null } = {}) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, actor);
+  assertSlotVersion(slot, version);
+  await getStore(env).update('slots', [ { record: slot, patch: { archived: '1', deleted_at: new Date().toISOString() } } ]);
+  await logEvent(env, { slot_id: id, action: 'DELETE', actor: String(actor||''), note: slot.name || '' });
+  await notifySlotChange(env, 'DELETE', [slot], { actor });
+  return { ok: true };
+}
+
+// Метку QR/NFC не трогаем: пока слот в корзине, скан его не находит, а после возврата она снова работает
+async function restoreSlot(env, id, { actor = '', version = null } = {}) {
+  const slot = await getSlotById(env, id, { trash: true });
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, actor);
+  assertSlotVersion(slot, version);
+  await getStore(env).update('slots', [ { record: slot, patch: { archived: '', deleted_at: '' } } ]);
+  await logEvent(env, { slot_id: id, action: 'RESTORE', actor: String(actor||''), note: '' });
+  const restored = await getSlotById(env, id);
+  await notifySlotChange(env, 'RESTORE', [restored], { actor });
+  return formatSlotForOutput(restored);
+}
+
+// Корзина, которую видит пользователь: свежеудалённые первыми, purge_at — когда крон сотрёт слот (null — никогда)
+async function listTrash(env, userFilter /* tg_user_id */) {
+  let table = await getSlotsTable(env, { trash: true });
+  if (userFilter != null) table = slotsVisibleTo(table, await getAccessTable(env), userFilter);
+  const days = trashRetentionDays(env);
+  return table.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at)).map(slot => {
+    const purgeAt = trashPurgeAt(slot, days);
+    return { ...formatSlotForOutput(slot, false), deleted_at: slot.deleted_at, purge_at: purgeAt != null ? new Date(purgeAt).toISOString() : null };
+  });
+}
+
+const TRASH_RETENTION_DAYS = 30;
+
+function trashRetentionDays(env) {
+  return numericSetting(env.TRASH_RETENTION_DAYS, TRASH_RETENTION_DAYS);
+}
+
+function trashPurgeAt(slot, days) {
+  const deletedAt = Date.parse(slot.deleted_at);
+  return days && Number.isFinite(deletedAt) ? deletedAt + days * DAY_MS : null;
+}
+
+// Крон: строки слотов, пролежавших в корзине дольше срока, удаляются насовсем, а с ними и метки QR/NFC.
+// Если слот успели вернуть между чтением и удалением, хранилище ответит version conflict — попробуем через час.
+async function purgeTrash(env) {
+  try {
+    const days = trashRetentionDays(env);
+    if (!days) return;
+    const now = Date.now();
+    const expired = (await getSlotsTable(env, { trash: true })).filter(s => { const at = trashPurgeAt(s, days); return at != null && at <= now; });
+    if (!expired.length) return;
+    await getStore(env).remove('slots', expired);
+    for (const slot of expired) await kvDelete(env, `quick:${slot.id}`);
+  } catch (e) {
+    console.error('[cron] trash purge failed:', e);
+  }
+}
+
+// «Постирал»: полотенца из стирки возвращаются на полку (по умолчанию — все)
+async function laundryDone(env, id, { count = null, actor = '', version = null } = {}) {
+  const slot = await getSlotById(env, id);
+  if (!slot) throw new Error('slot not found');
+  await assertSlotAccess(env, slot, actor);
+  assertSlotVersion(slot, version);
+  if (!stockTracked(slot)) throw new Error('stock not tracked');
+  const back = Math.min(slot.spare_dirty, count != null ? Math.max(0, Number(count) || 0) : slot.spare_dirty);
+  const spare_clean = slot.spare_clean + back;
+  const spare_dirty = slot.spare_dirty - back;
+  const patch = { spare_clean: String(spare_clean), spare_dirty: String(spare_dirty) };
+  if (back) {
+    await getStore(env).update('slots', [ { record: slot, patch } ]);
+    await logEvent(env, { slot_id: id, action: 'LAUNDRY', actor: String(actor||''), note: String(back) });
+  }
+  return { ok: true, returned: back, spare_clean, spare_dirty, low_stock: isLowStock({ spare_clean }), version: Number(patch.version || slot.version) };
+}
+
+// lang — язык по умолчанию: пишется новому пользователю и тем, у кого язык ещё не выбран
+async function ensureUser(env, tg_user_id, { lang = '' } = {}) {
+  const store = getStore(env);
+  const rows = await store.all('users');
+  const existing = rows.find(r => r.tg_user_id === String(tg_user_id));
+  if (!existing) await store.insert('users', [{ tg_user_id: String(tg_user_id), tz: env.DEFAULT_TZ || 'Europe/Moscow', notify_hour: String(env.DEFAULT_NOTIFY_HOUR || 10), lang }]);
+  else if (lang && !existing.lang) await store.update('users', [ { record: existing, patch: { lang } } ]);
+  await listGroupsForUser(env, tg_user_id, { ensure: true });
+}
+
+async function upsertUser(env, { tg_user_id, tz, notify_hour, lang, cal_token, schedule, quiet_hours, pause_until, digest }) {
+  const store = getStore(env);
+  const rows = await store.all('users');
+  const existing = rows.find(r => r.tg_user_id === String(tg_user_id));
+  if (!existing) {
+    await store.insert('users', [{ tg_user_id: String(tg_user_id), tz: tz || (env.DEFAULT_TZ || 'Europe/Moscow'), notify_hour: String(notify_hour != null ? notify_hour : (env.DEFAULT_NOTIFY_HOUR || 10)), lang: lang || '', cal_token: cal_token || '', schedule: schedule || '', quiet_hours: quiet_hours || '', pause_until: pause_until || '', digest: digest || '' }]);
+  } else {
+    const patch = {};
+    if (tz != null) patch.tz = tz;
+    if (notify_hour != null) patch.notify_hour = String(notify_hour);
+    if (lang != null) patch.lang = lang;
+    if (cal_token != null) patch.cal_token = cal_token;
+    for (const [k, v] of Object.entries({ schedule, quiet_hours, pause_until, digest })) if (v != null) patch[k] = v;
+    if (Object.keys(patch).length) await store.update('users', [ { record: existing, patch } ]);
+  }
+  await listGroupsForUser(env, tg_user_id, { ensure: true });
+}
+
+async function getUserTz(env, tg_user_id) {
+  const u = (await listUsers(env)).find(x => x.tg_user_id === Number(tg_user_id));
+  return (u && u.tz) || env.DEFAULT_TZ || 'Europe/Moscow';
+}
+
+async function listUsers(env) {
+  const rows = await getStore(env).all('users');
+  return rows.map(r => ({ tg_user_id: Number(r.tg_user_id), tz: r.tz || 'Europe/Moscow', notify_hour: r.notify_hour ? Number(r.notify_hour) : 10, lang: r.lang || '',
+    schedule: r.schedule || '', quiet_hours: r.quiet_hours || '', pause_until: r.pause_until || '', digest: r.digest || '' }));
+}
+
+async function logEvent(env, event) {
+  await logEvents(env, [event]);
+}
+
+async function logEvents(env, events) {
+  const ts = new Date().toISOString();
+  await getStore(env).insert('events', events.map(({ slot_id, action, actor, note }) => ({ ts, slot_id, action, actor, note: note || '' })));
+}
+
+// Мелкое служебное состояние (диалоги бота и т.п.) с временем жизни
+async function kvGet(env, name) {
+  const rec = (await getStore(env).all('kv')).find(r => r.name === name);
+  if (!rec) return null;
+  if (rec.expires_at && Date.parse(rec.expires_at) <= Date.now()) return null;
+  return rec.value;
+}
+
+async function kvPut(env, name, value, ttlSec) {
+  const store = getStore(env);
+  const expires_at = ttlSec ? new Date(Date.now() + ttlSec * 1000).toISOString() : '';
+  const rec = (await store.all('kv')).find(r => r.name === name);
+  // строку могла успеть удалить чистка просроченных — тогда пишем заново
+  if (rec && !(await store.update('kv', [ { record: rec, patch: { value, expires_at } } ]))?.missing) return;
+  await store.insert('kv', [{ name, value, expires_at }]);
+}
+
+// Занимает имя ровно для одного запроса: true — победил этот. В D1 решает первичный ключ
+// (просроченную запись можно перезанять); в таблице пишем свою метку и перечитываем — побеждает строка, записанная первой
+async function kvClaim(env, name, ttlSec) {
+  const store = getStore(env);
+  const expires_at = ttlSec ? new Date(Date.now() + ttlSec * 1000).toISOString() : '';
+  const mark = ulid();
+  if (store.kind === 'd1') {
+    await d1EnsureSchema(env);
+    const res = await env.DB.prepare(`INSERT INTO kv (name, value, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at WHERE kv.expires_at != '' AND kv.expires_at <= ?`)
+      .bind(name, mark, expires_at, new Date().toISOString()).run();
+    return Boolean(res && res.meta && res.meta.changes);
+  }
+  const live = async () => (await store.all('kv')).find(r => r.name === name && !(r.expires_at && Date.parse(r.expires_at) <= Date.now()));
+  if (await live()) return false;
+  await store.insert('kv', [{ name, value: mark, expires_at }]);
+  const winner = await live();
+  return Boolean(winner) && winner.value === mark;
+}
+
+async function kvDelete(env, name) {
+  const store = getStore(env);
+  const rows = (await store.all('kv')).filter(r => r.name === name);
+  if (rows.length) await store.remove('kv', rows);
+}
+
+// Живые записи kv с общим префиксом: имя → значение
+async function kvEntries(env, prefix) {
+  const now = Date.now();
+  const rows = (await getStore(env).all('kv'))
+    .filter(r => r.name.startsWith(prefix) && !(r.expires_at && Date.parse(r.expires_at) <= now));
+  return new Map(rows.map(r => [r.name, r.value]));
+}
+
+async function purgeExpiredKv(env) {
+  try {
+    const store = getStore(env);
+    const expired = (await store.all('kv')).filter(r => r.expires_at && Date.parse(r.expires_at) <= Date.now());
+    if (expired.length) await store.remove('kv', expired);
+  } catch (e) {
+    console.error('[cron] kv purge failed:', e);
+  }
+}
+
+async function getPrimaryGroupId(env, tg_user_id) {
+  const groups = await listGroupsForUser(env, tg_user_id, { ensure: true });
+  return groups[0] || `tg:${tg_user_id}`;
+}
+
+async function listGroupsForUser(env, tg_user_id, { ensure = false } = {}) {
+  if (tg_user_id == null) return [];
+  const desired = String(tg_user_id);
+  const store = getStore(env);
+  const rows = await store.all('access');
+  const matches = rows.filter(r => r.tg_user_id === desired).map(r => r.group_id).filter(Boolean);
+  if (matches.length || !ensure) return matches;
+  const group_id = `tg:${desired}`;
+  await store.insert('access', [{ group_id, tg_user_id: desired }]);
+  return [group_id];
+}
+
+async function addGroupMember(env, group_id, tg_user_id) {
+  await getStore(env).insert('access', [{ group_id, tg_user_id: String(tg_user_id) }]);
+}
+
+async function getAccessTable(env) {
+  const rows = await getStore(env).all('access');
+  return rows
+    .map(r => ({ ...r, group_id: r.group_id.trim(), tg_user_id: r.tg_user_id.trim() }))
+    .filter(r => r.group_id && r.tg_user_id);
+}
+
+async function deleteAccessRows(env, rows) {
+  if (rows.length) await getStore(env).remove('access', rows);
+}
+
+// Только живые слоты; trash: true — только лежащие в корзине
+async function getSlotsTable(env, { trash = false } = {}) {
+  const rows = await getStore(env).all('slots');
+  return rows.map(parseSlotRecord).filter(slot => slot && slot.archived === trash);
+}
+
+async function getSlotById(env, id, opts) {
+  const table = await getSlotsTable(env, opts);
+  return table.find(s => s.id === id) || null;
+}
+
+function parseSlotRecord(rec) {
+  const id = (rec.id || '').trim();
+  if (!id) return null;
+  const name = rec.name.trim();
+  let group_id = rec.group_id.trim();
+  let owner_fallback = null;
+  if (group_id && /^\d+$/.test(group_id)) {
+    owner_fallback = Number(group_id);
+    group_id = `tg:${group_id}`;
+  }
+  const room = rec.room.trim();
+  const threshold_days = rec.threshold_days !== '' ? Number(rec.threshold_days) : 3;
+  const last_change_at = rec.last_change_at || new Date().toISOString();
+  const snooze_until = rec.snooze_until.trim();
+  // Пустой spare_clean — запас у слота не ведётся
+  const tracked = rec.spare_clean.trim() !== '';
+  const spare_clean = tracked ? Math.max(0, parseInt(rec.spare_clean, 10) || 0) : null;
+  const spare_dirty = tracked ? Math.max(0, parseInt(rec.spare_dirty, 10) || 0) : null;
+  const version = versionOf(rec);
+  const archived = rec.archived === '1';
+  const deleted_at = rec.deleted_at.trim();
+  return { id, name, group_id, room, threshold_days, last_change_at, snooze_until, spare_clean, spare_dirty, version, archived, deleted_at, _row: rec._row, owner_fallback };
+}
+
+/* =========================
+ * Хранилище: схема и выбор бэкенда
+ * ========================= */
+// Порядок колонок = порядок столбцов листа (A, B, C…) и колонок таблиц D1
+const SCHEMA = {
+  slots:  { key: 'id',         columns: ['id', 'name', 'group_id', 'room', 'threshold_days', 'last_change_at', 'snooze_until', 'spare_clean', 'spare_dirty', 'version', 'archived', 'deleted_at'] },
+  users:  { key: 'tg_user_id', columns: ['tg_user_id', 'tz', 'notify_hour', 'invite_epoch', 'session_epoch', 'lang', 'cal_token', 'schedule', 'quiet_hours', 'pause_until', 'digest'] },
+  events: { key: null,         columns: ['ts', 'slot_id', 'action', 'actor', 'note'] },
+  access: { key: null,         columns: ['group_id', 'tg_user_id'] },
+  reminders: { key: 'id',      columns: ['id', 'slot_id', 'tg_user_id', 'kind', 'sent_at', 'acknowledged_at'] },
+  kv:     { key: 'name',       columns: ['name', 'value', 'expires_at'] },
+  webhooks:   { key: 'id',     columns: ['id', 'tg_user_id', 'url', 'secret', 'events', 'active', 'created_at'] },
+  deliveries: { key: 'id',     columns: ['id', 'webhook_id', 'event', 'payload', 'attempts', 'response', 'created_at', 'last_attempt_at', 'next_attempt_at', 'delivered_at'] },
+};
+// Таблицы без версии, которые Sheets перед записью всё равно перечитывает по ключу (см. locateRows)
+const SHEETS_RELOCATE_TABLES = ['kv'];
+
+/**
+ * Хранилище — один интерфейс для всех бэкендов (STORAGE=sheets|d1):
+ *   all(table)             → [{ ...колонки (строки), _row }] — _row: номер строки листа / rowid в D1
+ *   load(tables)           → { [table]: all(table) } за один заход (в Sheets — один batchGet)
+ *   insert(table, records) → добавить записи (лишние поля игнорируются)
+ *   update(table, changes) → changes: [{ record, patch }], record — запись из all()
+ *   remove(table, records) → удалить записи, полученные из all()
+ *
+ * Таблицы с колонкой version (слоты) защищены от потерянных правок: update()/remove() сверяют версию
+ * записи с хранилищем и при расхождении бросают Error('version conflict'), а update() сам дописывает
+ * в patch следующую версию. В остальных таблицах пропавшие к моменту записи строки просто пропускаются.
+ */
+function getStore(env) {
+  const scope = env.__scope;
+  if (!scope) return createStore(env);
+  if (!scope.store) scope.store = snapshotStore(createStore(env));
+  return scope.store;
+}
+
+function createStore(env) {
+  const kind = String(env.STORAGE || 'sheets').toLowerCase();
+  if (kind === 'd1') {
+    if (!env.DB) throw new Error('STORAGE=d1, но биндинг DB не задан');
+    return d1Store(env);
+  }
+  if (isDevMode(env)) ensureDevSheets(Object.fromEntries(Object.entries(SCHEMA).map(([table, s]) => [table, s.columns])));
+  return sheetsStore(env);
+}
+
+/* ---------- Снимок на запрос / прогон крона ---------- */
+// Основные таблицы нужны почти каждому запросу — читаем их вместе при первом обращении
+const SNAPSHOT_TABLES = ['slots', 'access', 'users'];
+
+// env живёт весь запрос: поверх него кладём снимок таблиц и счётчики вызовов
+function withRequestScope(env) {
+  const scoped = Object.create(env);
+  scoped.__scope = { store: null, calls: { sheets: 0, oauth: 0 }, deferred: [] };
+  if (isDevMode(env) && !env.SPREADSHEET_ID) scoped.SPREADSHEET_ID = 'dev';
+  return scoped;
+}
+
+// Откладывает работу до конца запроса; вне запроса (скрипты) выполняет сразу
+async function defer(env, task) {
+  const queue = env.__scope && env.__scope.deferred;
+  if (queue) queue.push(task); else await task();
+}
+
+async function runDeferred(env) {
+  const queue = env.__scope && env.__scope.deferred;
+  while (queue && queue.length) {
+    try { await queue.shift()(); } catch (e) { console.error('[deferred] task failed:', e); }
+  }
+}
+
+function countCall(env, kind) {
+  const calls = env.__scope && env.__scope.calls;
+  if (calls) calls[kind] = (calls[kind] || 0) + 1;
+}
+
+function logStorageCalls(env, label) {
+  const calls = env.__scope && env.__scope.calls;
+  if (!calls || (!calls.sheets && !calls.oauth)) return;
+  console.log(`[storage] ${label}: sheets=${calls.sheets} oauth=${calls.oauth}`);
+  calls.sheets = 0; calls.oauth = 0;
+}
+
+/**
+ * Кэширует all() в пределах запроса. update() правит закэшированные записи на месте
+ * (номера строк не меняются), insert()/remove() сбрасывают кэш таблицы.
+ */
+function snapshotStore(base) {
+  const cache = new Map(); // table → Promise<records>
+  const remember = (table, promise) => {
+    cache.set(table, promise);
+    promise.catch(() => { if (cache.get(table) === promise) cache.delete(table); });
+    return promise;
+  };
+  const store = {
+    kind: base.kind,
+
+    all(table) {
+      if (cache.has(table)) return cache.get(table);
+      if (SNAPSHOT_TABLES.includes(table)) return store.load(SNAPSHOT_TABLES).then(r => r[table]);
+      return remember(table, base.all(table));
+    },
+
+    async load(tables) {
+      const missing = tables.filter(t => !cache.has(t));
+      if (missing.length) {
+        const loaded = base.load(missing);
+        for (const t of missing) remember(t, loaded.then(r => r[t]));
+      }
+      const out = {};
+      for (const t of tables) out[t] = await cache.get(t);
+      return out;
+    },
+
+    async insert(table, records, opts) {
+      await base.insert(table, records, opts);
+      cache.delete(table);
+    },
+
+    async update(table, changes) {
+      const res = await base.update(table, changes);
+      // строки съехали или пропали после чужого удаления — снимок устарел, перечитаем при следующем обращении
+      if (res && (res.moved || res.missing)) cache.delete(table);
+      if (!cache.has(table)) return res;
+      const rows = await cache.get(table);
+      for (const { record, patch } of changes) {
+        const hit = rows.find(r => r._row === record._row);
+        if (!hit) { cache.delete(table); return res; }
+        for (const [c, v] of Object.entries(patch)) hit[c] = v != null ? String(v) : '';
+      }
+      return res;
+    },
+
+    async remove(table, records) {
+      await base.remove(table, records);
+      cache.delete(table);
+    },
+  };
+  return store;
+}
+
+function emptyRecord(table) {
+  const rec = {};
+  for (const c of SCHEMA[table].columns) rec[c] = '';
+  return rec;
+}
+
+/* ---------- Адаптер: Google Sheets ---------- */
+const sheetIdCache = new Map();
+
+function sheetsStore(env) {
+  const dataRange = table => `${table}!A2:${colLetter(SCHEMA[table].columns.length - 1)}`;
+  return {
+    kind: 'sheets',
+
+    async all(table) {
+      const rows = await sheetsGet(env, dataRange(table));
+      const { records, fixes } = sheetRowsToRecords(table, rows);
+      if (fixes.length) await sheetsUpdate(env, fixes);
+      return records;
+    },
+
+    async load(tables) {
+      const ranges = await sheetsBatchGet(env, tables.map(dataRange));
+      const out = {};
+      const fixes = [];
+      tables.forEach((table, i) => {
+        const parsed = sheetRowsToRecords(table, ranges[i] || []);
+        out[table] = parsed.records;
+        fixes.push(...parsed.fixes);
+      });
+      if (fixes.length) await sheetsUpdate(env, fixes);
+      return out;
+    },
+
+    async insert(table, records) {
+      if (!records.length) return;
+      const { columns } = SCHEMA[table];
+      const values = records.map(r => columns.map(c => r[c] != null ? String(r[c]) : ''));
+      await sheetsAppend(env, `${table}!A:${colLetter(columns.length - 1)}`, values);
+    },
+
+    async update(table, changes) {
+      const { columns } = SCHEMA[table];
+      if (!changes.length) return { moved: false };
+      const { live, moved, missing } = await locateRows(table, changes.map(c => c.record));
+      const data = [];
+      for (const change of changes) {
+        const { record, patch } = change;
+        if (!live.has(record) || !Object.keys(patch).length) continue;
+        bumpVersion(table, change);
+        for (const [c, v] of Object.entries(patch)) {
+          const idx = columns.indexOf(c);
+          if (idx < 0) throw new Error(`unknown column ${table}.${c}`);
+          const cell = `${colLetter(idx)}${record._row}`;
+          data.push({ range: `${table}!${cell}:${cell}`, values: [[v != null ? String(v) : '']] });
+        }
+      }
+      if (data.length) await sheetsUpdate(env, data);
+      return { moved, missing };
+    },
+
+    async remove(table, records) {
+      if (!records.length) return;
+      const { live } = await locateRows(table, records);
+      if (live.size) await sheetsDeleteRows(env, table, Array.from(live, r => r._row));
+    },
+  };
+
+  /**
+   * Номер строки (_row) взят из чтения в начале запроса, а чужое удаление сдвигает строки вверх —
+   * без проверки запись ушла бы в соседнюю строку. Поэтому перед записью в таблицу с версиями (слоты)
+   * и в kv (его строки удаляет чистка просроченных) перечитываем лист и находим каждую запись заново
+   * по ключу; _row поправляем на месте. Слоты ещё сверяют версию; запись kv, которую уже удалили, пропускаем.
+   * Журналы (reminders, deliveries) и users пишем по номерам из снимка: лишнее чтение
+   * на каждую запись им дороже редкой гонки.
+   * Окно между этой проверкой и самой записью остаётся (один запрос к API): закрыть его совсем
+   * можно только блокировкой, а версия хотя бы не даст молча перетереть чужую правку.
+   */
+  async function locateRows(table, records) {
+    const { key, columns } = SCHEMA[table];
+    const versioned = columns.includes('version');
+    if (!versioned && !SHEETS_RELOCATE_TABLES.includes(table)) return { live: new Set(records), moved: false, missing: 0 };
+    const identity = r => String(r[key] ?? '').trim();
+    const fresh = new Map(); // identity → [строки листа]
+    (await sheetsGet(env, dataRange(table))).forEach((row, i) => {
+      if (!row.some(v => v != null && String(v).trim() !== '')) return;
+      const rec = { _row: i + 2 };
+      columns.forEach((c, j) => { rec[c] = row[j] != null ? String(row[j]) : ''; });
+      const id = identity(rec);
+      if (!fresh.has(id)) fresh.set(id, []);
+      fresh.get(id).push(rec);
+    });
+    const taken = new Set();
+    const live = new Set();
+    let moved = false;
+    for (const record of records) {
+      const candidates = (fresh.get(identity(record)) || []).filter(r => !taken.has(r._row));
+      const hit = candidates.find(r => r._row === record._row) || candidates[0];
+      if (!hit && !versioned) continue;
+      if (!hit || versionOf(hit) !== versionOf(record)) throw new Error('version conflict');
+      taken.add(hit._row);
+      live.add(record);
+      if (hit._row !== record._row) { record._row = hit._row; moved = true; }
+    }
+    return { live, moved, missing: records.length - live.size };
+  }
 }
 
-function daysSince(iso) {
-  const t = Date.parse(iso);
-  if (Number.isNaN(t)) return 0;
-  return Math.floor((Date.now() - t) / 86400000);
+function versionOf(record) {
+  return Number(record.version) || 0;
 }
 
-function statusEmoji(status) {
-  if (status === "EXPIRED") return "🔴";
-  if (status === "WARN") return "🟡";
-  return "🟢";
+// Следующая версия записи — в сам patch, чтобы снимок запроса тоже её увидел
+function bumpVersion(table, change) {
+  if (SCHEMA[table].columns.includes('version')) change.patch.version = String(versionOf(change.record) + 1);
 }
 
-function hourInTz(date, tz) {
-  try { return Number(new Intl.DateTimeFormat('ru-RU',{hour:'2-digit',hour12:false,timeZone:tz}).format(date)); }
-  catch { return date.getUTCHours(); }
+function sheetRowsToRecords(table, rows) {
+  const { key, columns } = SCHEMA[table];
+  const records = [];
+  const fixes = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || [];
+    if (!row.some(v => v != null && String(v).trim() !== '')) continue;
+    const rec = emptyRecord(table);
+    columns.forEach((c, j) => { rec[c] = row[j] != null ? String(row[j]) : ''; });
+    rec._row = i + 2;
+    // строки, добавленные в таблицу руками без id, получают ulid
+    if (key === 'id' && !rec.id.trim() && rec[columns[1]].trim()) {
+      rec.id = ulid();
+      fixes.push({ range: `${table}!A${rec._row}:A${rec._row}`, values: [[rec.id]] });
+    }
+    records.push(rec);
+  }
+  return { records, fixes };
 }
 
-function pad2(n){ return n.toString().padStart(2,'0'); }
-function clampInt(x,min,max){ return Math.max(min, Math.min(max, x|0)); }
-function shorten(s,n){ return s.length>n ? s.slice(0,n-1)+'…' : s; }
-
-/* =========================
- * Google Sheets API (JWT) + слой доступа
- * ========================= */
-const SLOT_RANGE = 'slots!A2:F';
-const SLOT_APPEND_RANGE = 'slots!A:F';
-const ACCESS_RANGE = 'access!A2:B';
-const ACCESS_APPEND_RANGE = 'access!A:B';
-const SLOT_ROOM_COLUMN = 'D';
-const SLOT_THRESHOLD_COLUMN = 'E';
-const SLOT_LAST_COLUMN = 'F';
-const sheetIdCache = new Map();
+function colLetter(idx) {
+  let s = '';
+  for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  return s;
+}
 
-async function listSlots(env, userFilter /* tg_user_id */, opts = {}) {
-  const table = await getSlotsTable(env);
-  let filtered = table;
-  if (userFilter != null) {
-    const groups = await listGroupsForUser(env, userFilter, { ensure: false });
-    const groupSet = new Set(groups);
-    if (groupSet.size === 0) groupSet.add(`tg:${userFilter}`);
-    filtered = table.filter(slot => hasSlotAccess(slot, userFilter, groupSet));
-  }
-  const includeMeta = Boolean(opts.includeMeta);
-  return filtered.map(slot => formatSlotForOutput(slot, includeMeta));
+async function sheetsDeleteRows(env, sheetTitle, rowIndexes) {
+  const token = await getAccessToken(env);
+  const sheetId = await getSheetId(env, sheetTitle, token);
+  // снизу вверх, чтобы номера ещё не удалённых строк не съезжали
+  const sorted = Array.from(new Set(rowIndexes)).sort((a, b) => b - a);
+  await sheetsBatchUpdate(env, sorted.map(rowIndex => ({ deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex } } })), token);
 }
 
-function hasSlotAccess(slot, userId, groupSet) {
-  if (userId == null) return true;
-  if (slot.group_id && groupSet.has(slot.group_id)) return true;
-  if (slot.owner_fallback != null && Number(slot.owner_fallback) === Number(userId)) return true;
-  return false;
+// Правки самой таблицы (spreadsheets.batchUpdate): удаление строк, новые листы; replies — по порядку requests
+async function sheetsBatchUpdate(env, requests, token) {
+  const auth = token || await getAccessToken(env);
+  countCall(env, 'sheets');
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}:batchUpdate`;
+  const resp = await apiFetch(env, url, { method: 'POST', headers: { Authorization: `Bearer ${auth}`, 'content-type': 'application/json' }, body: JSON.stringify({ requests }) });
+  if (!resp.ok) throw new Error('sheets batchUpdate error: ' + resp.status);
+  const data = await resp.json();
+  return data.replies || [];
 }
 
-function formatSlotForOutput(slot, includeMeta) {
-  const metrics = calcStatus(slot.threshold_days, slot.last_change_at);
-  const base = {
-    id: slot.id,
-    name: slot.name,
-    group_id: slot.group_id,
-    room: slot.room,
-    threshold_days: slot.threshold_days,
-    last_change_at: slot.last_change_at,
-    ...metrics,
-  };
-  if (includeMeta) base.sheet_row = slot.sheet_row;
-  return base;
+async function getSheetId(env, title, token) {
+  if (!sheetIdCache.has(title)) await sheetsTitles(env, token);
+  if (!sheetIdCache.has(title)) throw new Error('sheet not found: ' + title);
+  return sheetIdCache.get(title);
 }
 
-async function createSlot(env, { name, owner_tg_id, room = '', threshold_days = 3 }) {
-  const normalizedThreshold = Math.max(1, Number(threshold_days) || 1);
-  const id = ulid();
-  const now = new Date().toISOString();
-  const group_id = owner_tg_id != null ? await getPrimaryGroupId(env, owner_tg_id) : '';
-  const normalizedRoom = (room || '').trim();
-  await sheetsAppend(env, SLOT_APPEND_RANGE, [[id, name, group_id, normalizedRoom, String(normalizedThreshold), now]]);
-  await logEvent(env, { slot_id: id, action: 'CREATE', actor: String(owner_tg_id||''), note: name });
-  const metrics = calcStatus(normalizedThreshold, now);
-  return { id, name, group_id, room: normalizedRoom, threshold_days: normalizedThreshold, last_change_at: now, ...metrics };
+// Названия листов таблицы; заодно запоминаем их sheetId
+async function sheetsTitles(env, token) {
+  if (!env.SPREADSHEET_ID) throw new Error('SPREADSHEET_ID не задан');
+  const auth = token || await getAccessToken(env);
+  countCall(env, 'sheets');
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}?fields=sheets.properties`;
+  const resp = await apiFetch(env, url, { headers: { Authorization: `Bearer ${auth}` } });
+  if (!resp.ok) throw new Error('sheets metadata error: ' + resp.status);
+  const data = await resp.json();
+  const sheets = (data.sheets || []).map(s => s.properties);
+  for (const p of sheets) sheetIdCache.set(p.title, p.sheetId);
+  return sheets.map(p => p.title);
 }
 
-async function refreshSlot(env, id, { actor = '' } = {}) {
-  const slot = await getSlotById(env, id);
-  if (!slot) throw new Error('slot not found');
-  if (actor != null && actor !== '') {
-    const groups = await listGroupsForUser(env, actor, { ensure: false });
-    const groupSet = new Set(groups);
-    if (groupSet.size === 0) groupSet.add(`tg:${actor}`);
-    if (!hasSlotAccess(slot, actor, groupSet)) throw new Error('forbidden');
+/* ---------- Адаптер: Cloudflare D1 (SQLite) ---------- */
+const D1_BATCH = 50;
+let d1SchemaReady = false;
+
+// Все колонки TEXT — те же строки, что лежат в ячейках листа
+async function d1EnsureSchema(env) {
+  if (d1SchemaReady) return;
+  const stmts = Object.entries(SCHEMA).map(([table, { key, columns }]) =>
+    env.DB.prepare(`CREATE TABLE IF NOT EXISTS ${table} (${columns.map(c => `${c} TEXT${c === key ? ' PRIMARY KEY' : ' NOT NULL DEFAULT \'\''}`).join(', ')})`));
+  stmts.push(env.DB.prepare('CREATE INDEX IF NOT EXISTS events_slot_id ON events (slot_id)'));
+  stmts.push(env.DB.prepare('CREATE INDEX IF NOT EXISTS access_tg_user_id ON access (tg_user_id)'));
+  await env.DB.batch(stmts);
+  // Колонки, появившиеся в SCHEMA позже создания таблицы, досоздаём
+  const alters = [];
+  for (const [table, { columns }] of Object.entries(SCHEMA)) {
+    const { results } = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
+    const existing = new Set((results || []).map(r => r.name));
+    for (const c of columns) if (!existing.has(c)) alters.push(env.DB.prepare(`ALTER TABLE ${table} ADD COLUMN ${c} TEXT NOT NULL DEFAULT ''`));
   }
-  const now = new Date().toISOString();
-  await sheetsUpdate(env, [ { range: `slots!${SLOT_LAST_COLUMN}${slot.sheet_row}:${SLOT_LAST_COLUMN}${slot.sheet_row}`, values: [[now]] } ]);
-  await logEvent(env, { slot_id: id, action: 'REFRESH', actor: String(actor||''), note: '' });
-  return { ok: true };
+  if (alters.length) await env.DB.batch(alters);
+  d1SchemaReady = true;
 }
 
-async function refreshByRoom(env, actorId, room) {
-  const all = await listSlots(env, actorId, { includeMeta: true });
-  const targets = all.filter(s => (s.room||'') === room);
-  if (!targets.length) return { updated: 0 };
-  const now = new Date().toISOString();
-  const updates = targets.map(t => ({ range: `slots!${SLOT_LAST_COLUMN}${t.sheet_row}:${SLOT_LAST_COLUMN}${t.sheet_row}`, values: [[now]] }));
-  if (updates.length) await sheetsUpdate(env, updates);
-  for (const t of targets) await logEvent(env, { slot_id: t.id, action: 'REFRESH', actor: String(actorId), note: `room:${room}` });
-  return { updated: targets.length };
+async function d1Batch(env, stmts) {
+  for (let i = 0; i < stmts.length; i += D1_BATCH) await env.DB.batch(stmts.slice(i, i + D1_BATCH));
 }
 
-async function updateSlot(env, id, patch = {}, { actor = '' } = {}) {
-  const slot = await getSlotById(env, id);
-  if (!slot) throw new Error('slot not found');
-  if (actor != null && actor !== '') {
-    const groups = await listGroupsForUser(env, actor, { ensure: false });
-    const groupSet = new Set(groups);
-    if (groupSet.size === 0) groupSet.add(`tg:${actor}`);
-    if (!hasSlotAccess(slot, actor, groupSet)) throw new Error('forbidden');
-  }
-  const updates = [];
-  if (patch.room != null) updates.push({ range: `slots!${SLOT_ROOM_COLUMN}${slot.sheet_row}:${SLOT_ROOM_COLUMN}${slot.sheet_row}`, values: [[String(patch.room || '')]] });
-  if (patch.threshold_days != null) {
-    const val = Math.max(1, Number(patch.threshold_days) || 1);
-    updates.push({ range: `slots!${SLOT_THRESHOLD_COLUMN}${slot.sheet_row}:${SLOT_THRESHOLD_COLUMN}${slot.sheet_row}`, values: [[String(val)]] });
-  }
-  if (updates.length) {
-    await sheetsUpdate(env, updates);
-    await logEvent(env, { slot_id: id, action: 'UPDATE', actor: String(actor||''), note: JSON.stringify(patch) });
+function d1Store(env) {
+  // для таблиц без ключа строку адресуем через rowid
+  const where = (table, record) => {
+    const { key } = SCHEMA[table];
+    return key ? { sql: `${key} = ?`, arg: record[key] } : { sql: 'rowid = ?', arg: record._row };
+  };
+  return {
+    kind: 'd1',
+
+    async all(table) {
+      await d1EnsureSchema(env);
+      const { columns } = SCHEMA[table];
+      const { results } = await env.DB.prepare(`SELECT rowid AS _row, ${columns.join(', ')} FROM ${table} ORDER BY rowid`).all();
+      return (results || []).map(r => {
+        const rec = emptyRecord(table);
+        for (const c of columns) rec[c] = r[c] != null ? String(r[c]) : '';
+        rec._row = r._row;
+        return rec;
+      });
+    },
+
+    async load(tables) {
+      const out = {};
+      for (const table of tables) out[table] = await this.all(table);
+      return out;
+    },
+
+    async insert(table, records, { replace = false } = {}) {
+      if (!records.length) return;
+      await d1EnsureSchema(env);
+      const { columns } = SCHEMA[table];
+      const sql = `INSERT ${replace ? 'OR REPLACE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+      await d1Batch(env, records.map(r => env.DB.prepare(sql).bind(...columns.map(c => r[c] != null ? String(r[c]) : ''))));
+    },
+
+    async update(table, changes) {
+      await d1EnsureSchema(env);
+      const { columns } = SCHEMA[table];
+      await checkVersions(table, changes.map(c => c.record));
+      const stmts = [];
+      for (const change of changes) {
+        const { record, patch } = change;
+        if (!Object.keys(patch).length) continue;
+        bumpVersion(table, change);
+        const cols = Object.keys(patch);
+        for (const c of cols) if (!columns.includes(c)) throw new Error(`unknown column ${table}.${c}`);
+        const w = guarded(table, record);
+        stmts.push(env.DB.prepare(`UPDATE ${table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE ${w.sql}`)
+          .bind(...cols.map(c => patch[c] != null ? String(patch[c]) : ''), ...w.args));
+      }
+      if (stmts.length) await d1Batch(env, stmts);
+    },
+
+    async remove(table, records) {
+      if (!records.length) return;
+      await d1EnsureSchema(env);
+      await checkVersions(table, records);
+      await d1Batch(env, records.map(r => {
+        const w = guarded(table, r);
+        return env.DB.prepare(`DELETE FROM ${table} WHERE ${w.sql}`).bind(...w.args);
+      }));
+    },
+  };
+
+  // Строки в D1 адресуются ключом и не сдвигаются; версию сверяем заранее, чтобы не записать пакет наполовину,
+  // а условие на версию в самом UPDATE/DELETE не даст перетереть правку, успевшую между проверкой и записью
+  async function checkVersions(table, records) {
+    const { key, columns } = SCHEMA[table];
+    if (!columns.includes('version') || !records.length) return;
+    const stored = new Map();
+    for (let i = 0; i < records.length; i += D1_BATCH) {
+      const ids = records.slice(i, i + D1_BATCH).map(r => r[key]);
+      const { results } = await env.DB.prepare(`SELECT ${key}, version FROM ${table} WHERE ${key} IN (${ids.map(() => '?').join(', ')})`).bind(...ids).all();
+      for (const r of results || []) stored.set(String(r[key]), versionOf(r));
+    }
+    for (const r of records) if (stored.get(String(r[key])) !== versionOf(r)) throw new Error('version conflict');
   }
-  return { ok: true };
-}
 
-async function deleteSlot(env, id, { actor = '' } = {}) {
-  const slot = await getSlotById(env, id);
-  if (!slot) throw new Error('slot not found');
-  if (actor != null && actor !== '') {
-    const groups = await listGroupsForUser(env, actor, { ensure: false });
-    const groupSet = new Set(groups);
-    if (groupSet.size === 0) groupSet.add(`tg:${actor}`);
-    if (!hasSlotAccess(slot, actor, groupSet)) throw new Error('forbidden');
+  function guarded(table, record) {
+    const w = where(table, record);
+    if (!SCHEMA[table].columns.includes('version')) return { sql: w.sql, args: [w.arg] };
+    return { sql: `${w.sql} AND CAST(version AS INTEGER) = ?`, args: [w.arg, versionOf(record)] };
   }
-  await sheetsDeleteRow(env, 'slots', slot.sheet_row);
-  await logEvent(env, { slot_id: id, action: 'DELETE', actor: String(actor||''), note: slot.name || '' });
-  return { ok: true };
 }
 
-async function ensureUser(env, tg_user_id) {
-  const rows = await sheetsGet(env, 'users!A2:C');
-  const exists = (rows||[]).some(r => r[0] === String(tg_user_id));
-  if (!exists) await sheetsAppend(env, 'users!A:C', [[String(tg_user_id), env.DEFAULT_TZ || 'Europe/Moscow', String(env.DEFAULT_NOTIFY_HOUR || 10)]]);
-  await listGroupsForUser(env, tg_user_id, { ensure: true });
-}
+/* ---------- Разовая миграция Sheets → D1 ---------- */
+// Переносим всё: без kv перестанут работать напечатанные QR-ключи, без reminders крон заново разошлёт сегодняшние напоминания
+const MIGRATION_TABLES = ['slots', 'users', 'access', 'events', 'reminders', 'kv', 'webhooks', 'deliveries'];
+// Листов вебхуков может не быть вовсе (фича не нужна) — тогда переносить нечего
+const MIGRATION_OPTIONAL_TABLES = ['webhooks', 'deliveries'];
 
-async function upsertUser(env, { tg_user_id, tz, notify_hour }) {
-  const { rowIndex } = await findRowById(env, 'users', String(tg_user_id));
-  if (!rowIndex) {
-    await sheetsAppend(env, 'users!A:C', [[String(tg_user_id), tz || (env.DEFAULT_TZ || 'Europe/Moscow'), String(notify_hour != null ? notify_hour : (env.DEFAULT_NOTIFY_HOUR || 10))]]);
-  } else {
-    const updates = [];
-    if (tz != null) updates.push({ range: `users!B${rowIndex}:B${rowIndex}`, values: [[tz]] });
-    if (notify_hour != null) updates.push({ range: `users!C${rowIndex}:C${rowIndex}`, values: [[String(notify_hour)]] });
-    if (updates.length) await sheetsUpdate(env, updates);
+async function migrateSheetsToD1(env, { force = false } = {}) {
+  if (!env.DB) throw new Error('биндинг DB не задан');
+  const from = sheetsStore(env);
+  const to = d1Store(env);
+  // с force чистим таблицы до первого all()/insert() — на свежей базе их ещё нужно создать
+  await d1EnsureSchema(env);
+  if (!force) {
+    for (const table of MIGRATION_TABLES) {
+      if ((await to.all(table)).length) throw new Error('target not empty');
+    }
   }
-  await listGroupsForUser(env, tg_user_id, { ensure: true });
+  const copied = {};
+  for (const table of MIGRATION_TABLES) {
+    let records = [];
+    try {
+      records = await from.all(table);
+    } catch (e) {
+      if (!MIGRATION_OPTIONAL_TABLES.includes(table)) throw e;
+    }
+    if (force) await env.DB.prepare(`DELETE FROM ${table}`).run();
+    await to.insert(table, records, { replace: true });
+    copied[table] = records.length;
+  }
+  return copied;
 }
 
-async function listUsers(env) {
-  const rows = await sheetsGet(env, 'users!A2:C');
-  return (rows || []).map(r => ({ tg_user_id: Number(r[0]), tz: r[1] || 'Europe/Moscow', notify_hour: r[2] ? Number(r[2]) : 10 }));
-}
+/* ---------- Раскладка листов: настройка и миграция ---------- */
+// Поднимать с каждым изменением колонок SCHEMA. Таблицы, настроенные до появления версии, считаются версией 0
+const SCHEMA_VERSION = 1;
+const SCHEMA_VERSION_KEY = 'schema:version';
+// Старые названия колонок, которые настройка переименует сама: в group_id раньше лежал Telegram ID владельца
+const SCHEMA_LEGACY_HEADERS = { slots: { owner_tg_id: 'group_id' } };
 
-async function logEvent(env, { slot_id, action, actor, note }) {
-  const ts = new Date().toISOString();
-  await sheetsAppend(env, 'events!A:E', [[ts, slot_id, action, actor, note || '']]);
+/**
+ * Сверяет первую строку каждого листа с колонками SCHEMA (колонки позиционные: новые дописываются в конец).
+ * state листа: ok — совпадает (лишние колонки справа хранилище не читает); missing — листа нет;
+ * outdated — не хватает заголовка, колонок в конце или колонка названа по-старому — всё это допишет setupSchema;
+ * mismatch — на месте колонки чужое название: данные, скорее всего, сдвинуты, и править их нужно руками.
+ */
+async function checkSheetsSchema(env) {
+  const titles = new Set(await sheetsTitles(env));
+  const tables = Object.keys(SCHEMA);
+  const present = tables.filter(table => titles.has(table));
+  const headers = await sheetsBatchGet(env, present.map(table => `${table}!A1:ZZ1`)); // с запасом — чтобы увидеть и лишние колонки
+  return tables.map(table => {
+    const i = present.indexOf(table);
+    if (i < 0) return { table, state: 'missing', missing: SCHEMA[table].columns, renamed: [], conflicts: [], extra: [] };
+    return compareSheetHeader(table, (headers[i] || [])[0] || []);
+  });
 }
 
-async function getPrimaryGroupId(env, tg_user_id) {
-  const groups = await listGroupsForUser(env, tg_user_id, { ensure: true });
-  return groups[0] || `tg:${tg_user_id}`;
+function compareSheetHeader(table, header) {
+  const { columns } = SCHEMA[table];
+  const legacy = SCHEMA_LEGACY_HEADERS[table] || {};
+  const cells = header.map(v => String(v ?? '').trim());
+  const missing = [], renamed = [], conflicts = [];
+  columns.forEach((c, i) => {
+    const found = cells[i] || '';
+    if (found === c) return;
+    if (!found) missing.push(c);
+    else if (legacy[found] === c) renamed.push({ column: colLetter(i), from: found, to: c });
+    else conflicts.push({ column: colLetter(i), found, expected: c });
+  });
+  const extra = cells.slice(columns.length).filter(Boolean);
+  const state = conflicts.length ? 'mismatch' : missing.length || renamed.length ? 'outdated' : 'ok';
+  return { table, state, missing, renamed, conflicts, extra };
 }
 
-async function listGroupsForUser(env, tg_user_id, { ensure = false } = {}) {
-  if (tg_user_id == null) return [];
-  const desired = String(tg_user_id);
-  const rows = await sheetsGet(env, ACCESS_RANGE);
-  const matches = (rows || []).filter(r => (r[1] || '') === desired).map(r => r[0]).filter(Boolean);
-  if (matches.length || !ensure) return matches;
-  const group_id = `tg:${desired}`;
-  await sheetsAppend(env, ACCESS_APPEND_RANGE, [[group_id, desired]]);
-  return [group_id];
+async function storedSchemaVersion(env) {
+  return Number(await kvGet(env, SCHEMA_VERSION_KEY)) || 0;
 }
 
-async function getSlotsTable(env) {
-  const rows = await sheetsGet(env, SLOT_RANGE);
-  const table = [];
-  const fixes = [];
-  for (let i = 0; i < (rows || []).length; i++) {
-    const rowNumber = i + 2;
-    const row = rows[i] ? [...rows[i]] : [];
-    const currentId = row[0] ? String(row[0]).trim() : '';
-    if (!currentId && row[1] && String(row[1]).trim()) {
-      const newId = ulid();
-      row[0] = newId;
-      fixes.push({ range: `slots!A${rowNumber}:A${rowNumber}`, values: [[newId]] });
-    }
-    const slot = parseSlotRow(row, rowNumber);
-    if (slot) table.push(slot);
+/**
+ * Настройка по команде админа (POST /admin/setup): создаёт недостающие листы, пишет заголовки
+ * (в том числе новые колонки и старые названия) и запоминает SCHEMA_VERSION. Лист с mismatch не трогаем,
+ * а версию тогда не записываем — ответ перечисляет, какие заголовки поправить руками.
+ */
+async function setupSchema(env) {
+  if (String(env.STORAGE || 'sheets').toLowerCase() === 'd1') {
+    // D1 досоздаёт таблицы и колонки сам — перепроверяем схему и отмечаем версию
+    d1SchemaReady = false;
+    await d1EnsureSchema(env);
+    await kvPut(env, SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+    return { ok: true, storage: 'd1', version: SCHEMA_VERSION, tables: [] };
   }
-  if (fixes.length) await sheetsUpdate(env, fixes);
-  return table;
-}
-
-async function getSlotById(env, id) {
-  const table = await getSlotsTable(env);
-  return table.find(s => s.id === id) || null;
-}
-
-function parseSlotRow(row, rowNumber) {
-  const id = (row && row[0] ? String(row[0]).trim() : '');
-  if (!id) return null;
-  const name = row[1] ? String(row[1]).trim() : '';
-  let group_id = row[2] ? String(row[2]).trim() : '';
-  let owner_fallback = null;
-  if (group_id && /^\d+$/.test(group_id)) {
-    owner_fallback = Number(group_id);
-    group_id = `tg:${group_id}`;
+  const tables = await checkSheetsSchema(env);
+  const create = tables.filter(r => r.state === 'missing').map(r => r.table);
+  if (create.length) {
+    const replies = await sheetsBatchUpdate(env, create.map(title => ({ addSheet: { properties: { title, gridProperties: { frozenRowCount: 1 } } } })));
+    for (const r of replies) if (r.addSheet) sheetIdCache.set(r.addSheet.properties.title, r.addSheet.properties.sheetId);
+  }
+  // Переписываем строку заголовка целиком: совпавшие ячейки не меняются, пустые и старые получают нужные имена
+  const write = tables.filter(r => r.state === 'missing' || r.state === 'outdated');
+  if (write.length) {
+    await sheetsUpdate(env, write.map(({ table }) => ({ range: `${table}!A1:${colLetter(SCHEMA[table].columns.length - 1)}1`, values: [SCHEMA[table].columns] })));
   }
-  const room = row[3] ? String(row[3]).trim() : '';
-  const threshold_days = row[4] != null && row[4] !== '' ? Number(row[4]) : 3;
-  const last_change_at = row[5] ? String(row[5]) : new Date().toISOString();
-  return { id, name, group_id, room, threshold_days, last_change_at, sheet_row: rowNumber, owner_fallback };
+  const ok = !tables.some(r => r.state === 'mismatch');
+  if (ok) await kvPut(env, SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+  const done = { missing: 'created', outdated: 'updated' };
+  return { ok, storage: 'sheets', version: ok ? SCHEMA_VERSION : await storedSchemaVersion(env), tables: tables.map(r => ({ ...r, state: done[r.state] || r.state })) };
 }
 
-async function sheetsDeleteRow(env, sheetTitle, rowIndex) {
-  const token = await getAccessToken(env);
-  const sheetId = await getSheetId(env, sheetTitle, token);
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}:batchUpdate`;
-  const body = { requests: [ { deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex } } } ] };
-  const resp = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'content-type': 'application/json' }, body: JSON.stringify(body) });
-  if (!resp.ok) throw new Error('sheets delete row error: ' + resp.status);
+function describeSheetState(r, t) {
+  const parts = [];
+  if (r.state === 'missing') parts.push(t('diag_sheet_missing'));
+  if (r.state === 'ok') parts.push(t('diag_sheet_ok', { n: SCHEMA[r.table].columns.length }));
+  if (r.state !== 'missing' && r.missing.length) parts.push(t('diag_sheet_add', { list: r.missing.join(', ') }));
+  if (r.renamed.length) parts.push(t('diag_sheet_rename', { list: r.renamed.map(x => `${x.column}: ${x.from} → ${x.to}`).join(', ') }));
+  if (r.conflicts.length) parts.push(t('diag_sheet_conflict', { list: r.conflicts.map(x => `${x.column}: «${x.found}» ≠ ${x.expected}`).join(', ') }));
+  if (r.extra.length) parts.push(t('diag_sheet_extra', { list: r.extra.join(', ') }));
+  return parts.join('; ');
 }
 
-async function getSheetId(env, title, token) {
-  if (sheetIdCache.has(title)) return sheetIdCache.get(title);
-  const auth = token || await getAccessToken(env);
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}?fields=sheets.properties`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${auth}` } });
-  if (!resp.ok) throw new Error('sheets metadata error: ' + resp.status);
-  const data = await resp.json();
-  const sheet = (data.sheets || []).map(s => s.properties).find(p => p.title === title);
-  if (!sheet) throw new Error('sheet not found: ' + title);
-  sheetIdCache.set(title, sheet.sheetId);
-  return sheet.sheetId;
+/* =========================
+ * Режим разработки (DEV_MODE=1)
+ * ========================= */
+// Google и Telegram подменяются эмулятором из dev.mjs: листы в памяти, вызовы бота записываются
+function isDevMode(env) {
+  return String(env.DEV_MODE || '') === '1';
 }
 
-async function findRowById(env, sheetName, id) {
-  const rows = await sheetsGet(env, `${sheetName}!A2:A`);
-  let idx = 0; for (const r of (rows||[])) { idx++; if ((r[0]||'') === String(id)) return { rowIndex: idx + 1 }; }
-  return { rowIndex: null };
+function apiFetch(env, url, init) {
+  return isDevMode(env) ? devFetch(url, init) : fetch(url, init);
 }
 
 /* =========================
  * Google Sheets: OAuth по JWT
  * ========================= */
+// Токен живёт час — держим его в памяти изолята и обновляем за минуту до истечения
+let oauthCache = null; // { iss, promise, expiresAt }
+
 async function getAccessToken(env) {
+  if (isDevMode(env)) return 'dev';
   const iss = env.GOOGLE_CLIENT_EMAIL; if (!iss) throw new Error('GOOGLE_CLIENT_EMAIL не задан');
+  if (oauthCache && oauthCache.iss === iss && Date.now() < oauthCache.expiresAt - 60_000) return oauthCache.promise;
+  const entry = { iss, expiresAt: Infinity, promise: null };
+  entry.promise = fetchAccessToken(env).then(
+    ({ token, expiresIn }) => { entry.expiresAt = Date.now() + expiresIn * 1000; return token; },
+    (e) => { if (oauthCache === entry) oauthCache = null; throw e; }
+  );
+  oauthCache = entry;
+  return entry.promise;
+}
+
+async function fetchAccessToken(env) {
+  const iss = env.GOOGLE_CLIENT_EMAIL;
   if (!env.GOOGLE_PRIVATE_KEY) throw new Error('GOOGLE_PRIVATE_KEY не задан');
+  countCall(env, 'oauth');
 
   // Нормализуем ключ: поддержка \n, реальных переводов, «голого» base64 (без BEGIN/END)
   let pkRaw = String(env.GOOGLE_PRIVATE_KEY);
@@ -720,13 +5831,13 @@ async function getAccessToken(env) {
   const signature = await crypto.subtle.sign({ name: 'RSASSA-PKCS1-v1_5' }, key, new TextEncoder().encode(signingInput));
   const jwt = `${signingInput}.${b64url(signature)}`;
 
-  const resp = await fetch('https://oauth2.googleapis.com/token', {
+  const resp = await apiFetch(env, 'https://oauth2.googleapis.com/token', {
     method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' },
     body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion: jwt })
   });
   if (!resp.ok) { const txt = await resp.text().catch(()=>String(resp.status)); throw new Error('oauth token error: '+resp.status+' '+txt); }
   const data = await resp.json();
-  return data.access_token;
+  return { token: data.access_token, expiresIn: Number(data.expires_in) || 3600 };
 }
 
 async function importPKCS8(pem, algName) {
@@ -737,9 +5848,11 @@ async function importPKCS8(pem, algName) {
   return crypto.subtle.importKey('pkcs8', raw, { name: algName, hash: 'SHA-256' }, false, ['sign']);
 }
 
-// вспомогательный base64url от строки/ArrayBuffer
+// вспомогательный base64url от строки/ArrayBuffer/Uint8Array
 function b64url(input) {
-  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new TextEncoder().encode(String(input));
+  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input)
+    : ArrayBuffer.isView(input) ? new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+    : new TextEncoder().encode(String(input));
   let bin = ''; for (let i=0;i<bytes.length;i++) bin += String.fromCharCode(bytes[i]);
   return btoa(bin).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/g,'');
 }
@@ -747,82 +5860,689 @@ function b64url(input) {
 async function sheetsGet(env, rangeA1) {
   if (!env.SPREADSHEET_ID) throw new Error('SPREADSHEET_ID не задан');
   const token = await getAccessToken(env);
+  countCall(env, 'sheets');
   const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${encodeURIComponent(rangeA1)}?majorDimension=ROWS`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  const resp = await apiFetch(env, url, { headers: { Authorization: `Bearer ${token}` } });
   if (!resp.ok) throw new Error('sheets get error: ' + resp.status);
   const data = await resp.json();
   return data.values || [];
 }
 
+// Несколько диапазонов за один запрос; порядок ответа = порядок rangesA1
+async function sheetsBatchGet(env, rangesA1) {
+  if (!env.SPREADSHEET_ID) throw new Error('SPREADSHEET_ID не задан');
+  const token = await getAccessToken(env);
+  countCall(env, 'sheets');
+  const qs = rangesA1.map(r => `ranges=${encodeURIComponent(r)}`).join('&');
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values:batchGet?${qs}&majorDimension=ROWS`;
+  const resp = await apiFetch(env, url, { headers: { Authorization: `Bearer ${token}` } });
+  if (!resp.ok) throw new Error('sheets batchGet error: ' + resp.status);
+  const data = await resp.json();
+  return (data.valueRanges || []).map(v => v.values || []);
+}
+
 async function sheetsAppend(env, rangeA1, values) {
   const token = await getAccessToken(env);
+  countCall(env, 'sheets');
   const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${encodeURIComponent(rangeA1)}:append?valueInputOption=RAW`;
-  const resp = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'content-type': 'application/json' }, body: JSON.stringify({ range: rangeA1, majorDimension: 'ROWS', values }) });
+  const resp = await apiFetch(env, url, { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'content-type': 'application/json' }, body: JSON.stringify({ range: rangeA1, majorDimension: 'ROWS', values }) });
   if (!resp.ok) throw new Error('sheets append error: ' + resp.status);
 }
 
 async function sheetsUpdate(env, updates) {
   const token = await getAccessToken(env);
+  countCall(env, 'sheets');
   const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values:batchUpdate`;
-  const resp = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'content-type': 'application/json' }, body: JSON.stringify({ valueInputOption: 'RAW', data: updates }) });
+  const resp = await apiFetch(env, url, { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'content-type': 'application/json' }, body: JSON.stringify({ valueInputOption: 'RAW', data: updates }) });
   if (!resp.ok) throw new Error('sheets update error: ' + resp.status);
 }
 
 /* =========================
  * Мини-дашборд (HTML)
  * ========================= */
-async function renderDashboard(env, uid) {
-  const slots = await listSlots(env, uid ? Number(uid) : null);
-  const rooms = Array.from(new Set(slots.map(s=>s.room).filter(Boolean)));
-  const rows = slots.map(s=>{
-    const age = daysSince(s.last_change_at);
-    return `<tr>
-      <td>${statusEmoji(s.status)}</td>
-      <td>${escapeHtml(s.name)}</td>
-      <td>${escapeHtml(s.room||'—')}</td>
-      <td>${age}</td>
-      <td>${s.threshold_days}</td>
-      <td>${Math.round(s.score)}%</td>
-      <td><form method="post" action="/api/slots/${s.id}/refresh"><button>Обновил</button></form></td>
+const PAGE_CSS = `:root{color-scheme:dark}body{font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;padding:20px;background:#0b0b0b;color:#fafafa}
+  table{width:100%;border-collapse:collapse;margin-top:12px}th,td{border-bottom:1px solid #333;padding:8px}th{color:#bbb;text-align:left}
+  button{background:#1f6feb;border:0;color:#fff;padding:6px 10px;border-radius:8px;cursor:pointer}button:hover{opacity:.9}
+  button.danger{background:#8e1519}
+  .tip{color:#aaa}.bar{margin:12px 0}a{color:#58a6ff}
+  form.inline{display:inline-flex;gap:8px;align-items:center;flex-wrap:wrap}
+  input[type=text],input[type=number],select{background:#111;border:1px solid #333;color:#fff;border-radius:8px;padding:6px 8px}
+  input[type=number]{width:5em}
+  td.actions{white-space:nowrap}td.actions details{display:inline-block;margin:0 4px}summary{cursor:pointer;color:#58a6ff}
+  form.edit{display:flex;flex-direction:column;gap:6px;margin-top:6px;white-space:normal}
+  tr.pending{opacity:.5}tr.pending form{pointer-events:none}
+  .flash{background:#3d1d1d;border:1px solid #8e1519;border-radius:8px;padding:8px 12px}td.low{color:#f0b429}
+  svg.chart{display:block;width:100%;max-width:560px;margin:4px 0 12px}svg.chart text{fill:#ddd;font-size:12px}h3{font-size:1em;color:#bbb;margin:12px 0 4px}
+  `;
+
+/* =========================
+ * Панель: фильтры, сортировка, строки слотов
+ * ========================= */
+const DASHBOARD_STATUSES = ['EXPIRED', 'WARN', 'OK', 'SNOOZED']; // порядок сортировки «по статусу»
+const DASHBOARD_SORTS = ['status', 'name', 'room', 'age', 'stock']; // подписи — dash_sort_<код> в каталоге
+// Коды ошибок API, для которых в каталоге есть понятный текст (err_<код>) для плашки над таблицей
+const DASHBOARD_ERRORS = ['forbidden', 'slot not found', 'name required', 'name too long', 'room required', 'invalid threshold_days', 'invalid spare count', 'stock not tracked', 'code required', 'invalid invite', 'invalid decision',
+  'invalid schedule', 'invalid quiet_hours', 'invalid pause_until', 'invalid digest', 'invalid import', 'import too large', 'invalid conflict',
+  'invalid url', 'invalid events', 'too many webhooks', 'webhook not found', 'version conflict'];
+
+function parseDashboardView(params) {
+  const status = (params.get('status') || '').toUpperCase();
+  const sort = params.get('sort') || 'status';
+  return {
+    room: (params.get('room') || '').trim(),
+    status: DASHBOARD_STATUSES.includes(status) ? status : '',
+    sort: DASHBOARD_SORTS.includes(sort) ? sort : 'status',
+    error: params.get('error') || '',
+  };
+}
+
+// Адрес панели с текущими фильтрами — сюда формы возвращают после редиректа
+function dashboardUrl({ room, status, sort }) {
+  const q = new URLSearchParams();
+  if (room) q.set('room', room);
+  if (status) q.set('status', status);
+  if (sort && sort !== 'status') q.set('sort', sort);
+  const qs = q.toString();
+  return qs ? `/dashboard?${qs}` : '/dashboard';
+}
+
+function compareDashboardSlots(sort) {
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '', 'ru');
+  if (sort === 'name') return byName;
+  if (sort === 'room') return (a, b) => (a.room || '').localeCompare(b.room || '', 'ru') || byName(a, b);
+  if (sort === 'age') return (a, b) => b.d - a.d || byName(a, b);
+  // без учёта запаса — в конец
+  if (sort === 'stock') return (a, b) => (a.spare_clean ?? Infinity) - (b.spare_clean ?? Infinity) || byName(a, b);
+  const rank = s => DASHBOARD_STATUSES.indexOf(s.status);
+  return (a, b) => rank(a) - rank(b) || a.score - b.score || byName(a, b);
+}
+
+function optionsHtml(items, selected) {
+  return items.map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+}
+
+// Служебные поля каждой POST-формы панели: куда вернуться и csrf-токен сессии
+function formFields({ back, csrf }) {
+  return `<input type="hidden" name="redirect" value="${escapeHtml(back)}"/><input type="hidden" name="csrf" value="${escapeHtml(csrf || '')}"/>`;
+}
+
+function webhooksSection(hooks, redirect, tz, t) {
+  const eventNames = (events) => events.length === WEBHOOK_EVENTS.length ? t('dash_wh_all_events') : events.map(e => t(`wh_event_${e}`)).join(', ');
+  const lastLine = (d) => {
+    if (!d) return t('dash_wh_never');
+    const when = formatDateTime(d.last_attempt_at || d.created_at, tz, t.lang);
+    if (d.state === 'delivered') return t('dash_wh_ok', { response: d.response, when });
+    if (d.state === 'retrying') return t('dash_wh_retrying', { response: d.response, when, next: formatDateTime(d.next_attempt_at, tz, t.lang) });
+    return t('dash_wh_failed', { response: d.response, when, attempts: d.attempts });
+  };
+  const items = hooks.map(h => {
+    const action = `/api/webhooks/${encodeURIComponent(h.id)}`;
+    return `<li${h.active ? '' : ' class="tip"'}><code>${escapeHtml(h.url)}</code> — ${escapeHtml(eventNames(h.events))}<br/>
+      <span class="tip">${escapeHtml(lastLine(h.last_delivery))}</span>
+      <details><summary>${t('dash_wh_secret')}</summary><code>${escapeHtml(h.secret)}</code></details>
+      <form class="inline" method="post" action="${action}/test">${redirect}<button>${t('dash_wh_test')}</button></form>
+      <form class="inline" method="post" action="${action}">${redirect}<button name="active" value="${h.active ? '0' : '1'}">${t(h.active ? 'dash_wh_pause' : 'dash_wh_resume')}</button></form>
+      <form class="inline" method="post" action="${action}/delete">${redirect}<button class="danger">${t('dash_wh_delete')}</button></form></li>`;
+  }).join('');
+  const boxes = WEBHOOK_EVENTS.map(e => `<label><input type="checkbox" name="event_${e}" value="1" checked/> ${escapeHtml(t(`wh_event_${e}`))}</label>`).join(' ');
+  return `<p class="tip">${t('dash_wh_hint')}</p>${items ? `<ul>${items}</ul>` : ''}
+  <form class="bar inline" method="post" action="/api/webhooks">${redirect}
+    <input type="text" name="url" required size="40" placeholder="https://…"/>
+    ${boxes}
+    <button>${t('dash_wh_add')}</button>
+  </form>`;
+}
+
+function notifySettingsForm(s, redirect, t) {
+  const rules = parseScheduleRules(s.schedule) || [];
+  const quiet = parseQuietHours(s.quiet_hours) || [];
+  const digest = parseDigest(s.digest);
+  const digestValue = digest && digest.day != null ? `${WEEKDAY_NAMES[t.lang][digest.day]} ${digest.hour}` : '';
+  return `<h2>${t('dash_notify')}</h2>
+  <form id="notify" class="bar inline" method="post" action="/api/schedule">${redirect}
+    <label>${t('dash_notify_schedule')} <input type="text" name="schedule" value="${escapeHtml(formatSchedule(rules, t.lang))}" placeholder="${escapeHtml(t('dash_notify_schedule_ph', { time: `${pad2(s.notify_hour)}:00` }))}"/></label>
+    <label>${t('dash_notify_quiet')} <input type="text" name="quiet_hours" size="6" value="${quiet.join('-')}" placeholder="22-8"/></label>
+    <label>${t('dash_notify_pause')} <input type="date" name="pause_until" value="${escapeHtml(s.pause_until)}"/></label>
+    <label>${t('dash_notify_digest')} <input type="text" name="digest" size="8" value="${escapeHtml(digestValue)}" placeholder="${escapeHtml(t('dash_notify_digest_ph'))}"/></label>
+    <button>${t('dash_save')}</button>
+  </form>
+  <p class="tip">${t('dash_notify_help')}</p>`;
+}
+
+function dashboardRow(s, { tz, uid, groups, back, csrf, t, hidden = false }) {
+  const id = encodeURIComponent(s.id);
+  const score = Math.round(s.score);
+  const redirect = formFields({ back, csrf });
+  const wake = s.status === 'SNOOZED' ? `<span class="tip" data-f="wake"><br>${escapeHtml(t('dash_until', { when: formatDateTime(s.snooze_until, tz, t.lang) }))}</span>` : '';
+  const groupSelect = groups.length > 1
+    ? `<select name="group_id">${optionsHtml(groups.map(g => [g, groupLabel(g, uid, t)]), s.group_id)}</select>`
+    : '';
+  const tracked = stockTracked(s);
+  return `<tr data-id="${escapeHtml(s.id)}" data-name="${escapeHtml(s.name || '')}" data-room="${escapeHtml(s.room || '')}" data-status="${s.status}" data-age="${s.d}" data-score="${score}" data-clean="${tracked ? s.spare_clean : ''}" data-dirty="${tracked ? s.spare_dirty : ''}"${hidden ? ' hidden' : ''}>
+      <td><span data-f="emoji">${statusEmoji(s.status)}</span>${wake}</td>
+      <td><a data-f="name" href="/dashboard/slots/${id}">${escapeHtml(s.name || '')}</a></td>
+      <td data-f="room">${escapeHtml(s.room || '—')}</td>
+      <td data-f="age">${s.d}</td>
+      <td data-f="threshold">${s.threshold_days}</td>
+      <td data-f="score">${score}%</td>
+      <td data-f="stock"${isLowStock(s) ? ' class="low"' : ''}>${tracked ? escapeHtml(stockLabel(s, t)) : '—'}</td>
+      <td class="actions">
+        <form class="inline" method="post" action="/api/slots/${id}/refresh" data-async="refresh">${redirect}<button>${t('dash_refreshed')}</button></form>
+        <form class="inline" method="post" action="/api/slots/${id}/laundry" data-async="laundry"${tracked && s.spare_dirty ? '' : ' hidden'}>${redirect}<button title="${escapeHtml(t('dash_laundry_title'))}">${t('dash_laundry')}</button></form>
+        <details><summary>${t('dash_edit')}</summary>
+          <form class="edit" method="post" action="/api/slots/${id}" data-async="update">${redirect}
+            <input type="text" name="name" required maxlength="${SLOT_NAME_MAX}" value="${escapeHtml(s.name || '')}"/>
+            <input type="text" name="room" list="rooms" placeholder="${escapeHtml(t('dash_room'))}" value="${escapeHtml(s.room || '')}"/>
+            <label>${t('dash_threshold')} <input type="number" name="threshold_days" min="1" max="365" required value="${s.threshold_days}"/> ${t('dash_days_unit')}</label>
+            <label>${t('dash_clean_spares')} <input type="number" name="spare_clean" min="0" max="999" placeholder="${escapeHtml(t('dash_spares_none'))}" value="${tracked ? s.spare_clean : ''}"/></label>
+            <label>${t('dash_in_wash')} <input type="number" name="spare_dirty" min="0" max="999" value="${tracked ? s.spare_dirty : ''}"/></label>
+            ${groupSelect}
+            <button>${t('dash_save')}</button>
+          </form>
+        </details>
+        <form class="inline" method="post" action="/api/slots/${id}/delete" data-async="delete">${redirect}<button class="danger">${t('dash_delete')}</button></form>
+      </td>
     </tr>`;
+}
+
+// Горизонтальные полосы без библиотек: items — [{ label, value, mark? }], mark — вертикальная черта (порог)
+function svgBars(items, { max, title }) {
+  const rowH = 22, labelW = 170, barW = 300, width = labelW + barW + 60;
+  const scale = v => Math.round(barW * Math.min(v, max) / (max || 1));
+  const rows = items.map((it, i) => {
+    const y = i * rowH;
+    const mark = it.mark != null ? `<line x1="${labelW + scale(it.mark)}" x2="${labelW + scale(it.mark)}" y1="${y + 2}" y2="${y + rowH - 2}" stroke="#f0b429" stroke-width="2"/>` : '';
+    return `<text x="${labelW - 8}" y="${y + 15}" text-anchor="end">${escapeHtml(shorten(String(it.label), 24))}</text>`+
+      `<rect x="${labelW}" y="${y + 4}" width="${scale(it.value)}" height="${rowH - 8}" rx="3" fill="#1f6feb"/>${mark}`+
+      `<text x="${labelW + scale(it.value) + 6}" y="${y + 15}">${escapeHtml(String(it.text ?? it.value))}</text>`;
+  }).join('');
+  return `<svg class="chart" viewBox="0 0 ${width} ${items.length * rowH}" role="img" aria-label="${escapeHtml(title)}"><title>${escapeHtml(title)}</title>${rows}</svg>`;
+}
+
+function statsSection(stats, t) {
+  if (!stats.total.changes) return `<p class="tip">${t('dash_stats_empty')}</p>`;
+  const charts = [];
+  const rooms = stats.rooms.filter(r => r.on_time_pct != null);
+  if (rooms.length) {
+    charts.push(`<h3>${t('dash_stats_on_time')}</h3>` + svgBars(rooms.map(r => ({ label: r.room || t('stats_no_room'), value: r.on_time_pct, text: `${r.on_time_pct}%` })), { max: 100, title: t('dash_stats_on_time') }));
+  }
+  const slots = stats.slots.filter(s => s.avg_interval_days != null);
+  if (slots.length) {
+    const max = Math.max(...slots.map(s => Math.max(s.avg_interval_days, Number(s.threshold_days) || 0)));
+    charts.push(`<h3>${t('dash_stats_interval')}</h3>` + svgBars(slots.map(s => ({ label: s.name, value: s.avg_interval_days, mark: Number(s.threshold_days) || null, text: t('days', { n: s.avg_interval_days }) })), { max, title: t('dash_stats_interval') }));
+  }
+  if (stats.total.top_actors.length) {
+    const max = stats.total.top_actors[0].count;
+    charts.push(`<h3>${t('dash_stats_leaders')}</h3>` + svgBars(stats.total.top_actors.map(a => ({ label: a.actor, value: a.count })), { max, title: t('dash_stats_leaders') }));
+  }
+  return `<p class="tip">${escapeHtml(statsLine(stats.total, t))}</p>${charts.join('')}`;
+}
+
+async function renderDashboard(env, uid, view = parseDashboardView(new URLSearchParams()), { csrf = '' } = {}) {
+  const slots = await listSlots(env, uid ? Number(uid) : null);
+  const tz = uid ? await getUserTz(env, uid) : (env.DEFAULT_TZ || 'Europe/Moscow');
+  const rooms = Array.from(new Set(slots.map(s=>s.room).filter(Boolean))).sort((a, b) => a.localeCompare(b, 'ru'));
+  const groupIds = uid ? await listGroupsForUser(env, uid, { ensure: false }) : [];
+  const t = uid ? await getTranslator(env, uid) : translator(defaultLang(env));
+  const back = dashboardUrl(view);
+  const ctx = { tz, uid, groups: groupIds, back, csrf, t };
+
+  // Без JS фильтр работает через GET-параметры; строки не выкидываем, а прячем — чтобы скрипт мог показать их обратно
+  const rows = slots.slice().sort(compareDashboardSlots(view.sort)).map(s => dashboardRow(s, {
+    ...ctx,
+    hidden: (view.room && s.room !== view.room) || (view.status && s.status !== view.status),
+  })).join("");
+  const template = dashboardRow({ id: '__ID__', name: '', room: '', threshold_days: 3, status: 'OK', d: 0, score: 100, group_id: groupIds[0] || '', spare_clean: null, spare_dirty: null }, ctx);
+  const lowStock = slots.filter(isLowStock);
+  const lowBanner = lowStock.length
+    ? `<p class="flash" id="low-stock">${escapeHtml(t('dash_low_stock', { list: lowStock.map(s => `«${s.name}» (${s.spare_clean})`).join(', ') }))}</p>`
+    : '';
+
+  const redirect = formFields(ctx);
+  const roomBtns = rooms.map(r=>`<form method="post" action="/api/rooms/refresh" data-async="room" style="display:inline-block;margin:0 8px 8px 0">${redirect}<input type="hidden" name="room" value="${escapeHtml(r)}"><button>${escapeHtml(t('dash_refresh_room', { room: r }))}</button></form>`).join("");
+  const createGroup = groupIds.length > 1
+    ? `<select name="group_id">${optionsHtml(groupIds.map(g => [g, groupLabel(g, uid, t)]), groupIds[0])}</select>`
+    : '';
+
+  const groups = uid ? await listMembers(env, uid) : [];
+  const invite = uid ? await createInvite(env, uid) : null;
+  const events = await getStore(env).all('events');
+  const stats = computeStats(slots, events);
+  const notify = uid ? await getNotifySettings(env, uid) : null;
+  const hooks = uid ? await listWebhooks(env, uid) : [];
+  const trash = uid ? await listTrash(env, uid) : [];
+  const suggestions = uid ? computeSuggestions(slots, events, await kvEntries(env, 'thrdecl:')) : [];
+  const sugBanner = suggestions.length
+    ? `<div class="bar suggest" id="suggestions"><b>${t('dash_sug_title')}</b><ul>${suggestions.map(sug => {
+        const action = `/api/slots/${encodeURIComponent(sug.slot_id)}/threshold-suggestion`;
+        const fields = `${redirect}<input type="hidden" name="days" value="${sug.suggested_days}">`;
+        return `<li>${escapeHtml(suggestionLine(sug, t))}
+          <form class="inline" method="post" action="${action}">${fields}<button name="decision" value="accept">${escapeHtml(t('dash_sug_accept', { days: t('days', { n: sug.suggested_days }) }))}</button></form>
+          <form class="inline" method="post" action="${action}">${fields}<button name="decision" value="reject">${t('dash_sug_reject')}</button></form></li>`;
+      }).join('')}</ul></div>`
+    : '';
+  const groupBlocks = groups.map(g=>{
+    const members = g.members.map(m=>{
+      const kick = g.is_owner && String(m) !== String(uid)
+        ? `<form method="post" action="/api/groups/kick" style="display:inline">${redirect}<input type="hidden" name="tg_user_id" value="${escapeHtml(String(m))}"><button>${t('dash_kick')}</button></form>`
+        : '';
+      const mark = `tg:${m}` === g.group_id ? ' 👑' : '';
+      return `<li>${escapeHtml(String(m))}${mark} ${kick}</li>`;
+    }).join("");
+    const leave = g.is_owner ? '' : `<form method="post" action="/api/groups/leave">${redirect}<input type="hidden" name="group_id" value="${escapeHtml(g.group_id)}"><button>${t('dash_leave')}</button></form>`;
+    return `<div class="bar"><b>${escapeHtml(groupLabel(g.group_id, uid, t))}</b><ul>${members}</ul>${leave}</div>`;
   }).join("");
+  const inviteBlock = invite && invite.link
+    ? `<p class="tip">${t('dash_invite', { ttl: t('hours', { n: Math.round(invite.ttl_sec/3600) }) })} <input type="text" readonly size="40" value="${escapeHtml(invite.link)}"/></p>`
+    : '';
 
-  const roomBtns = rooms.map(r=>`<form method="post" action="/api/rooms/refresh" style="display:inline-block;margin:0 8px 8px 0"><input type="hidden" name="room" value="${escapeHtml(r)}"><button>Обновить: ${escapeHtml(r)}</button></form>`).join("");
+  const errors = Object.fromEntries(DASHBOARD_ERRORS.map(code => [code, t(`err_${code}`)]));
+  const flash = view.error ? errors[view.error] || view.error : '';
+  const config = {
+    emoji: Object.fromEntries(DASHBOARD_STATUSES.map(s => [s, statusEmoji(s)])), statuses: DASHBOARD_STATUSES, errors, lowStock: LOW_STOCK_SPARES,
+    text: { stock: t('stock_label'), confirmDelete: t('dash_confirm_delete'), trashed: t('dash_trashed'), saveFailed: t('dash_save_failed') },
+  };
 
-  return `<!doctype html><html lang="ru"><meta charset="utf-8"/><title>Towel Tracker</title>
-  <style>:root{color-scheme:dark}body{font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;padding:20px;background:#0b0b0b;color:#fafafa}
-  table{width:100%;border-collapse:collapse;margin-top:12px}th,td{border-bottom:1px solid #333;padding:8px}th{color:#bbb;text-align:left}
-  button{background:#1f6feb;border:0;color:#fff;padding:6px 10px;border-radius:8px;cursor:pointer}button:hover{opacity:.9}
-  .tip{color:#aaa}.bar{margin:12px 0}
-  form.inline{display:inline-flex;gap:8px;align-items:center}
-  input[type=text]{background:#111;border:1px solid #333;color:#fff;border-radius:8px;padding:6px 8px}
-  </style>
-  <h1>Свежесть слотов полотенец</h1>
+  return `<!doctype html><html lang="${t.lang}"><meta charset="utf-8"/><title>Towel Tracker</title>
+  <style>${PAGE_CSS}</style>
+  <h1>${t('dash_title')}</h1>
+  <form class="bar inline" method="post" action="/logout">${redirect}
+    <button>${t('dash_logout')}</button>
+    <button name="all" value="1" class="danger">${t('dash_logout_all')}</button>
+  </form>
+  <p id="flash" class="flash" role="alert"${flash ? '' : ' hidden'}>${escapeHtml(flash)}</p>
+  <form id="undo" class="flash" method="post" data-async="undo" hidden>${redirect}<span></span> <button>${t('undo_btn')}</button></form>
+  ${lowBanner}
+  ${sugBanner}
+  <datalist id="rooms">${rooms.map(r=>`<option value="${escapeHtml(r)}"></option>`).join("")}</datalist>
+  <form id="create" class="bar inline" method="post" action="/api/slots" data-async="create">${redirect}
+    <input type="text" name="name" required maxlength="${SLOT_NAME_MAX}" placeholder="${escapeHtml(t('dash_new_name'))}"/>
+    <input type="text" name="room" list="rooms" placeholder="${escapeHtml(t('dash_room'))}"/>
+    <label>${t('dash_threshold')} <input type="number" name="threshold_days" min="1" max="365" value="3" required/> ${t('dash_days_unit')}</label>
+    <label>${t('dash_spares')} <input type="number" name="spare_clean" min="0" max="999" placeholder="—"/></label>
+    ${createGroup}
+    <button>${t('dash_add')}</button>
+  </form>
   <div class="bar">
-    <form class="inline" method="post" action="/api/rooms/refresh">
-      <label>Быстро обновить комнату:&nbsp;</label>
-      <input name="room" type="text" placeholder="например: Ванная"/>
-      <button>Обновить все</button>
+    <form class="inline" method="post" action="/api/rooms/refresh" data-async="room">${redirect}
+      <label>${t('dash_quick_room')}&nbsp;</label>
+      <input name="room" type="text" list="rooms" placeholder="${escapeHtml(t('dash_quick_room_ph'))}"/>
+      <button>${t('dash_refresh_all')}</button>
     </form>
   </div>
   <div class="bar">${roomBtns}</div>
-  <table><thead><tr><th>Статус</th><th>Слот</th><th>Комната</th><th>Возраст, дн</th><th>Порог, дн</th><th>Оценка</th><th>Действие</th></tr></thead><tbody>${rows}</tbody></table>
+  <p class="bar tip">${t('dash_qr')} ${[...rooms.map(r => `<a href="/dashboard/qr?${new URLSearchParams({ room: r })}">${escapeHtml(r)}</a>`), `<a href="/dashboard/qr">${t('dash_qr_all')}</a>`].join(' · ')}</p>
+  <form id="view" class="bar inline" method="get" action="/dashboard">
+    <label>${t('dash_filter_room')} <select name="room"><option value="">${t('dash_filter_all')}</option>${optionsHtml(rooms.map(r => [r, r]), view.room)}</select></label>
+    <label>${t('dash_filter_status')} <select name="status"><option value="">${t('dash_filter_any')}</option>${optionsHtml(DASHBOARD_STATUSES.map(s => [s, t(`dash_status_${s}`)]), view.status)}</select></label>
+    <label>${t('dash_sort')} <select name="sort">${optionsHtml(DASHBOARD_SORTS.map(k => [k, t(`dash_sort_${k}`)]), view.sort)}</select></label>
+    <button data-nojs>${t('dash_show')}</button>
+  </form>
+  <table id="slots"><thead><tr>${['status', 'slot', 'room', 'age', 'threshold', 'score', 'stock', 'actions'].map(k => `<th>${t(`dash_th_${k}`)}</th>`).join('')}</tr></thead><tbody>${rows}</tbody></table>
+  <template id="slot-row">${template}</template>
+  <p class="tip"><a href="/dashboard/trash">${escapeHtml(t('dash_trash', { n: trash.length }))}</a></p>
+  ${notify ? notifySettingsForm(notify, redirect, t) : ''}
+  <h2>${t('dash_stats')}</h2>
+  ${statsSection(stats, t)}
+  <h2>${t('dash_household')}</h2>
+  ${groupBlocks}
+  ${inviteBlock}
+  <div class="bar">
+    <form class="inline" method="post" action="/api/groups/join">${redirect}
+      <label>${t('dash_join_label')}&nbsp;</label>
+      <input name="code" type="text" placeholder="${escapeHtml(t('dash_join_ph'))}"/>
+      <button>${t('dash_join')}</button>
+    </form>
+  </div>
+  <h2>${t('dash_webhooks')}</h2>
+  ${webhooksSection(hooks, redirect, tz, t)}
+  <h2>${t('dash_backup')}</h2>
+  <p class="bar">${t('dash_export')} <a href="/api/export?format=csv">CSV</a> · <a href="/api/export?format=json">JSON</a></p>
+  <form class="bar inline" method="post" action="/api/import" enctype="multipart/form-data">${redirect}
+    <input type="file" name="file" accept=".csv,.json,text/csv,application/json" required/>
+    <select name="conflict">${optionsHtml(IMPORT_CONFLICTS.map(c => [c, t(`dash_import_${c}`)]), 'skip')}</select>
+    <button>${t('dash_import')}</button>
+  </form>
+  <script>const DASH = ${JSON.stringify(config).replace(/</g, '\\u003c')};
+${DASHBOARD_JS}</script>
   </html>`;
 }
 
-function needAuthPage(env){
-  const hint = env.WORKER_URL? `Открой <code>/start</code> у бота и нажми «Веб-панель (вход)».` : `Админ: установите секрет <code>WORKER_URL</code> и переотправьте /start в боте`;
-  return htmlResponse(`<!doctype html><meta charset="utf-8"><title>Нужен вход</title><style>body{font-family:system-ui;padding:24px;background:#0b0b0b;color:#fafafa}</style><h1>Требуется вход</h1><p>${hint}</p>` ,401);
+// Клиентская часть панели: фильтр/сортировка без перезагрузки и оптимистичные правки через fetch.
+// Формы остаются обычными HTML-формами — без JS они отправляются как раньше и возвращаются редиректом.
+const DASHBOARD_JS = `(() => {
+  const tbody = document.querySelector('#slots tbody');
+  const view = document.getElementById('view');
+  const flash = document.getElementById('flash');
+  const tpl = document.getElementById('slot-row');
+  const undo = document.getElementById('undo');
+  let trashed = null; // строка последнего удалённого слота — ждёт «Вернуть» до следующего удаления
+  const field = (tr, f) => tr.querySelector('[data-f="' + f + '"]');
+  const input = (form, name) => form.elements.namedItem(name);
+
+  function showError(msg) {
+    flash.textContent = DASH.errors[msg] || msg || DASH.text.saveFailed;
+    flash.hidden = false;
+  }
+
+  const count = (v) => (v === '' || v == null ? null : Number(v));
+
+  function current(tr) {
+    return {
+      name: tr.dataset.name, room: tr.dataset.room, status: tr.dataset.status,
+      d: Number(tr.dataset.age), score: Number(tr.dataset.score),
+      threshold_days: field(tr, 'threshold').textContent,
+      spare_clean: count(tr.dataset.clean), spare_dirty: count(tr.dataset.dirty),
+    };
+  }
+
+  // «Обновил» как на сервере: полотенце с полки, снятое — в стирку
+  function fresh(tr) {
+    const s = { ...current(tr), status: 'OK', d: 0, score: 100 };
+    if (s.spare_clean != null) { s.spare_clean = Math.max(0, s.spare_clean - 1); s.spare_dirty += 1; }
+    return s;
+  }
+
+  function applyStock(tr, clean, dirty) {
+    const tracked = clean != null;
+    tr.dataset.clean = tracked ? clean : '';
+    tr.dataset.dirty = tracked ? dirty : '';
+    const low = tracked && clean <= DASH.lowStock;
+    const cell = field(tr, 'stock');
+    cell.textContent = tracked ? DASH.text.stock.replace('{icon}', low ? '⚠️' : '🧺').replace('{clean}', clean).replace('{dirty}', dirty) : '—';
+    cell.classList.toggle('low', low);
+    tr.querySelector('form[data-async="laundry"]').hidden = !(tracked && dirty > 0);
+  }
+
+  function applySlot(tr, s) {
+    tr.dataset.name = s.name;
+    tr.dataset.room = s.room || '';
+    tr.dataset.status = s.status;
+    tr.dataset.age = s.d;
+    tr.dataset.score = Math.round(s.score);
+    field(tr, 'emoji').textContent = DASH.emoji[s.status] || '';
+    const wake = field(tr, 'wake');
+    if (wake && s.status !== 'SNOOZED') wake.remove();
+    field(tr, 'name').textContent = s.name;
+    field(tr, 'room').textContent = s.room || '—';
+    field(tr, 'age').textContent = s.d;
+    field(tr, 'threshold').textContent = s.threshold_days;
+    field(tr, 'score').textContent = Math.round(s.score) + '%';
+    applyStock(tr, s.spare_clean, s.spare_dirty);
+    const edit = tr.querySelector('form[data-async="update"]');
+    input(edit, 'name').value = s.name;
+    input(edit, 'room').value = s.room || '';
+    input(edit, 'threshold_days').value = s.threshold_days;
+    if (input(edit, 'group_id') && s.group_id) input(edit, 'group_id').value = s.group_id;
+    input(edit, 'spare_clean').value = s.spare_clean ?? '';
+    input(edit, 'spare_dirty').value = s.spare_clean != null ? s.spare_dirty : '';
+  }
+
+  function setId(tr, id) {
+    const swap = (el, attr) => el.setAttribute(attr, el.getAttribute(attr).replace('__ID__', encodeURIComponent(id)));
+    tr.dataset.id = id;
+    tr.querySelectorAll('form').forEach((f) => swap(f, 'action'));
+    swap(field(tr, 'name'), 'href');
+  }
+
+  const snapshot = (tr) => ({ tr, html: tr.innerHTML, data: { ...tr.dataset } });
+  const restore = (snap) => { snap.tr.innerHTML = snap.html; Object.assign(snap.tr.dataset, snap.data); };
+
+  function addRoom(room) {
+    const select = input(view, 'room');
+    if (!room || [...select.options].some((o) => o.value === room)) return;
+    select.add(new Option(room, room));
+    document.getElementById('rooms').appendChild(new Option('', room));
+  }
+
+  async function send(form) {
+    const res = await fetch(form.action, {
+      method: 'POST',
+      body: new URLSearchParams(new FormData(form)),
+      headers: { Accept: 'application/json' },
+      credentials: 'same-origin',
+    });
+    if (res.status === 401) location.reload();
+    if (!res.ok) throw new Error((await res.text()).trim() || String(res.status));
+    return res.json();
+  }
+
+  const actions = {
+    async refresh(form, tr) {
+      const snap = snapshot(tr);
+      applySlot(tr, fresh(tr));
+      try { await send(form); } catch (e) { restore(snap); throw e; }
+    },
+    async update(form, tr) {
+      const snap = snapshot(tr);
+      const data = new FormData(form);
+      form.closest('details').open = false;
+      const clean = count(data.get('spare_clean'));
+      applySlot(tr, { ...current(tr), name: data.get('name').trim(), room: data.get('room').trim(), threshold_days: data.get('threshold_days'),
+        spare_clean: clean, spare_dirty: clean == null ? null : count(data.get('spare_dirty')) ?? 0 });
+      try {
+        const slot = await send(form);
+        applySlot(tr, slot);
+        addRoom(slot.room);
+      } catch (e) { restore(snap); throw e; }
+    },
+    async laundry(form, tr) {
+      const snap = snapshot(tr);
+      const s = current(tr);
+      applyStock(tr, s.spare_clean + s.spare_dirty, 0);
+      try {
+        const res = await send(form);
+        applyStock(tr, res.spare_clean, res.spare_dirty);
+      } catch (e) { restore(snap); throw e; }
+    },
+    async delete(form, tr) {
+      if (!confirm(DASH.text.confirmDelete.replace('{name}', tr.dataset.name))) return;
+      tr.hidden = true;
+      tr.dataset.gone = '1';
+      try { await send(form); } catch (e) { delete tr.dataset.gone; throw e; }
+      if (trashed) trashed.remove();
+      trashed = tr;
+      undo.action = '/api/slots/' + encodeURIComponent(tr.dataset.id) + '/restore';
+      undo.querySelector('span').textContent = DASH.text.trashed.replace('{name}', tr.dataset.name);
+      undo.hidden = false;
+    },
+    async undo(form) {
+      const tr = trashed;
+      if (!tr) return;
+      const slot = await send(form);
+      trashed = null;
+      form.hidden = true;
+      delete tr.dataset.gone;
+      applySlot(tr, slot);
+    },
+    async create(form) {
+      const data = new FormData(form);
+      const tr = tpl.content.firstElementChild.cloneNode(true);
+      const clean = count(data.get('spare_clean'));
+      applySlot(tr, { name: data.get('name').trim(), room: data.get('room').trim(), threshold_days: data.get('threshold_days') || 3, status: 'OK', d: 0, score: 100, group_id: data.get('group_id'), spare_clean: clean, spare_dirty: clean == null ? null : 0 });
+      tr.classList.add('pending');
+      tbody.appendChild(tr);
+      applyView();
+      try {
+        const slot = await send(form);
+        setId(tr, slot.id);
+        applySlot(tr, slot);
+        tr.classList.remove('pending');
+        addRoom(slot.room);
+        form.reset();
+      } catch (e) { tr.remove(); throw e; }
+    },
+    async room(form) {
+      const room = new FormData(form).get('room').trim();
+      const snaps = [...tbody.rows].filter((tr) => tr.dataset.room === room).map(snapshot);
+      snaps.forEach(({ tr }) => applySlot(tr, fresh(tr)));
+      try { await send(form); } catch (e) { snaps.forEach(restore); throw e; }
+    },
+  };
+
+  const rank = (tr) => DASH.statuses.indexOf(tr.dataset.status);
+  const byName = (a, b) => a.dataset.name.localeCompare(b.dataset.name, 'ru');
+  const compare = {
+    status: (a, b) => rank(a) - rank(b) || a.dataset.score - b.dataset.score || byName(a, b),
+    name: byName,
+    room: (a, b) => a.dataset.room.localeCompare(b.dataset.room, 'ru') || byName(a, b),
+    age: (a, b) => b.dataset.age - a.dataset.age || byName(a, b),
+    stock: (a, b) => (count(a.dataset.clean) ?? Infinity) - (count(b.dataset.clean) ?? Infinity) || byName(a, b),
+  };
+
+  function applyView() {
+    const room = input(view, 'room').value;
+    const status = input(view, 'status').value;
+    const rows = [...tbody.rows];
+    rows.forEach((tr) => {
+      tr.hidden = Boolean(tr.dataset.gone) || Boolean(room && tr.dataset.room !== room) || Boolean(status && tr.dataset.status !== status);
+    });
+    rows.sort(compare[input(view, 'sort').value] || compare.status).forEach((tr) => tbody.appendChild(tr));
+  }
+
+  document.addEventListener('submit', (ev) => {
+    const form = ev.target;
+    const action = actions[form.dataset.async];
+    if (!action) return;
+    ev.preventDefault();
+    flash.hidden = true;
+    action(form, form.closest('tr')).then(applyView, (e) => { showError(e.message); applyView(); });
+  });
+
+  view.addEventListener('change', () => {
+    applyView();
+    const q = new URLSearchParams();
+    for (const [k, v] of new FormData(view)) if (v && !(k === 'sort' && v === 'status')) q.set(k, v);
+    const url = '/dashboard' + (String(q) ? '?' + q : '');
+    history.replaceState(null, '', url);
+    document.querySelectorAll('input[name="redirect"]').forEach((el) => { el.value = url; });
+  });
+  view.querySelector('[data-nojs]').hidden = true;
+})();`;
+
+async function renderSlotHistory(env, uid, id, query) {
+  const history = await getSlotHistory(env, id, { ...query, viewer: String(uid) });
+  const tz = await getUserTz(env, uid);
+  const t = await getTranslator(env, uid);
+  const rows = history.items.map(e=>`<tr>
+      <td>${escapeHtml(formatDateTime(e.ts, tz, t.lang))}</td>
+      <td>${escapeHtml(EVENT_ACTIONS.includes(e.action) ? t(`action_${e.action}`) : e.action)}</td>
+      <td>${escapeHtml(describeEvent(e, uid, tz, t))}</td>
+      <td>${e.actor ? escapeHtml(e.actor) : t('system')}</td>
+    </tr>`).join("");
+  const base = `/dashboard/slots/${encodeURIComponent(id)}`;
+  const pageLink = (offset, label) => {
+    const qs = new URLSearchParams({ offset: String(offset), limit: String(history.limit) });
+    if (query.action) qs.set('action', query.action);
+    if (query.actor) qs.set('actor', query.actor);
+    return `<a href="${base}?${qs}">${label}</a>`;
+  };
+  const nav = [
+    history.offset > 0 ? pageLink(Math.max(0, history.offset - history.limit), t('hist_newer')) : '',
+    history.next_offset != null ? pageLink(history.next_offset, t('hist_older')) : '',
+  ].filter(Boolean).join(' &nbsp; ');
+  const options = ['', ...EVENT_ACTIONS].map(a=>`<option value="${a}"${a === query.action ? ' selected' : ''}>${escapeHtml(a ? t(`action_${a}`) : t('hist_all_actions'))}</option>`).join("");
+  const s = history.slot;
+
+  const meta = t('hist_meta', {
+    room: s.room || '—', age: t('days', { n: daysSince(s.last_change_at) }), threshold: t('days', { n: s.threshold_days }),
+    when: formatDateTime(s.last_change_at, tz, t.lang),
+  });
+
+  return `<!doctype html><html lang="${t.lang}"><meta charset="utf-8"/><title>${escapeHtml(t('hist_title', { name: s.name }))}</title>
+  <style>${PAGE_CSS}</style>
+  <p><a href="/dashboard">${t('back_to_dashboard')}</a></p>
+  <h1>${statusEmoji(s.status)} ${escapeHtml(s.name)}</h1>
+  <p class="tip">${escapeHtml(meta)}</p>
+  <div class="bar">
+    <form class="inline" method="get" action="${base}">
+      <select name="action">${options}</select>
+      <input name="actor" type="text" placeholder="${escapeHtml(t('hist_actor_ph'))}" value="${escapeHtml(query.actor)}"/>
+      <button>${t('hist_filter')}</button>
+    </form>
+  </div>
+  <table><thead><tr><th>${t('hist_th_when')}</th><th>${t('hist_th_action')}</th><th>${t('hist_th_what')}</th><th>${t('hist_th_who')}</th></tr></thead><tbody>${rows || `<tr><td colspan="4" class="tip">${t('hist_none')}</td></tr>`}</tbody></table>
+  <p class="tip">${t('hist_total', { n: history.total })} ${nav}</p>
+  </html>`;
+}
+
+// Корзина: что удалено, когда исчезнет насовсем, и кнопка «Вернуть» (обычная форма с редиректом обратно сюда)
+async function renderTrash(env, uid, error = '', { csrf = '' } = {}) {
+  const trash = await listTrash(env, uid);
+  const tz = await getUserTz(env, uid);
+  const t = await getTranslator(env, uid);
+  const redirect = formFields({ back: '/dashboard/trash', csrf });
+  const days = trashRetentionDays(env);
+  const flash = error ? (DASHBOARD_ERRORS.includes(error) ? t(`err_${error}`) : error) : '';
+  const rows = trash.map(s => `<tr>
+      <td>${escapeHtml(s.name)}</td>
+      <td>${escapeHtml(s.room || '—')}</td>
+      <td>${escapeHtml(s.deleted_at ? formatDateTime(s.deleted_at, tz, t.lang) : '—')}</td>
+      <td>${escapeHtml(s.purge_at ? formatDateTime(s.purge_at, tz, t.lang) : '—')}</td>
+      <td><form method="post" action="/api/slots/${encodeURIComponent(s.id)}/restore">${redirect}<button>${t('trash_restore')}</button></form></td>
+    </tr>`).join("");
+
+  return `<!doctype html><html lang="${t.lang}"><meta charset="utf-8"/><title>${t('trash_title')}</title>
+  <style>${PAGE_CSS}</style>
+  <p><a href="/dashboard">${t('back_to_dashboard')}</a></p>
+  <h1>🗑 ${t('trash_title')}</h1>
+  <p class="tip">${escapeHtml(days ? t('trash_hint', { days: t('days', { n: days }) }) : t('trash_hint_forever'))}</p>
+  ${flash ? `<p class="flash" role="alert">${escapeHtml(flash)}</p>` : ''}
+  <table><thead><tr><th>${t('dash_th_slot')}</th><th>${t('dash_th_room')}</th><th>${t('trash_th_deleted')}</th><th>${t('trash_th_purge')}</th><th></th></tr></thead><tbody>${rows || `<tr><td colspan="5" class="tip">${t('trash_empty')}</td></tr>`}</tbody></table>
+  </html>`;
+}
+
+// Страницы без сессии: язык берём из Accept-Language браузера
+function joinHintPage(code, t){
+  return htmlResponse(`<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><title>${t('page_join_title')}</title><style>body{font-family:system-ui;padding:24px;background:#0b0b0b;color:#fafafa}code{word-break:break-all}</style><h1>${t('page_join_h1')}</h1><p>${t('page_join_send')}</p><p><code>/join ${escapeHtml(code)}</code></p><p>${t('page_join_or')}</p>`, 401);
+}
+
+function joinConfirmPage(code, group, csrf, t){
+  return htmlResponse(`<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><title>${t('page_join_title')}</title><style>body{font-family:system-ui;padding:24px;background:#0b0b0b;color:#fafafa}</style><h1>${t('page_join_h1')}</h1><p>${t('page_join_confirm', { group: escapeHtml(group) })}</p><form method="post" action="/api/groups/join"><input type="hidden" name="code" value="${escapeHtml(code)}"/>${formFields({ back: '/dashboard', csrf })}<button>${t('page_join_button')}</button></form><p><a href="/dashboard">${t('back_to_dashboard')}</a></p>`);
+}
+
+function needAuthPage(env, t){
+  const hint = env.WORKER_URL? t('page_needauth_hint') : t('page_needauth_admin');
+  return htmlResponse(`<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><title>${t('page_needauth_title')}</title><style>body{font-family:system-ui;padding:24px;background:#0b0b0b;color:#fafafa}</style><h1>${t('page_needauth_h1')}</h1><p>${hint}</p>` ,401);
+}
+
+function loginFailedPage(env, t){
+  return htmlResponse(`<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><title>${t('page_loginfail_title')}</title><style>body{font-family:system-ui;padding:24px;background:#0b0b0b;color:#fafafa}</style><h1>${t('page_loginfail_h1')}</h1><p>${t('page_loginfail_text', { minutes: MAGIC_LINK_TTL_SEC/60 })}</p>`, 401);
 }
 
 function escapeHtml(s=''){return s.replace(/[&<>"]/g,c=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;"}[c]));}
 function htmlResponse(html, status=200){return new Response(html,{status,headers:{'content-type':'text/html; charset=UTF-8'}})}
-function json(obj){return new Response(JSON.stringify(obj),{headers:{'content-type':'application/json; charset=UTF-8'}})}
+function json(obj, status=200){return new Response(JSON.stringify(obj),{status,headers:{'content-type':'application/json; charset=UTF-8'}})}
+
+// HTML-форма без JS ждёт редирект обратно в панель, fetch из панели шлёт Accept: application/json
+function wantsRedirect(req){
+  const ct=(req.headers.get('content-type')||'').toLowerCase();
+  const accept=(req.headers.get('accept')||'').toLowerCase();
+  const isForm=ct.includes('application/x-www-form-urlencoded')||ct.includes('multipart/form-data');
+  return isForm && !accept.includes('application/json');
+}
+function formRedirect(body, error){
+  const back=typeof body?.redirect==='string'?body.redirect:'';
+  // только локальный путь: «//host» и «/\host» браузер считает внешним адресом
+  let to=/^\/(?![/\\])\S*$/.test(back)?back:'/dashboard';
+  if (error) to+=(to.includes('?')?'&':'?')+'error='+encodeURIComponent(error);
+  return new Response(null,{status:303,headers:{Location:to}});
+}
+function apiResult(req, body, obj){return wantsRedirect(req)?formRedirect(body):json(obj)}
+function apiError(req, body, status, message){return wantsRedirect(req)?formRedirect(body, message):new Response(message,{status})}
+// Версия слота, которую видел клиент: заголовок If-Match ("3", W/"3") или поле version; '*' и пусто — без проверки
+function expectedVersion(req, body = {}){
+  const tag=(req.headers.get('if-match')||'').trim();
+  const m=/^(?:W\/)?"?(\d+)"?$/.exec(tag);
+  if (m) return Number(m[1]);
+  return body.version != null && body.version !== '' ? body.version : null;
+}
 
 /* =========================
  * Крипто/утилиты
  * ========================= */
 function b64ToBytes(b64){ b64=b64.replace(/-/g,'+').replace(/_/g,'/'); const pad = b64.length%4===2?'==':b64.length%4===3?'=':''; const s=b64+pad; const bin=atob(s); const out=new Uint8Array(bin.length); for(let i=0;i<bin.length;i++) out[i]=bin.charCodeAt(i); return out; }
+function bytesToHex(bytes){ return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''); }
 function chunk64(s){ return s.match(/.{1,64}/g)?.join('\n') || s; }
 function ulid(){ const now=Date.now().toString(36); const rand=crypto.getRandomValues(new Uint8Array(16)); return (now+Array.from(rand).map(b=>b.toString(36).padStart(2,'0')).join('')).slice(0,26); }
 
@@ -831,31 +6551,77 @@ function ulid(){ const now=Date.now().toString(36); const rand=crypto.getRandomV
  * Telegram API
  * ========================= */
 async function tgSend(env, chat_id, text, keyboard = [], opts = {}) {
-  const payload = { chat_id, text, parse_mode: opts.parse_mode || 'HTML', reply_markup: keyboard.length ? { inline_keyboard: keyboard } : undefined, disable_web_page_preview: true };
-  await fetch(`https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(payload) });
+  const reply_markup = keyboard.length ? { inline_keyboard: keyboard } : opts.force_reply ? { force_reply: true } : undefined;
+  const payload = { chat_id, text, parse_mode: opts.parse_mode || 'HTML', reply_markup, disable_web_page_preview: true };
+  await apiFetch(env, `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(payload) });
+}
+async function tgSendDocument(env, chat_id, filename, content, type, caption = '') {
+  const form = new FormData();
+  form.append('chat_id', String(chat_id));
+  form.append('document', new Blob([content], { type }), filename);
+  if (caption) { form.append('caption', caption); form.append('parse_mode', 'HTML'); }
+  await apiFetch(env, `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendDocument`, { method: 'POST', body: form });
+}
+async function tgChatMemberStatus(env, chat_id, user_id) {
+  try {
+    const res = await apiFetch(env, `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/getChatMember`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ chat_id, user_id }) });
+    const data = await res.json();
+    return data.ok ? data.result.status : '';
+  } catch (e) {
+    console.error('getChatMember failed', e);
+    return '';
+  }
+}
+// Имя бота — чтобы отличать /list@наш_бот от команд другим ботам; getMe спрашиваем раз на изолят.
+// Не узнали (сбой API) — пустая строка: тогда упоминание просто срезаем, как раньше
+let botUsernameCache = '';
+async function tgBotUsername(env) {
+  if (botUsernameCache) return botUsernameCache;
+  try {
+    const res = await apiFetch(env, `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/getMe`, { method: 'POST' });
+    const data = await res.json();
+    if (data.ok && data.result.username) botUsernameCache = data.result.username;
+  } catch (e) {
+    console.error('getMe failed', e);
+  }
+  return botUsernameCache;
 }
 async function tgAnswer(env, cbQueryId, text = '', showAlert = false) {
-  await fetch(`https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/answerCallbackQuery`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ callback_query_id: cbQueryId, text, show_alert: showAlert }) });
+  await apiFetch(env, `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/answerCallbackQuery`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ callback_query_id: cbQueryId, text, show_alert: showAlert }) });
 }
 
 /* =========================
  * Диагностика
  * ========================= */
-async function runDiag(env){
+async function runDiag(env, t){
   const lines=[]; const ok=(k,v,e='')=>`<tr><td>${escapeHtml(k)}</td><td>${v?'✓':'✗'}</td><td>${escapeHtml(e)}</td></tr>`;
   lines.push(ok('SPREADSHEET_ID', !!env.SPREADSHEET_ID));
+  if (isDevMode(env)) lines.push(ok('DEV_MODE', true, 'Google/Telegram — dev.mjs'));
   lines.push(ok('GOOGLE_CLIENT_EMAIL', !!env.GOOGLE_CLIENT_EMAIL, env.GOOGLE_CLIENT_EMAIL||''));
   lines.push(ok('GOOGLE_PRIVATE_KEY', !!env.GOOGLE_PRIVATE_KEY, env.GOOGLE_PRIVATE_KEY?'set':''));
   lines.push(ok('WEB_JWT_SECRET', !!env.WEB_JWT_SECRET));
   lines.push(ok('WORKER_URL', !!env.WORKER_URL, env.WORKER_URL||''));
-  let sheetsOk=false, note='';
-  try { const vals=await sheetsGet(env,'slots!A1:F1'); sheetsOk=Array.isArray(vals); note=JSON.stringify(vals||[]); } catch(e){ sheetsOk=false; note=(e&&e.message)||String(e); }
-  lines.push(ok('Sheets — slots!A1:F1', sheetsOk, note));
-  let accessOk=false, accessNote='';
-  try { const vals=await sheetsGet(env,'access!A1:B1'); accessOk=Array.isArray(vals); accessNote=JSON.stringify(vals||[]); }
-  catch(e){ accessOk=false; accessNote=(e&&e.message)||String(e); }
-  lines.push(ok('Sheets — access!A1:B1', accessOk, accessNote));
-  return `<!doctype html><meta charset="utf-8"><title>Диагностика</title><style>body{font-family:system-ui;padding:20px;background:#0b0b0b;color:#fafafa}table{border-collapse:collapse}td,th{border:1px solid #333;padding:6px 8px}</style><h1>Диагностика</h1><table><thead><tr><th>Проверка</th><th>OK?</th><th>Детали</th></tr></thead><tbody>${lines.join('')}</tbody></table>`;
+  const storage=String(env.STORAGE||'sheets').toLowerCase();
+  lines.push(ok('STORAGE', storage==='sheets'||storage==='d1', storage));
+  if (storage==='d1') {
+    lines.push(ok(t('diag_d1_binding'), !!env.DB));
+    for (const table of ['slots','access']) {
+      let dbOk=false, dbNote='';
+      try { const rows=await getStore(env).all(table); dbOk=true; dbNote=t('diag_rows', { n: rows.length }); } catch(e){ dbOk=false; dbNote=(e&&e.message)||String(e); }
+      lines.push(ok(`D1 — ${table}`, dbOk, dbNote));
+    }
+  } else {
+    // Заголовки сверяем до чтения kv: в режиме разработки хранилище само досоздаёт пропавшие листы
+    let report=null, reportError='';
+    try { report=await checkSheetsSchema(env); } catch(e){ reportError=(e&&e.message)||String(e); }
+    if (!report) lines.push(ok('Sheets', false, reportError));
+    else for (const r of report) lines.push(ok(`Sheets — ${r.table}`, r.state==='ok', describeSheetState(r, t)));
+  }
+  let stored=null, versionNote='';
+  try { stored=await storedSchemaVersion(env); } catch(e){ versionNote=(e&&e.message)||String(e); }
+  if (stored!=null) versionNote=t(stored===SCHEMA_VERSION?'diag_schema_current':'diag_schema_outdated', { stored, expected: SCHEMA_VERSION });
+  lines.push(ok(t('diag_schema'), stored===SCHEMA_VERSION, versionNote));
+  return `<!doctype html><html lang="${t.lang}"><meta charset="utf-8"><title>${t('diag_title')}</title><style>body{font-family:system-ui;padding:20px;background:#0b0b0b;color:#fafafa}table{border-collapse:collapse}td,th{border:1px solid #333;padding:6px 8px}</style><h1>${t('diag_title')}</h1><table><thead><tr><th>${t('diag_check')}</th><th>OK?</th><th>${t('diag_details')}</th></tr></thead><tbody>${lines.join('')}</tbody></table>`;
 }
 
 async function readBody(req){
@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, seedSheet, request, sessionFor, rows, tgMessage, tgCallback, sentTo, devTelegram } from './helpers.mjs';
+import { DEV_BOT_USERNAME, setChatMemberStatus } from '../src/dev.mjs';
+
+const owner = sessionFor(701);
+const stranger = sessionFor(702);
+
+let slotId;
+beforeEach(async () => {
+  resetSheets();
+  const res = await request('/api/slots', { method: 'POST', session: owner, body: { name: 'Hand towel', room: 'Bathroom', threshold_days: 3 } });
+  assert.equal(res.status, 200);
+  slotId = (await res.json()).id;
+});
+
+function addMember(groupId, userId) {
+  seedSheet('access', [['group_id', 'tg_user_id'], [groupId, String(userId)]]);
+}
+
+test('владелец обновляет свой слот', async () => {
+  const res = await request(`/api/slots/${slotId}/refresh`, { method: 'POST', session: owner, body: {} });
+  assert.equal(res.status, 200);
+  assert.deepEqual(rows('events').map(e => [e.action, e.actor]), [['CREATE', '701'], ['REFRESH', '701']]);
+});
+
+test('чужой не может обновить слот', async () => {
+  const before = rows('slots')[0].last_change_at;
+  const res = await request(`/api/slots/${slotId}/refresh`, { method: 'POST', session: stranger, body: {} });
+  assert.equal(res.status, 403);
+  assert.equal(rows('slots')[0].last_change_at, before);
+  assert.ok(!rows('events').some(e => e.action === 'REFRESH'));
+});
+
+test('чужой не может удалить слот', async () => {
+  const res = await request(`/api/slots/${slotId}`, { method: 'DELETE', session: stranger });
+  assert.equal(res.status, 403);
+  assert.equal(rows('slots').length, 1);
+});
+
+test('участник группы владельца обновляет и удаляет слот', async () => {
+  addMember('tg:701', 702);
+  const refreshed = await request(`/api/slots/${slotId}/refresh`, { method: 'POST', session: stranger, body: {} });
+  assert.equal(refreshed.status, 200);
+  const deleted = await request(`/api/slots/${slotId}`, { method: 'DELETE', session: stranger });
+  assert.equal(deleted.status, 200);
+  assert.equal(rows('slots')[0].archived, '1');
+  assert.deepEqual(rows('events').filter(e => e.action !== 'CREATE').map(e => [e.action, e.actor]), [['REFRESH', '702'], ['DELETE', '702']]);
+});
+
+test('несуществующий слот — 404, а не 403', async () => {
+  const res = await request('/api/slots/nope/refresh', { method: 'POST', session: stranger, body: {} });
+  assert.equal(res.status, 404);
+});
+
+test('без сессии — 401', async () => {
+  const res = await request(`/api/slots/${slotId}`, { method: 'DELETE' });
+  assert.equal(res.status, 401);
+  assert.equal(rows('slots').length, 1);
+});
+
+const groupChat = { id: -1001, type: 'supergroup' };
+
+test('в чате бот отвечает на /list@своё_имя и молчит на команды другим ботам', async () => {
+  await tgMessage(703, '/list@other_bot', { chat: groupChat });
+  assert.equal(sentTo(groupChat.id).length, 0);
+  await tgMessage(703, `/list@${DEV_BOT_USERNAME}`, { chat: groupChat });
+  assert.equal(sentTo(groupChat.id).length, 1);
+});
+
+test('перенести слот чата в другую группу может только админ чата', async () => {
+  await tgMessage(703, '/start'); // личная группа tg:703 — куда переносить
+  await tgMessage(703, '/add Kitchen towel | Kitchen | 3', { chat: groupChat });
+  const slot = rows('slots').find(s => s.name === 'Kitchen towel');
+  assert.equal(slot.group_id, 'tg:-1001');
+  await tgCallback(703, `setgrp:${slot.id}:tg:703`, { chat: groupChat });
+  const answer = devTelegram().filter(c => c.method === 'answerCallbackQuery').at(-1);
+  assert.equal(answer.show_alert, true);
+  assert.equal(rows('slots').find(s => s.id === slot.id).group_id, 'tg:-1001');
+
+  setChatMemberStatus(groupChat.id, 703, 'administrator');
+  await tgCallback(703, `setgrp:${slot.id}:tg:703`, { chat: groupChat });
+  assert.equal(rows('slots').find(s => s.id === slot.id).group_id, 'tg:703');
+});
+
+test('исключённый не возвращается в группу по старому коду приглашения', async () => {
+  await tgMessage(100, '/invite');
+  const code = sentTo(100).at(-1).text.match(/\/join ([\w.-]+)/)[1];
+  const member = () => rows('access').some(r => r.group_id === 'tg:100' && r.tg_user_id === '200');
+  await tgMessage(200, `/join ${code}`);
+  assert.equal(member(), true);
+  await tgMessage(100, '/kick 200');
+  assert.equal(member(), false);
+  await tgMessage(200, `/join ${code}`);
+  assert.equal(member(), false);
+  assert.match(sentTo(200).at(-1).text, /\/invite/);
+});
@@ -0,0 +1,55 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, tgMessage, sentTo, rows, request, sessionFor } from './helpers.mjs';
+
+beforeEach(resetSheets);
+
+test('/add Имя | Комната | дни создаёт слот', async () => {
+  await tgMessage(601, '/add Hand towel | Bathroom | 3');
+  const [slot] = rows('slots');
+  assert.equal(slot.name, 'Hand towel');
+  assert.equal(slot.room, 'Bathroom');
+  assert.equal(slot.threshold_days, '3');
+  assert.ok(slot.last_change_at);
+  assert.match(sentTo(601).at(-1).text, /Hand towel/);
+});
+
+test('пробелы вокруг разделителей не попадают в поля', async () => {
+  await tgMessage(601, '/add   Банное  |  Ванная   |7');
+  const [slot] = rows('slots');
+  assert.equal(slot.name, 'Банное');
+  assert.equal(slot.room, 'Ванная');
+  assert.equal(slot.threshold_days, '7');
+});
+
+for (const text of ['/add Hand towel | Bathroom', '/add Hand towel | Bathroom | three', '/add Hand towel | Bathroom | 1000', '/add | Bathroom | 3']) {
+  test(`неверный формат «${text}» — подсказка вместо слота`, async () => {
+    await tgMessage(601, text);
+    assert.equal(rows('slots').length, 0);
+    assert.match(sentTo(601).at(-1).text, /\/add Hand towel \| Bathroom \| 3/);
+  });
+}
+
+test('/add без аргументов запускает пошаговый мастер', async () => {
+  await tgMessage(601, '/add');
+  assert.equal(rows('slots').length, 0);
+  assert.equal(sentTo(601).length, 1);
+  assert.doesNotMatch(sentTo(601)[0].text, /\/add Hand towel/);
+});
+
+test('предел длины названия один для бота, панели и API', async () => {
+  const long = 'x'.repeat(101);
+  await tgMessage(601, `/add ${long} | Bathroom | 3`);
+  assert.match(sentTo(601).at(-1).text, /100/);
+  await tgMessage(601, '/add');
+  await tgMessage(601, long);
+  assert.match(sentTo(601).at(-1).text, /100/);
+  const session = sessionFor(601);
+  assert.equal((await request('/api/slots', { method: 'POST', session, body: { name: long } })).status, 400);
+  assert.equal((await request('/api/v1/slots', { method: 'POST', session, body: { name: long } })).status, 400);
+  assert.equal(rows('slots').length, 0);
+
+  await tgMessage(601, `/add ${long.slice(1)} | Bathroom | 3`);
+  assert.equal(rows('slots').length, 1);
+  assert.match(await (await request('/dashboard', { session })).text(), /name="name" required maxlength="100"/);
+});
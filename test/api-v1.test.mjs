@@ -0,0 +1,140 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, seedSheet, request, sessionFor, rows } from './helpers.mjs';
+
+const owner = sessionFor(1001);
+const stranger = sessionFor(1002);
+
+beforeEach(resetSheets);
+
+async function createSlot(body = { name: 'Hand towel', room: 'Bathroom', threshold_days: 3 }) {
+  const res = await request('/api/v1/slots', { method: 'POST', session: owner, body });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+test('создание, чтение, PATCH и удаление слота', async () => {
+  const slot = await createSlot();
+  assert.equal(slot.threshold_days, 3);
+  assert.equal(slot.status, 'OK');
+
+  const got = await request(`/api/v1/slots/${slot.id}`, { session: owner });
+  assert.equal((await got.json()).name, 'Hand towel');
+
+  const patched = await request(`/api/v1/slots/${slot.id}`, { method: 'PATCH', session: owner, body: { threshold_days: 5, spare_clean: 2 } });
+  assert.equal(patched.status, 200);
+  const after = await patched.json();
+  assert.equal(after.threshold_days, 5);
+  assert.equal(after.spare_clean, 2);
+  assert.equal(after.name, 'Hand towel');
+
+  const off = await request(`/api/v1/slots/${slot.id}`, { method: 'PATCH', session: owner, body: { spare_clean: null } });
+  assert.equal((await off.json()).spare_clean, null);
+
+  const deleted = await request(`/api/v1/slots/${slot.id}`, { method: 'DELETE', session: owner });
+  assert.deepEqual(await deleted.json(), { ok: true });
+  assert.equal(rows('slots')[0].archived, '1');
+  assert.equal((await request(`/api/v1/slots/${slot.id}`, { session: owner })).status, 404);
+});
+
+test('неверный вход — 400 с перечнем полей', async () => {
+  const res = await request('/api/v1/slots', { method: 'POST', session: owner, body: { name: ' ', threshold_days: 'abc', color: 'red' } });
+  assert.equal(res.status, 400);
+  const { error } = await res.json();
+  assert.equal(error.code, 'invalid_request');
+  assert.deepEqual(error.details.map(d => [d.in, d.field]), [['body', 'name'], ['body', 'threshold_days'], ['body', 'color']]);
+  assert.equal(rows('slots').length, 0);
+});
+
+test('битая %-последовательность в пути — 400, а не 500', async () => {
+  const res = await request('/api/v1/slots/%ZZ/history', { session: owner });
+  assert.equal(res.status, 400);
+  const { error } = await res.json();
+  assert.equal(error.code, 'invalid_request');
+  assert.deepEqual(error.details.map(d => [d.in, d.field]), [['path', 'id']]);
+  for (const [path, method] of [['/api/slots/%ZZ', 'POST'], ['/api/slots/%ZZ', 'DELETE'], ['/api/slots/%ZZ/restore', 'POST'], ['/api/slots/%ZZ/quick-link', 'POST']]) {
+    assert.equal((await request(path, { method, session: owner, body: {} })).status, 400, `${method} ${path}`);
+  }
+});
+
+test('порог вне 1…365 и пустой PATCH отклоняются', async () => {
+  const slot = await createSlot();
+  for (const body of [{ threshold_days: 0 }, { threshold_days: 366 }, { threshold_days: 2.5 }, {}]) {
+    const res = await request(`/api/v1/slots/${slot.id}`, { method: 'PATCH', session: owner, body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
+
+test('битый JSON и не-JSON тело', async () => {
+  const broken = await request('/api/v1/slots', { method: 'POST', session: owner, headers: { 'content-type': 'application/json' }, body: '{"name":' });
+  assert.equal(broken.status, 400);
+  assert.equal((await broken.json()).error.code, 'invalid_json');
+  const form = await request('/api/v1/slots', { method: 'POST', session: owner, headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: 'name=Towel' });
+  assert.equal(form.status, 415);
+});
+
+test('ошибки предметного слоя — JSON с кодами 401/403/404/409', async () => {
+  const slot = await createSlot();
+  const cases = [
+    [await request('/api/v1/slots'), 401, 'unauthorized'],
+    [await request(`/api/v1/slots/${slot.id}/refresh`, { method: 'POST', session: stranger }), 403, 'forbidden'],
+    [await request('/api/v1/slots/missing/refresh', { method: 'POST', session: owner }), 404, 'slot_not_found'],
+    [await request(`/api/v1/slots/${slot.id}/laundry`, { method: 'POST', session: owner, body: {} }), 409, 'stock_not_tracked'],
+    [await request('/api/v1/nowhere', { session: owner }), 404, 'not_found'],
+  ];
+  for (const [res, status, code] of cases) {
+    assert.equal(res.status, status);
+    assert.equal((await res.json()).error.code, code);
+  }
+});
+
+test('чужой метод — 405 со списком разрешённых', async () => {
+  const res = await request('/api/v1/slots', { method: 'PUT', session: owner, body: {} });
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.get('allow'), 'GET, POST');
+});
+
+test('запрос без своего Origin и без токена — 403 в JSON', async () => {
+  const res = await request('/api/v1/slots', { method: 'POST', session: owner, headers: { origin: 'https://evil.test' }, body: { name: 'Towel' } });
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).error.code, 'csrf_check_failed');
+});
+
+test('история: параметры запроса приводятся и проверяются', async () => {
+  const slot = await createSlot();
+  await request(`/api/v1/slots/${slot.id}/refresh`, { method: 'POST', session: owner });
+  const page = await request(`/api/v1/slots/${slot.id}/history?limit=1&action=REFRESH`, { session: owner });
+  const body = await page.json();
+  assert.equal(body.limit, 1);
+  assert.deepEqual(body.items.map(e => e.action), ['REFRESH']);
+  const bad = await request(`/api/v1/slots/${slot.id}/history?limit=500`, { session: owner });
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error.details[0].field, 'limit');
+});
+
+test('участник группы видит слот владельца', async () => {
+  const slot = await createSlot();
+  seedSheet('access', [['group_id', 'tg_user_id'], ['tg:1001', '1001'], ['tg:1001', '1002']]);
+  const res = await request(`/api/v1/slots/${slot.id}`, { session: stranger });
+  assert.equal(res.status, 200);
+});
+
+test('OpenAPI-документ публичен и описывает маршруты', async () => {
+  const res = await request('/api/v1/openapi.json');
+  assert.equal(res.status, 200);
+  const doc = await res.json();
+  assert.equal(doc.openapi, '3.1.0');
+  assert.equal(doc.servers[0].url, 'https://towel.test/api/v1');
+  const patch = doc.paths['/slots/{id}'].patch;
+  assert.equal(patch.requestBody.content['application/json'].schema.$ref, '#/components/schemas/SlotPatch');
+  assert.deepEqual(Object.keys(patch.responses), ['200', '400', '401', '403', '404', '409']);
+  assert.equal(patch.parameters.find(p => p.in === 'header').name, 'If-Match');
+  assert.ok(doc.components.schemas.SlotPatch.properties.threshold_days);
+  assert.deepEqual(doc.paths['/openapi.json'].get.security, []);
+});
+
+test('старый POST /api/slots тоже проверяет порог', async () => {
+  const res = await request('/api/slots', { method: 'POST', session: owner, body: { name: 'Towel', threshold_days: 'abc' } });
+  assert.equal(res.status, 400);
+  assert.equal(rows('slots').length, 0);
+});
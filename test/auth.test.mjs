@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, request, signJwt, sessionFor, tgMessage, sentTo, rows } from './helpers.mjs';
+
+beforeEach(resetSheets);
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('действующая сессия пускает в API', async () => {
+  const res = await request('/api/slots', { session: sessionFor(801) });
+  assert.equal(res.status, 200);
+});
+
+test('истёкшая сессия — 401', async () => {
+  const expired = signJwt({ sub: '801', ep: 0, iat: now() - 7200, exp: now() - 1 });
+  const res = await request('/api/slots', { session: expired });
+  assert.equal(res.status, 401);
+});
+
+test('сессия с чужой подписью — 401', async () => {
+  const forged = signJwt({ sub: '801', ep: 0, iat: now(), exp: now() + 3600 }, 'another-secret');
+  const res = await request('/api/slots', { session: forged });
+  assert.equal(res.status, 401);
+});
+
+test('сессия без срока действия не принимается', async () => {
+  const res = await request('/api/slots', { session: signJwt({ sub: '801', ep: 0 }) });
+  assert.equal(res.status, 401);
+});
+
+test('маг-ссылка из /start входит один раз', async () => {
+  await tgMessage(801, '/start');
+  const token = JSON.stringify(sentTo(801)[0].reply_markup).match(/login\?token=([\w.-]+)/)[1];
+  const first = await request(`/login?token=${token}`);
+  assert.equal(first.status, 302);
+  const sid = first.headers.get('set-cookie').match(/sid=([^;]+)/)[1];
+  assert.equal((await request('/api/slots', { session: sid })).status, 200);
+  const again = await request(`/login?token=${token}`);
+  assert.equal(again.status, 401);
+  assert.equal(again.headers.get('set-cookie'), null);
+});
+
+test('одну маг-ссылку из двух вкладок сразу принимают только раз', async () => {
+  await tgMessage(801, '/start');
+  const token = JSON.stringify(sentTo(801)[0].reply_markup).match(/login\?token=([\w.-]+)/)[1];
+  const both = await Promise.all([request(`/login?token=${token}`), request(`/login?token=${token}`)]);
+  assert.deepEqual(both.map(r => r.status).sort(), [302, 401]);
+});
+
+test('без cf-connecting-ip неудачные входы не копятся в общий лимит', async () => {
+  const bad = signJwt({ typ: 'magic', sub: '801', jti: 'x', iat: now() - 3600, exp: now() - 60 });
+  for (let i = 0; i < 12; i++) await request(`/login?token=${bad}`);
+  assert.equal((await request(`/login?token=${bad}`)).status, 401);
+  assert.ok(!rows('kv').some(r => r.name.startsWith('loginfail:')));
+});
+
+test('маг-токен и приглашение не работают как cookie сессии', async () => {
+  await tgMessage(801, '/start');
+  const token = JSON.stringify(sentTo(801)[0].reply_markup).match(/login\?token=([\w.-]+)/)[1];
+  assert.equal((await request('/api/slots', { session: token })).status, 401);
+  const invite = signJwt({ typ: 'invite', sub: '801', grp: 'tg:801', iat: now(), exp: now() + 3600 });
+  assert.equal((await request('/api/slots', { session: invite })).status, 401);
+});
+
+test('истёкшая маг-ссылка не входит', async () => {
+  const token = signJwt({ typ: 'magic', sub: '801', jti: 'expired-jti', iat: now() - 3600, exp: now() - 60 });
+  const res = await request(`/login?token=${token}`);
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('set-cookie'), null);
+});
+
+test('ссылка-приглашение по GET только спрашивает, вступление — POST со своего origin', async () => {
+  const code = signJwt({ typ: 'invite', grp: 'tg:811', iat: now(), exp: now() + 3600 });
+  const session = sessionFor(812);
+  const member = () => rows('access').some(r => r.group_id === 'tg:811' && r.tg_user_id === '812');
+
+  const page = await request(`/join?code=${code}`, { session });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<form method="post" action="\/api\/groups\/join">/);
+  assert.equal(member(), false);
+
+  const form = (origin) => request('/api/groups/join', { method: 'POST', session,
+    headers: { origin, 'content-type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams({ code, redirect: '/dashboard' }).toString() });
+  assert.equal((await form('https://evil.example')).status, 403);
+  assert.equal(member(), false);
+  assert.equal((await form('https://towel.test')).status, 303);
+  assert.equal(member(), true);
+});
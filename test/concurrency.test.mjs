@@ -0,0 +1,112 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, seedSheet, request, sessionFor, devSheet, onSheetsRequest, runCron, rows } from './helpers.mjs';
+
+const owner = sessionFor(1101);
+
+let ids;
+beforeEach(async () => {
+  resetSheets();
+  ids = [];
+  for (const name of ['A', 'B', 'C']) {
+    const res = await request('/api/v1/slots', { method: 'POST', session: owner, body: { name } });
+    ids.push((await res.json()).id);
+  }
+});
+
+// Чужая правка «между» нашим чтением и записью: срабатывает на повторное чтение листа перед записью
+function beforeWrite(change) {
+  const off = onSheetsRequest(({ method, range }) => {
+    if (method !== 'GET' || !range.startsWith('slots!')) return;
+    off();
+    change(devSheet('slots'));
+  });
+}
+
+const byName = () => Object.fromEntries(rows('slots').map(r => [r.name, r]));
+
+test('обновление находит слот, даже если строки сдвинулись после чужого удаления', async () => {
+  const before = byName();
+  beforeWrite(sheet => sheet.splice(1, 1)); // кто-то удалил A — B и C съехали на строку вверх
+  const res = await request(`/api/v1/slots/${ids[1]}/refresh`, { method: 'POST', session: owner });
+  assert.equal(res.status, 200);
+  const after = byName();
+  assert.notEqual(after.B.last_change_at, before.B.last_change_at);
+  assert.equal(after.B.version, '2');
+  assert.deepEqual(after.C, before.C);
+});
+
+test('удаление после сдвига строк уносит в корзину нужный слот', async () => {
+  beforeWrite(sheet => sheet.splice(1, 1));
+  const res = await request(`/api/v1/slots/${ids[2]}`, { method: 'DELETE', session: owner });
+  assert.equal(res.status, 200);
+  assert.deepEqual(rows('slots').map(r => [r.name, r.archived]), [['B', ''], ['C', '1']]);
+});
+
+test('слот, изменённый между чтением и записью, — 409 без записи', async () => {
+  const before = byName();
+  beforeWrite(sheet => { sheet[2][9] = '7'; }); // кто-то успел поменять B
+  const res = await request(`/api/v1/slots/${ids[1]}`, { method: 'PATCH', session: owner, body: { name: 'B2' } });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).error.code, 'version_conflict');
+  assert.equal(byName().B.last_change_at, before.B.last_change_at);
+  assert.ok(!rows('events').some(e => e.action === 'UPDATE'));
+});
+
+test('слот, удалённый между чтением и записью, — 409', async () => {
+  beforeWrite(sheet => sheet.splice(2, 1));
+  const res = await request(`/api/v1/slots/${ids[1]}/refresh`, { method: 'POST', session: owner });
+  assert.equal(res.status, 409);
+  assert.deepEqual(rows('slots').map(r => [r.name, r.version]), [['A', '1'], ['C', '1']]);
+});
+
+test('If-Match: устаревшая версия — 409, актуальная — новая версия в ETag', async () => {
+  const got = await request(`/api/v1/slots/${ids[0]}`, { session: owner });
+  assert.equal(got.headers.get('etag'), '"1"');
+  await request(`/api/v1/slots/${ids[0]}/refresh`, { method: 'POST', session: owner });
+
+  const stale = await request(`/api/v1/slots/${ids[0]}`, { method: 'PATCH', session: owner, headers: { 'If-Match': '"1"' }, body: { threshold_days: 7 } });
+  assert.equal(stale.status, 409);
+  assert.equal(byName().A.threshold_days, '3');
+
+  const fresh = await request(`/api/v1/slots/${ids[0]}`, { method: 'PATCH', session: owner, headers: { 'If-Match': '"2"' }, body: { threshold_days: 7 } });
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.headers.get('etag'), '"3"');
+  assert.equal((await fresh.json()).version, 3);
+});
+
+test('старые маршруты принимают version в теле', async () => {
+  const stale = await request(`/api/slots/${ids[0]}/delete`, { method: 'POST', session: owner, body: { version: 5 } });
+  assert.equal(stale.status, 409);
+  assert.equal(rows('slots').length, 3);
+  const ok = await request(`/api/slots/${ids[0]}`, { method: 'POST', session: owner, body: { name: 'A2', version: 1 } });
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).version, 2);
+});
+
+test('запись kv находит свою строку, даже если чистка удалила строку выше', async () => {
+  await request(`/api/v1/slots/${ids[0]}/quick-link`, { method: 'POST', session: owner });
+  devSheet('kv').splice(1, 0, ['expired', 'x', '2020-01-01T00:00:00.000Z']);
+  const before = rows('kv').find(r => r.name === `quick:${ids[0]}`).value;
+  // крон удаляет просроченную строку сразу после того, как запрос прочитал kv
+  let armed = false;
+  const off = onSheetsRequest(({ method, range }) => {
+    if (armed) { off(); devSheet('kv').splice(1, 1); return; }
+    if (method === 'GET' && range.startsWith('kv!')) armed = true;
+  });
+  const res = await request(`/api/v1/slots/${ids[0]}/quick-link`, { method: 'POST', session: owner, body: { rotate: true } });
+  off();
+  assert.equal(res.status, 200);
+  assert.deepEqual(rows('kv').map(r => r.name), [`quick:${ids[0]}`]);
+  assert.notEqual(rows('kv')[0].value, before);
+});
+
+test('журнал напоминаний перед записью не перечитывается', async () => {
+  seedSheet('reminders', [['id', 'slot_id', 'tg_user_id', 'kind', 'sent_at', 'acknowledged_at'], ['r1', ids[0], '1101', 'DAILY', '2020-01-01T00:00:00.000Z', '']]);
+  const reads = [];
+  const off = onSheetsRequest(({ method, range }) => { if (method === 'GET' && range.startsWith('reminders!')) reads.push(range); });
+  await runCron();
+  off();
+  assert.equal(rows('reminders').length, 0);
+  assert.equal(reads.length, 1);
+});
@@ -0,0 +1,35 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, request, sessionFor, rows } from './helpers.mjs';
+
+const owner = sessionFor(1301);
+
+beforeEach(resetSheets);
+
+const importFile = (data, session = owner) => request('/api/import', { method: 'POST', session, body: { data, conflict: 'new' } });
+
+test('CSV-экспорт не отдаёт формулы, а импорт возвращает исходный текст', async () => {
+  await request('/api/slots', { method: 'POST', session: owner, body: { name: '=HYPERLINK("x")', room: '+Bath' } });
+  const csv = await (await request('/api/export?format=csv', { session: owner })).text();
+  assert.match(csv, /"'=HYPERLINK\(""x""\)"/);
+  assert.match(csv, /,'\+Bath,/);
+  assert.ok(!/(^|,)[=+\-@]/m.test(csv));
+
+  const other = sessionFor(1302);
+  assert.equal((await importFile(csv, other)).status, 200);
+  assert.deepEqual(rows('slots').map(s => [s.name, s.room]), [['=HYPERLINK("x")', '+Bath'], ['=HYPERLINK("x")', '+Bath']]);
+});
+
+test('импорт пропускает события с неизвестным action', async () => {
+  const data = JSON.stringify({
+    slots: [{ id: 'old-1', name: 'Towel', threshold_days: '3', last_change_at: '2026-01-01T00:00:00Z' }],
+    events: [
+      { ts: '2026-01-01T00:00:00Z', slot_id: 'old-1', action: 'REFRESH' },
+      { ts: '2026-01-02T00:00:00Z', slot_id: 'old-1', action: '<script>' },
+    ],
+  });
+  const res = await (await importFile(data)).json();
+  assert.equal(res.events, 1);
+  assert.deepEqual(res.errors, [{ item: 'events[1]', error: 'invalid event' }]);
+  assert.deepEqual(rows('events').map(e => e.action), ['REFRESH', 'IMPORT']);
+});
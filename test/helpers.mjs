@@ -0,0 +1,99 @@
+// Общие заготовки для тестов: воркер в режиме разработки поверх эмулятора из src/dev.mjs
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHmac } from 'node:crypto';
+import worker from '../src/worker.mjs';
+import { resetDev, seedSheet, devSheet, devTelegram, onSheetsRequest } from '../src/dev.mjs';
+
+export { worker, resetDev, seedSheet, devSheet, devTelegram, onSheetsRequest };
+
+export const env = {
+  DEV_MODE: '1',
+  TELEGRAM_TOKEN: 'test-token',
+  TELEGRAM_WEBHOOK_SECRET: 'test-secret',
+  WEB_JWT_SECRET: 'test-jwt-secret',
+  WORKER_URL: 'https://towel.test',
+  DEFAULT_TZ: 'UTC',
+};
+
+const templatesDir = new URL('../sheets_templates/', import.meta.url);
+
+// Чистые листы из sheets_templates/*.csv (недостающие воркер создаст сам по SCHEMA)
+export function resetSheets() {
+  const sheets = {};
+  for (const file of readdirSync(templatesDir).filter(f => f.endsWith('.csv'))) {
+    sheets[file.replace(/\.csv$/, '')] = readFileSync(new URL(file, templatesDir), 'utf8');
+  }
+  resetDev({ sheets });
+}
+
+// ctx.waitUntil копит фоновые задачи — дожидаемся их, как это сделал бы рантайм
+export function makeCtx() {
+  const pending = [];
+  return {
+    waitUntil(p) { pending.push(p); },
+    async settle() { while (pending.length) await pending.shift(); },
+  };
+}
+
+export async function request(path, { method = 'GET', body, headers = {}, session } = {}) {
+  const h = new Headers(headers);
+  if (session) h.set('cookie', `sid=${session}`);
+  if (session && method !== 'GET' && !h.has('origin')) h.set('origin', env.WORKER_URL);
+  let payload = body;
+  if (body && typeof body === 'object') {
+    h.set('content-type', 'application/json');
+    h.set('accept', 'application/json');
+    payload = JSON.stringify(body);
+  }
+  const ctx = makeCtx();
+  const res = await worker.fetch(new Request(env.WORKER_URL + path, { method, headers: h, body: payload }), env, ctx);
+  await ctx.settle();
+  return res;
+}
+
+export async function runCron(when = new Date()) {
+  const ctx = makeCtx();
+  await worker.scheduled({ cron: '0 * * * *', scheduledTime: when.getTime() }, env, ctx);
+  await ctx.settle();
+}
+
+export function tgUpdate(update, secret = env.TELEGRAM_WEBHOOK_SECRET) {
+  const headers = secret == null ? {} : { 'X-Telegram-Bot-Api-Secret-Token': secret };
+  return request('/tg/webhook', { method: 'POST', headers, body: update });
+}
+
+export function tgMessage(userId, text, { chat = { id: userId, type: 'private' } } = {}) {
+  return tgUpdate({ update_id: 1, message: { message_id: 1, chat, from: { id: userId, language_code: 'en' }, text } });
+}
+
+// Нажатие inline-кнопки под сообщением бота
+export function tgCallback(userId, data, { chat = { id: userId, type: 'private' } } = {}) {
+  return tgUpdate({ update_id: 1, callback_query: { id: 'cb1', from: { id: userId, language_code: 'en' }, message: { message_id: 1, chat }, data } });
+}
+
+// Сообщения бота конкретному чату (sendMessage), по порядку
+export function sentTo(chatId) {
+  return devTelegram().filter(c => c.method === 'sendMessage' && String(c.chat_id) === String(chatId));
+}
+
+export function clearTelegram() {
+  devTelegram().length = 0;
+}
+
+// HS256-токен с произвольными iat/exp — подписываем независимо от воркера
+export function signJwt(payload, secret = env.WEB_JWT_SECRET) {
+  const enc = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const input = `${enc({ alg: 'HS256', typ: 'JWT' })}.${enc(payload)}`;
+  return `${input}.${createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+export function sessionFor(userId, { ttlSec = 3600, ep = 0 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({ typ: 'session', sub: String(userId), ep, iat: now, exp: now + ttlSec });
+}
+
+// Строки листа без заголовка — объектами по заголовку шаблона
+export function rows(title) {
+  const [header, ...data] = devSheet(title) || [[]];
+  return data.filter(r => r.some(v => v !== '')).map(r => Object.fromEntries(header.map((k, i) => [k, r[i] ?? ''])));
+}
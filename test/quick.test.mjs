@@ -0,0 +1,31 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, request, sessionFor, rows } from './helpers.mjs';
+
+const owner = sessionFor(1401);
+
+let ids;
+beforeEach(async () => {
+  resetSheets();
+  ids = [];
+  for (const name of ['Bath towel', 'Hand towel']) {
+    const res = await request('/api/slots', { method: 'POST', session: owner, body: { name, room: 'Bathroom' } });
+    ids.push((await res.json()).id);
+  }
+});
+
+test('лист QR по GET не выпускает метки — только показывает готовые', async () => {
+  await request(`/api/slots/${ids[0]}/quick-link`, { method: 'POST', session: owner, body: {} });
+  const kv = rows('kv').length;
+
+  const res = await request('/dashboard/qr?room=Bathroom', { session: owner });
+  assert.equal(res.status, 200);
+  const html = await res.text();
+  assert.equal(rows('kv').length, kv);
+  assert.equal((html.match(/<svg/g) || []).length, 1);
+  assert.match(html, new RegExp(`action="/api/slots/${ids[1]}/quick-link">[^]*?<button>Создать метку</button>`));
+
+  const created = await request(`/api/slots/${ids[1]}/quick-link`, { method: 'POST', session: owner, body: {} });
+  assert.equal(created.status, 200);
+  assert.equal((await (await request('/dashboard/qr?room=Bathroom', { session: owner })).text()).match(/<svg/g).length, 2);
+});
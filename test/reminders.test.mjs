@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSheets, seedSheet, runCron, sentTo, rows, tgCallback, onSheetsRequest } from './helpers.mjs';
+
+const NOW = Date.parse('2026-03-10T09:05:00Z'); // вторник, 09:05 UTC
+const STALE = '2026-03-01T08:00:00.000Z';      // порог 3 дня давно пройден
+
+const USERS = ['tg_user_id', 'tz', 'notify_hour'];
+const SLOTS = ['id', 'name', 'group_id', 'room', 'threshold_days', 'last_change_at'];
+
+beforeEach(() => {
+  resetSheets();
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+afterEach(() => mock.timers.reset());
+
+function seed(users) {
+  seedSheet('users', [USERS, ...users]);
+  seedSheet('slots', [SLOTS, ...users.map(([id]) => [`s${id}`, `Towel ${id}`, `tg:${id}`, 'Bathroom', '3', STALE])]);
+}
+
+test('напоминание приходит в свой час и не приходит в чужой', async () => {
+  seed([['901', 'UTC', '9'], ['902', 'UTC', '10'], ['903', 'UTC', '8']]);
+  await runCron();
+  assert.equal(sentTo(901).length, 1);
+  assert.match(sentTo(901)[0].text, /Towel 901/);
+  assert.equal(sentTo(902).length, 0);
+  assert.equal(sentTo(903).length, 0);
+  assert.deepEqual(rows('reminders').map(r => [r.slot_id, r.tg_user_id, r.kind]), [['s901', '901', 'DAILY']]);
+});
+
+test('час сверяется с часовым поясом пользователя', async () => {
+  // 09:05 UTC — это 18:05 в Токио и 05:05 в Нью-Йорке (летнее время с 8 марта)
+  seed([['911', 'Asia/Tokyo', '18'], ['912', 'America/New_York', '5'], ['913', 'Asia/Tokyo', '9']]);
+  await runCron();
+  assert.equal(sentTo(911).length, 1);
+  assert.equal(sentTo(912).length, 1);
+  assert.equal(sentTo(913).length, 0);
+});
+
+test('без notify_hour и DEFAULT_NOTIFY_HOUR напоминание приходит в 10 часов', async () => {
+  seed([['921', 'UTC', '']]);
+  await runCron();
+  assert.equal(sentTo(921).length, 0);
+  mock.timers.setTime(NOW + 60 * 60 * 1000);
+  await runCron();
+  assert.equal(sentTo(921).length, 1);
+});
+
+test('обновление слота не читает журнал — напоминание закрывает следующий прогон', async () => {
+  seed([['941', 'UTC', '9'], ['942', 'UTC', '9']]);
+  await runCron();
+  const ranges = [];
+  const off = onSheetsRequest(({ range }) => ranges.push(range));
+  await tgCallback(941, 'refresh:s941');
+  await tgCallback(942, 'snz:s942:day');
+  off();
+  assert.ok(!ranges.some(r => r.startsWith('reminders!')));
+
+  mock.timers.setTime(NOW + 60 * 60 * 1000);
+  await runCron();
+  const at = new Date(NOW + 60 * 60 * 1000).toISOString();
+  assert.deepEqual(rows('reminders').map(r => [r.slot_id, r.acknowledged_at]), [['s941', at], ['s942', at]]);
+});
+
+test('повторный прогон в тот же час не дублирует напоминание', async () => {
+  seed([['931', 'UTC', '9']]);
+  await runCron();
+  await runCron();
+  assert.equal(sentTo(931).length, 1);
+});
+
+test('журнал пишется по каждому получателю — сбой на следующем не повторяет уже отправленное', async () => {
+  seed([['951', 'UTC', '9'], ['952', 'UTC', '9']]);
+  let appends = 0;
+  const off = onSheetsRequest(({ method, range }) => {
+    if (method === 'POST' && range.startsWith('reminders!') && ++appends === 2) throw new Error('sheets unavailable');
+  });
+  const error = mock.method(console, 'error', () => {});
+  await runCron();
+  off();
+  error.mock.restore();
+  assert.match(String(error.mock.calls[0].arguments[0]), /^\[cron\] reminders/);
+  assert.deepEqual(rows('reminders').map(r => r.tg_user_id), ['951']);
+
+  await runCron();
+  assert.equal(sentTo(951).length, 1);
+  assert.deepEqual(rows('reminders').map(r => r.tg_user_id), ['951', '952']);
+});
@@ -0,0 +1,70 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { env, resetDev, resetSheets, seedSheet, request, devSheet, rows } from './helpers.mjs';
+
+const admin = { authorization: 'Bearer admin-token' };
+const SLOTS_V0 = ['id', 'name', 'owner_tg_id', 'room', 'threshold_days', 'last_change_at', 'snooze_until', 'spare_clean', 'spare_dirty'];
+
+beforeEach(() => { env.ADMIN_TOKEN = 'admin-token'; });
+afterEach(() => { delete env.ADMIN_TOKEN; });
+
+const setup = () => request('/admin/setup', { method: 'POST', headers: admin });
+const diag = async () => (await request('/diag')).text();
+
+test('без токена админа настройка недоступна', async () => {
+  resetSheets();
+  assert.equal((await request('/admin/setup', { method: 'POST' })).status, 403);
+  assert.equal((await request('/admin/setup', { method: 'POST', headers: { authorization: 'Bearer nope' } })).status, 403);
+});
+
+test('создаёт недостающие листы, дописывает колонки и переименовывает старые', async () => {
+  resetDev({ sheets: { slots: [SLOTS_V0, ['s1', 'Hand towel', '501', 'Bathroom', '3', '2026-03-01T08:00:00.000Z', '', '', '']] } });
+  const res = await setup();
+  assert.equal(res.status, 200);
+  const result = await res.json();
+  assert.equal(result.ok, true);
+  assert.equal(result.version, 1);
+  const slots = result.tables.find(r => r.table === 'slots');
+  assert.equal(slots.state, 'updated');
+  assert.deepEqual(slots.missing, ['version', 'archived', 'deleted_at']);
+  assert.deepEqual(slots.renamed, [{ column: 'C', from: 'owner_tg_id', to: 'group_id' }]);
+  assert.equal(result.tables.find(r => r.table === 'access').state, 'created');
+
+  assert.deepEqual(devSheet('slots')[0].slice(0, 3), ['id', 'name', 'group_id']);
+  assert.equal(devSheet('slots')[0].at(-1), 'deleted_at');
+  assert.deepEqual(devSheet('slots')[1].slice(0, 3), ['s1', 'Hand towel', '501']); // данные на месте
+  assert.deepEqual(devSheet('access')[0], ['group_id', 'tg_user_id']);
+  assert.deepEqual(rows('kv').map(r => [r.name, r.value]), [['schema:version', '1']]);
+
+  // Повторный запуск ничего не меняет
+  const again = await (await setup()).json();
+  assert.ok(again.tables.every(r => r.state === 'ok'));
+});
+
+test('чужой заголовок — 409, лист не трогаем и версию не записываем', async () => {
+  resetSheets();
+  const header = devSheet('users')[0].slice();
+  header[1] = 'timezone';
+  seedSheet('users', [header]);
+  const res = await setup();
+  assert.equal(res.status, 409);
+  const result = await res.json();
+  assert.equal(result.ok, false);
+  assert.equal(result.version, 0);
+  assert.deepEqual(result.tables.find(r => r.table === 'users').conflicts, [{ column: 'B', found: 'timezone', expected: 'tz' }]);
+  assert.equal(devSheet('users')[0][1], 'timezone');
+  assert.ok(!rows('kv').some(r => r.name === 'schema:version'));
+});
+
+test('/diag показывает состояние каждого листа и версию схемы', async () => {
+  resetDev({ sheets: { slots: [SLOTS_V0] } });
+  let page = await diag();
+  assert.match(page, /Sheets — slots<\/td><td>✗<\/td><td>[^<]*version, archived, deleted_at[^<]*owner_tg_id → group_id/);
+  assert.match(page, /Sheets — access<\/td><td>✗/);
+
+  await setup();
+  page = await diag();
+  assert.match(page, /Sheets — slots<\/td><td>✓/);
+  assert.doesNotMatch(page, /Sheets — \w+<\/td><td>✗/);
+  assert.match(page, /<td>✓<\/td><td>v1<\/td>/);
+});
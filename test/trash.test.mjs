@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { env, resetSheets, request, sessionFor, tgMessage, tgCallback, runCron, sentTo, devSheet, devTelegram, rows } from './helpers.mjs';
+
+const owner = sessionFor(1201);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let slotId;
+beforeEach(async () => {
+  resetSheets();
+  const res = await request('/api/v1/slots', { method: 'POST', session: owner, body: { name: 'Hand towel', room: 'Bathroom' } });
+  slotId = (await res.json()).id;
+});
+afterEach(() => { delete env.TRASH_RETENTION_DAYS; });
+
+const listed = async () => (await (await request('/api/slots', { session: owner })).json()).map(s => s.id);
+
+// Сдвигает время удаления в прошлое — как будто слот давно лежит в корзине
+function deletedDaysAgo(days) {
+  const sheet = devSheet('slots');
+  const col = sheet[0].indexOf('deleted_at');
+  sheet[1][col] = new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+test('🗑 в боте уносит слот в корзину, «Вернуть» возвращает его', async () => {
+  await tgCallback(1201, `del:${slotId}`);
+  assert.deepEqual(await listed(), []);
+  assert.equal(rows('slots')[0].archived, '1');
+  assert.ok(rows('slots')[0].deleted_at);
+
+  const undo = sentTo(1201).at(-1);
+  assert.match(undo.text, /Hand towel/);
+  assert.equal(undo.reply_markup.inline_keyboard[0][0].callback_data, `undo:${slotId}`);
+
+  await tgCallback(1201, `undo:${slotId}`);
+  assert.deepEqual(await listed(), [slotId]);
+  assert.deepEqual([rows('slots')[0].archived, rows('slots')[0].deleted_at], ['', '']);
+  assert.deepEqual(rows('events').map(e => e.action), ['CREATE', 'DELETE', 'RESTORE']);
+});
+
+test('повторное «Вернуть» — всплывающее сообщение об ошибке', async () => {
+  await tgCallback(1201, `del:${slotId}`);
+  await tgCallback(1201, `undo:${slotId}`);
+  await tgCallback(1201, `undo:${slotId}`);
+  const answer = devTelegram().filter(c => c.method === 'answerCallbackQuery').at(-1);
+  assert.equal(answer.show_alert, true);
+});
+
+test('корзина в API и возврат из панели формой', async () => {
+  await request(`/api/slots/${slotId}`, { method: 'DELETE', session: owner });
+  const trash = await (await request('/api/v1/trash', { session: owner })).json();
+  assert.deepEqual(trash.map(s => s.id), [slotId]);
+  assert.equal(Date.parse(trash[0].purge_at) - Date.parse(trash[0].deleted_at), 30 * DAY_MS);
+  assert.deepEqual(await (await request('/api/v1/trash', { session: sessionFor(1299) })).json(), []);
+
+  const page = await (await request('/dashboard/trash', { session: owner })).text();
+  assert.match(page, new RegExp(`/api/slots/${slotId}/restore`));
+
+  const res = await request(`/api/slots/${slotId}/restore`, {
+    method: 'POST', session: owner,
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ redirect: '/dashboard/trash' }).toString(),
+  });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get('location'), '/dashboard/trash');
+  assert.deepEqual(await listed(), [slotId]);
+});
+
+test('панель спрашивает подтверждение и после удаления предлагает «Вернуть»', async () => {
+  const page = await (await request('/dashboard', { session: owner })).text();
+  assert.match(page, /"confirmDelete":"[^"]*\{name\}[^"]*"/);
+  assert.match(page, /<form id="undo" class="flash" method="post" data-async="undo" hidden>/);
+  assert.match(page, /name="csrf" value="[^"]+"/);
+});
+
+test('чужой слот из корзины не вернуть', async () => {
+  await request(`/api/v1/slots/${slotId}`, { method: 'DELETE', session: owner });
+  const res = await request(`/api/v1/slots/${slotId}/restore`, { method: 'POST', session: sessionFor(1299) });
+  assert.equal(res.status, 403);
+  assert.equal(rows('slots')[0].archived, '1');
+});
+
+test('слот в корзине не попадает в напоминания', async () => {
+  await tgMessage(1201, '/sethour 0'); // пользователь появился в листе users
+  const sheet = devSheet('slots');
+  sheet[1][sheet[0].indexOf('last_change_at')] = '2020-01-01T00:00:00.000Z';
+  const users = devSheet('users');
+  users[1][users[0].indexOf('notify_hour')] = String(new Date().getUTCHours());
+  users[1][users[0].indexOf('tz')] = 'UTC';
+  await request(`/api/v1/slots/${slotId}`, { method: 'DELETE', session: owner });
+  const before = sentTo(1201).length;
+  await runCron();
+  assert.equal(sentTo(1201).length, before);
+  assert.equal(rows('reminders').length, 0);
+});
+
+test('крон вычищает корзину по сроку хранения вместе с меткой QR', async () => {
+  await request(`/api/v1/slots/${slotId}/quick-link`, { method: 'POST', session: owner });
+  assert.ok(rows('kv').some(r => r.name === `quick:${slotId}`));
+  await request(`/api/v1/slots/${slotId}`, { method: 'DELETE', session: owner });
+
+  deletedDaysAgo(29);
+  await runCron();
+  assert.equal(rows('slots').length, 1);
+
+  deletedDaysAgo(31);
+  await runCron();
+  assert.equal(rows('slots').length, 0);
+  assert.ok(!rows('kv').some(r => r.name === `quick:${slotId}`));
+  assert.equal((await request(`/api/v1/slots/${slotId}/restore`, { method: 'POST', session: owner })).status, 404);
+});
+
+test('TRASH_RETENTION_DAYS=0 хранит корзину бессрочно', async () => {
+  env.TRASH_RETENTION_DAYS = '0';
+  await request(`/api/v1/slots/${slotId}`, { method: 'DELETE', session: owner });
+  deletedDaysAgo(365);
+  await runCron();
+  assert.equal(rows('slots').length, 1);
+  const [item] = await (await request('/api/v1/trash', { session: owner })).json();
+  assert.equal(item.purge_at, null);
+});
@@ -0,0 +1,63 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { env, worker, makeCtx, resetSheets, request, tgUpdate, sentTo, devTelegram, sessionFor, rows } from './helpers.mjs';
+
+beforeEach(resetSheets);
+
+const start = { update_id: 1, message: { message_id: 1, chat: { id: 501, type: 'private' }, from: { id: 501 }, text: '/start' } };
+
+test('апдейт без секрета отклоняется и не обрабатывается', async () => {
+  const res = await tgUpdate(start, null);
+  assert.equal(res.status, 403);
+  assert.equal(devTelegram().length, 0);
+});
+
+test('апдейт с чужим секретом отклоняется', async () => {
+  const res = await tgUpdate(start, 'wrong-secret');
+  assert.equal(res.status, 403);
+  assert.equal(devTelegram().length, 0);
+});
+
+test('апдейт с верным секретом обрабатывается', async () => {
+  const res = await tgUpdate(start, env.TELEGRAM_WEBHOOK_SECRET);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true });
+  assert.equal(sentTo(501).length, 1);
+});
+
+test('битое тело всё равно получает 200 — Telegram не должен повторять апдейт', async () => {
+  const headers = { 'X-Telegram-Bot-Api-Secret-Token': env.TELEGRAM_WEBHOOK_SECRET, 'content-type': 'application/json' };
+  const res = await request('/tg/webhook', { method: 'POST', headers, body: '{not json' });
+  assert.equal(res.status, 200);
+  assert.equal(devTelegram().length, 0);
+});
+
+test('исходящий вебхук уходит после ответа — действие не ждёт чужой сервер', async () => {
+  const session = sessionFor(502);
+  await request('/api/webhooks', { method: 'POST', session, body: { url: 'https://hooks.example.com/towel' } });
+
+  const calls = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => { calls.push({ url: String(url), event: init.headers['x-towel-event'] }); await gate; return new Response('ok'); };
+  try {
+    const ctx = makeCtx();
+    const headers = { cookie: `sid=${session}`, origin: env.WORKER_URL, 'content-type': 'application/json', accept: 'application/json' };
+    const res = await worker.fetch(new Request(`${env.WORKER_URL}/api/slots`, { method: 'POST', headers, body: JSON.stringify({ name: 'Bath towel' }) }), env, ctx);
+    assert.equal(res.status, 200);
+    assert.equal(calls.length, 0);
+
+    // Строка журнала появляется до попытки: оборванную доставку подберёт крон
+    while (!calls.length) await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(rows('deliveries').map(d => [d.attempts, Boolean(d.next_attempt_at), d.delivered_at]), [['0', true, '']]);
+
+    release();
+    await ctx.settle();
+    assert.deepEqual(calls, [{ url: 'https://hooks.example.com/towel', event: 'slot.create' }]);
+    assert.ok(rows('deliveries')[0].delivered_at);
+    assert.equal(rows('deliveries')[0].attempts, '1');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});